@@ -9,6 +9,7 @@
 
 import { join } from "node:path";
 import { Database } from "bun:sqlite";
+import { formatDuration } from "#lib/duration.js";
 
 /**
  * Encodes metadata values to binary format for SQLite storage
@@ -483,11 +484,14 @@ const initializeConfig = () => {
 global.config = initializeConfig();
 
 /**
- * Database file path
+ * Database file path (DB_PATH). The simulator keeps its own database
+ * (SIMULATOR_DB_PATH) so nothing typed into it changes the live bot.
  * @private
  * @constant {string}
  */
-const DB_PATH = join(process.cwd(), "src", "database", "database.db");
+const DB_PATH = process.argv.includes("--simulate")
+    ? Bun.env.SIMULATOR_DB_PATH || join(process.cwd(), "src", "database", "simulator.db")
+    : Bun.env.DB_PATH || join(process.cwd(), "src", "database", "database.db");
 
 /**
  * SQLite database instance with performance optimizations
@@ -518,6 +522,8 @@ const SCHEMAS = {
         columns: {
             jid: "TEXT PRIMARY KEY",
             mute: "INTEGER DEFAULT 0",
+            prefix: "TEXT DEFAULT NULL",
+            noprefix: "INTEGER DEFAULT 0",
         },
         indices: ["CREATE INDEX IF NOT EXISTS idx_chats_jid ON chats(jid)"],
     },
@@ -536,6 +542,136 @@ const SCHEMAS = {
         },
         indices: ["CREATE INDEX IF NOT EXISTS idx_meta_key ON meta(key)"],
     },
+    aliases: {
+        columns: {
+            chat: "TEXT NOT NULL",
+            name: "TEXT NOT NULL",
+            target: "TEXT NOT NULL",
+        },
+        indices: ["CREATE UNIQUE INDEX IF NOT EXISTS idx_aliases_chat_name ON aliases(chat, name)"],
+    },
+    macros: {
+        columns: {
+            chat: "TEXT NOT NULL",
+            name: "TEXT NOT NULL",
+            text: "TEXT",
+            type: "TEXT DEFAULT NULL",
+            media: "BLOB DEFAULT NULL",
+            mimetype: "TEXT DEFAULT NULL",
+            created_by: "TEXT",
+            at: "INTEGER",
+        },
+        indices: ["CREATE UNIQUE INDEX IF NOT EXISTS idx_macros_chat_name ON macros(chat, name)"],
+    },
+    command_stats: {
+        columns: {
+            id: "INTEGER PRIMARY KEY AUTOINCREMENT",
+            at: "INTEGER NOT NULL",
+            plugin: "TEXT NOT NULL",
+            command: "TEXT NOT NULL",
+            chat: "TEXT NOT NULL",
+            sender: "TEXT",
+            duration: "INTEGER DEFAULT 0",
+            outcome: "TEXT NOT NULL",
+            error: "TEXT",
+        },
+        indices: [
+            "CREATE INDEX IF NOT EXISTS idx_command_stats_at ON command_stats(at)",
+            "CREATE INDEX IF NOT EXISTS idx_command_stats_plugin ON command_stats(plugin, at)",
+        ],
+    },
+    roles: {
+        columns: {
+            user: "TEXT NOT NULL",
+            role: "TEXT NOT NULL",
+            scope: "TEXT NOT NULL DEFAULT 'global'",
+            granted_by: "TEXT",
+            at: "INTEGER",
+            jid: "TEXT",
+        },
+        indices: [
+            "CREATE UNIQUE INDEX IF NOT EXISTS idx_roles_user_role_scope ON roles(user, role, scope)",
+            "CREATE INDEX IF NOT EXISTS idx_roles_scope ON roles(scope)",
+        ],
+    },
+    chat_plugins: {
+        columns: {
+            chat: "TEXT NOT NULL",
+            kind: "TEXT NOT NULL",
+            name: "TEXT NOT NULL",
+        },
+        indices: [
+            "CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_plugins_chat_kind_name ON chat_plugins(chat, kind, name)",
+        ],
+    },
+    bans: {
+        columns: {
+            user: "TEXT PRIMARY KEY",
+            reason: "TEXT",
+            until: "INTEGER DEFAULT NULL",
+            banned_by: "TEXT",
+            at: "INTEGER",
+            notified: "INTEGER DEFAULT 0",
+            jid: "TEXT",
+        },
+        indices: ["CREATE INDEX IF NOT EXISTS idx_bans_until ON bans(until)"],
+    },
+    errors: {
+        columns: {
+            id: "INTEGER PRIMARY KEY AUTOINCREMENT",
+            hash: "TEXT NOT NULL",
+            plugin: "TEXT",
+            name: "TEXT",
+            message: "TEXT",
+            stack: "TEXT",
+            command: "TEXT",
+            chat: "TEXT",
+            sender: "TEXT",
+            count: "INTEGER DEFAULT 1",
+            first_at: "INTEGER",
+            last_at: "INTEGER",
+            reported_at: "INTEGER DEFAULT NULL",
+        },
+        indices: [
+            "CREATE UNIQUE INDEX IF NOT EXISTS idx_errors_hash ON errors(hash)",
+            "CREATE INDEX IF NOT EXISTS idx_errors_last_at ON errors(last_at)",
+        ],
+    },
+    external_plugins: {
+        columns: {
+            name: "TEXT PRIMARY KEY",
+            source: "TEXT NOT NULL",
+            kind: "TEXT NOT NULL",
+            version: "TEXT",
+            checksum: "TEXT NOT NULL",
+            files: "TEXT NOT NULL",
+            installed_by: "TEXT",
+            installed_at: "INTEGER",
+            updated_at: "INTEGER",
+        },
+    },
+    jobs: {
+        columns: {
+            id: "INTEGER PRIMARY KEY AUTOINCREMENT",
+            key: "TEXT NOT NULL",
+            name: "TEXT NOT NULL",
+            cron: "TEXT DEFAULT NULL",
+            run_at: "INTEGER NOT NULL",
+            payload: "TEXT",
+            chat: "TEXT",
+            created_by: "TEXT",
+            created_at: "INTEGER",
+            paused: "INTEGER DEFAULT 0",
+            grace: "INTEGER DEFAULT NULL",
+            runs: "INTEGER DEFAULT 0",
+            last_run: "INTEGER DEFAULT NULL",
+            last_error: "TEXT DEFAULT NULL",
+        },
+        indices: [
+            "CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_key ON jobs(key)",
+            "CREATE INDEX IF NOT EXISTS idx_jobs_run_at ON jobs(paused, run_at)",
+        ],
+    },
 };
 
 /**
@@ -631,6 +767,164 @@ STMTS.meta = {
     getAll: sqlite.query(`SELECT * FROM meta`),
 };
 
+// Alias table statements
+STMTS.aliases = {
+    get: sqlite.query(`SELECT target FROM aliases WHERE chat = ? AND name = ?`),
+    set: sqlite.query(`INSERT OR REPLACE INTO aliases (chat, name, target) VALUES (?, ?, ?)`),
+    delete: sqlite.query(`DELETE FROM aliases WHERE chat = ? AND name = ?`),
+    list: sqlite.query(`SELECT name, target FROM aliases WHERE chat = ? ORDER BY name`),
+};
+
+// Per-chat custom text commands (type/media set when the reply carries media)
+STMTS.macros = {
+    get: sqlite.query(`SELECT * FROM macros WHERE chat = ? AND name = ?`),
+    set: sqlite.query(
+        `INSERT OR REPLACE INTO macros (chat, name, text, type, media, mimetype, created_by, at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    ),
+    delete: sqlite.query(`DELETE FROM macros WHERE chat = ? AND name = ?`),
+    list: sqlite.query(`SELECT name, type FROM macros WHERE chat = ? ORDER BY name`),
+};
+
+// Command analytics statements (outcome: ok, error, skipped, denied, invalid)
+STMTS.stats = {
+    insert: sqlite.query(
+        `INSERT INTO command_stats (at, plugin, command, chat, sender, duration, outcome, error)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    ),
+    summary: sqlite.query(
+        `SELECT COUNT(*) AS total,
+                COALESCE(SUM(outcome = 'ok'), 0) AS ok,
+                COALESCE(SUM(outcome = 'error'), 0) AS errors,
+                COALESCE(SUM(outcome IN ('denied', 'invalid')), 0) AS denied,
+                COUNT(DISTINCT sender) AS users
+         FROM command_stats WHERE at >= ?`
+    ),
+    top: sqlite.query(
+        `SELECT command, COUNT(*) AS uses, SUM(outcome = 'error') AS errors
+         FROM command_stats WHERE at >= ? AND outcome IN ('ok', 'error')
+         GROUP BY command ORDER BY uses DESC LIMIT ?`
+    ),
+    failing: sqlite.query(
+        `SELECT plugin, COUNT(*) AS runs, SUM(outcome = 'error') AS errors,
+                GROUP_CONCAT(DISTINCT error) AS classes
+         FROM command_stats WHERE at >= ? AND outcome IN ('ok', 'error')
+         GROUP BY plugin HAVING errors > 0
+         ORDER BY CAST(errors AS REAL) / runs DESC, errors DESC LIMIT ?`
+    ),
+    slowest: sqlite.query(
+        `SELECT plugin, COUNT(*) AS runs, AVG(duration) AS avg, MAX(duration) AS max
+         FROM command_stats WHERE at >= ? AND outcome IN ('ok', 'error')
+         GROUP BY plugin ORDER BY avg DESC LIMIT ?`
+    ),
+    chats: sqlite.query(
+        `SELECT chat, COUNT(*) AS uses FROM command_stats WHERE at >= ?
+         GROUP BY chat ORDER BY uses DESC LIMIT ?`
+    ),
+    prune: sqlite.query(`DELETE FROM command_stats WHERE at < ?`),
+};
+
+// Role table statements (scope is "global" or a group JID)
+STMTS.roles = {
+    get: sqlite.query(`SELECT DISTINCT role FROM roles WHERE user = ? AND scope IN ('global', ?)`),
+    add: sqlite.query(
+        `INSERT OR IGNORE INTO roles (user, role, scope, granted_by, at, jid)
+         VALUES (?, ?, ?, ?, ?, ?)`
+    ),
+    remove: sqlite.query(`DELETE FROM roles WHERE user = ? AND role = ? AND scope = ?`),
+    list: sqlite.query(
+        `SELECT user, role, scope, jid FROM roles
+         WHERE scope IN ('global', ?) ORDER BY role, scope, user`
+    ),
+};
+
+// Per-chat disabled plugins and tags (kind: "plugin" or "tag")
+STMTS.chatPlugins = {
+    list: sqlite.query(`SELECT kind, name FROM chat_plugins WHERE chat = ? ORDER BY kind, name`),
+    disable: sqlite.query(`INSERT OR IGNORE INTO chat_plugins (chat, kind, name) VALUES (?, ?, ?)`),
+    enable: sqlite.query(`DELETE FROM chat_plugins WHERE chat = ? AND kind = ? AND name = ?`),
+};
+
+// Global ban list (until is a timestamp, NULL for permanent bans)
+STMTS.bans = {
+    get: sqlite.query(`SELECT * FROM bans WHERE user = ? AND (until IS NULL OR until > ?)`),
+    add: sqlite.query(
+        `INSERT OR REPLACE INTO bans (user, reason, until, banned_by, at, notified, jid)
+         VALUES (?, ?, ?, ?, ?, 0, ?)`
+    ),
+    remove: sqlite.query(`DELETE FROM bans WHERE user = ?`),
+    list: sqlite.query(
+        `SELECT * FROM bans WHERE until IS NULL OR until > ? ORDER BY at DESC LIMIT ?`
+    ),
+    notified: sqlite.query(`UPDATE bans SET notified = 1 WHERE user = ?`),
+    prune: sqlite.query(`DELETE FROM bans WHERE until IS NOT NULL AND until <= ?`),
+};
+
+// Plugin error log, one row per distinct error (hash) with the latest context
+STMTS.errors = {
+    record: sqlite.query(
+        `INSERT INTO errors (hash, plugin, name, message, stack, command, chat, sender, first_at, last_at)
+         VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?9)
+         ON CONFLICT(hash) DO UPDATE SET
+            count = count + 1, stack = ?5, command = ?6, chat = ?7, sender = ?8, last_at = ?9
+         RETURNING *`
+    ),
+    get: sqlite.query(`SELECT * FROM errors WHERE id = ?`),
+    list: sqlite.query(
+        `SELECT id, plugin, name, message, count, last_at FROM errors ORDER BY last_at DESC LIMIT ?`
+    ),
+    reported: sqlite.query(`UPDATE errors SET reported_at = ? WHERE id = ?`),
+    clear: sqlite.query(`DELETE FROM errors`),
+    prune: sqlite.query(`DELETE FROM errors WHERE last_at < ?`),
+};
+
+// Scheduled jobs (cron is NULL for one-shot jobs)
+STMTS.jobs = {
+    // Plugins re-register cron jobs on every start: an unchanged expression keeps
+    // the stored run_at, so a run missed while the bot was down is still caught up
+    upsert: sqlite.query(
+        `INSERT INTO jobs (key, name, cron, run_at, payload, chat, created_by, created_at, grace)
+         VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9)
+         ON CONFLICT(key) DO UPDATE SET
+            name = ?2, cron = ?3, payload = ?5, chat = ?6, grace = ?9,
+            run_at = CASE WHEN cron IS NOT NULL AND cron IS ?3 THEN run_at ELSE ?4 END
+         RETURNING *`
+    ),
+    get: sqlite.query(`SELECT * FROM jobs WHERE id = ?`),
+    due: sqlite.query(`SELECT * FROM jobs WHERE paused = 0 AND run_at <= ? ORDER BY run_at`),
+    list: sqlite.query(
+        `SELECT * FROM jobs WHERE ?1 IS NULL OR chat = ?1 ORDER BY paused, run_at LIMIT ?2`
+    ),
+    reschedule: sqlite.query(`UPDATE jobs SET run_at = ? WHERE id = ?`),
+    finish: sqlite.query(
+        `UPDATE jobs SET run_at = ?, runs = runs + 1, last_run = ?, last_error = ? WHERE id = ?`
+    ),
+    pause: sqlite.query(`UPDATE jobs SET paused = ? WHERE id = ?`),
+    remove: sqlite.query(`DELETE FROM jobs WHERE id = ?`),
+};
+
+// Third-party plugins installed under plugins/external (files is a JSON array)
+STMTS.externalPlugins = {
+    get: sqlite.query(`SELECT * FROM external_plugins WHERE name = ?`),
+    list: sqlite.query(`SELECT * FROM external_plugins ORDER BY name`),
+    upsert: sqlite.query(
+        `INSERT INTO external_plugins
+            (name, source, kind, version, checksum, files, installed_by, installed_at, updated_at)
+         VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?8)
+         ON CONFLICT(name) DO UPDATE SET
+            source = ?2, kind = ?3, version = ?4, checksum = ?5, files = ?6, updated_at = ?8
+         RETURNING *`
+    ),
+    remove: sqlite.query(`DELETE FROM external_plugins WHERE name = ?`),
+};
+
+/**
+ * Days of command analytics kept in the database
+ * @private
+ * @constant {number}
+ */
+const STATS_RETENTION_DAYS = 90;
+
 /**
  * LRU cache for database rows
  * @class RowCache
@@ -736,6 +1030,178 @@ class DataWrapper {
                 return result;
             },
         };
+
+        // Per-chat command alias interface
+        this.aliases = {
+            get: (chat, name) => STMTS.aliases.get.get(chat, name)?.target || null,
+            set: (chat, name, target) => {
+                STMTS.aliases.set.run(chat, name, target);
+                return true;
+            },
+            delete: (chat, name) => STMTS.aliases.delete.run(chat, name).changes > 0,
+            list: (chat) => STMTS.aliases.list.all(chat),
+        };
+
+        // Per-chat custom command interface
+        this.macros = {
+            get: (chat, name) => STMTS.macros.get.get(chat, name) || null,
+            set: (chat, name, { text = "", type = null, media = null, mimetype = null, by }) => {
+                STMTS.macros.set.run(
+                    chat,
+                    name,
+                    text,
+                    type,
+                    media,
+                    mimetype,
+                    by || null,
+                    Date.now()
+                );
+                return true;
+            },
+            delete: (chat, name) => STMTS.macros.delete.run(chat, name).changes > 0,
+            list: (chat) => STMTS.macros.list.all(chat),
+        };
+
+        // User role interface (user is the resolved LID number, jid the full JID for mentions)
+        this.roles = {
+            get: (user, scope) => STMTS.roles.get.all(user, scope).map((r) => r.role),
+            add: (user, role, scope = "global", by = null, jid = null) =>
+                STMTS.roles.add.run(user, role, scope, by, Date.now(), jid).changes > 0,
+            remove: (user, role, scope = "global") =>
+                STMTS.roles.remove.run(user, role, scope).changes > 0,
+            list: (scope) => STMTS.roles.list.all(scope),
+        };
+
+        // Per-chat plugin switch interface
+        this.chatPlugins = {
+            list: (chat) => STMTS.chatPlugins.list.all(chat),
+            disable: (chat, kind, name) =>
+                STMTS.chatPlugins.disable.run(chat, kind, name).changes > 0,
+            enable: (chat, kind, name) =>
+                STMTS.chatPlugins.enable.run(chat, kind, name).changes > 0,
+        };
+
+        // Global ban interface (user is the resolved LID or phone number, jid the
+        // full JID the ban was made with, used for mentions)
+        this.bans = {
+            get: (...users) => {
+                const now = Date.now();
+                for (const user of users) {
+                    const ban = user && STMTS.bans.get.get(user, now);
+                    if (ban) return ban;
+                }
+                return null;
+            },
+            add: (user, { reason = null, until = null, by = null, jid = null } = {}) => {
+                STMTS.bans.add.run(user, reason, until, by, Date.now(), jid);
+                return true;
+            },
+            remove: (user) => STMTS.bans.remove.run(user).changes > 0,
+            list: (limit = 50) => {
+                STMTS.bans.prune.run(Date.now());
+                return STMTS.bans.list.all(Date.now(), limit);
+            },
+            notified: (user) => STMTS.bans.notified.run(user).changes > 0,
+        };
+
+        // Plugin error log interface
+        this.errors = {
+            record: ({ hash, plugin, name, message, stack, command, chat, sender }) => {
+                const now = Date.now();
+                STMTS.errors.prune.run(now - STATS_RETENTION_DAYS * 86400000);
+                return STMTS.errors.record.get(
+                    hash,
+                    plugin,
+                    name,
+                    message,
+                    stack,
+                    command,
+                    chat,
+                    sender,
+                    now
+                );
+            },
+            get: (id) => STMTS.errors.get.get(id),
+            list: (limit = 10) => STMTS.errors.list.all(limit),
+            reported: (id) => STMTS.errors.reported.run(Date.now(), id).changes > 0,
+            clear: () => STMTS.errors.clear.run().changes,
+        };
+
+        // Scheduled job storage (see core/scheduler for the runtime)
+        this.jobs = {
+            upsert: ({ key, name, cron = null, runAt, payload, chat, by, grace = null }) =>
+                STMTS.jobs.upsert.get(
+                    key,
+                    name,
+                    cron,
+                    runAt,
+                    JSON.stringify(payload ?? null),
+                    chat || null,
+                    by || null,
+                    Date.now(),
+                    grace
+                ),
+            get: (id) => STMTS.jobs.get.get(id),
+            due: (now = Date.now()) => STMTS.jobs.due.all(now),
+            list: (chat = null, limit = 50) => STMTS.jobs.list.all(chat, limit),
+            reschedule: (id, runAt) => STMTS.jobs.reschedule.run(runAt, id).changes > 0,
+            finish: (id, nextRun, error = null) =>
+                STMTS.jobs.finish.run(nextRun, Date.now(), error, id).changes > 0,
+            pause: (id, paused = true) => STMTS.jobs.pause.run(paused ? 1 : 0, id).changes > 0,
+            remove: (id) => STMTS.jobs.remove.run(id).changes > 0,
+        };
+
+        // Installed third-party plugin records (see core/installer)
+        const parseFiles = (row) => row && { ...row, files: JSON.parse(row.files || "[]") };
+        this.externalPlugins = {
+            get: (name) => parseFiles(STMTS.externalPlugins.get.get(name)),
+            list: () => STMTS.externalPlugins.list.all().map(parseFiles),
+            upsert: ({ name, source, kind, version = null, checksum, files, by = null }) =>
+                parseFiles(
+                    STMTS.externalPlugins.upsert.get(
+                        name,
+                        source,
+                        kind,
+                        version,
+                        checksum,
+                        JSON.stringify(files),
+                        by,
+                        Date.now()
+                    )
+                ),
+            remove: (name) => STMTS.externalPlugins.remove.run(name).changes > 0,
+        };
+
+        // Command usage analytics interface
+        let inserts = 0;
+        this.stats = {
+            record: ({ plugin, command, chat, sender, duration = 0, outcome, error = null }) => {
+                try {
+                    STMTS.stats.insert.run(
+                        Date.now(),
+                        plugin,
+                        command,
+                        chat,
+                        sender || null,
+                        Math.round(duration),
+                        outcome,
+                        error
+                    );
+
+                    // Drop expired rows now and then
+                    if (++inserts % 1000 === 1) {
+                        STMTS.stats.prune.run(Date.now() - STATS_RETENTION_DAYS * 86400000);
+                    }
+                } catch (e) {
+                    logger.warn({ error: e.message }, "Stats record failed");
+                }
+            },
+            summary: (since) => STMTS.stats.summary.get(since),
+            top: (since, limit = 10) => STMTS.stats.top.all(since, limit),
+            failing: (since, limit = 5) => STMTS.stats.failing.all(since, limit),
+            slowest: (since, limit = 5) => STMTS.stats.slowest.all(since, limit),
+            chats: (since, limit = 5) => STMTS.stats.chats.all(since, limit),
+        };
     }
 
     /**
@@ -940,6 +1406,38 @@ const FAILURE_MESSAGES = {
         title: "[ACCESS BLOCKED]",
         body: "This feature is currently restricted or disabled by configuration.",
     },
+    role: {
+        title: "[ACCESS DENIED]",
+        body: ({ roles = [] }) =>
+            `This command requires the ${roles.join(" or ")} role.\nAsk an owner or group admin to grant it.`,
+    },
+    banned: {
+        title: "[ACCESS REVOKED]",
+        body: ({ reason, until }) =>
+            `You are banned from using this bot${until ? ` for ${formatDuration(until - Date.now())}` : ""}.` +
+            (reason ? `\nReason: ${reason}` : ""),
+    },
+    timeout: {
+        title: "[TIMED OUT]",
+        body: ({ timeout }) =>
+            `This command took longer than ${formatDuration(timeout)} and was stopped.\nPlease try again later.`,
+    },
+    cancelled: {
+        title: "[CANCELLED]",
+        body: "This command was cancelled by the bot owner.",
+    },
+    cooldown: {
+        title: "[RATE LIMITED]",
+        body: ({ wait, reason }) =>
+            reason === "limit"
+                ? `Usage limit reached for this command.\nTry again in ${formatDuration(wait)}.`
+                : `This command is on cooldown.\nPlease wait ${formatDuration(wait)}.`,
+    },
+    unavailable: {
+        title: "[UNAVAILABLE]",
+        body: ({ reason }) =>
+            `This command cannot run on this bot right now: ${reason}.\nAsk the bot owner to fix it.`,
+    },
 };
 
 /**
@@ -947,18 +1445,22 @@ const FAILURE_MESSAGES = {
  * @global
  * @async
  * @function dfail
- * @param {string} type - Failure type (owner, group, admin, botAdmin, restrict)
+ * @param {string} type - Failure type (owner, group, admin, botAdmin, restrict, role, banned,
+ *   timeout, cancelled, cooldown, unavailable)
  * @param {Object} m - Message object
  * @param {Object} conn - Connection object
+ * @param {Object} [info] - Extra details for dynamic messages (e.g. {wait} for cooldown)
  * @returns {Promise<void>}
  */
-global.dfail = async (type, m, conn) => {
+global.dfail = async (type, m, conn, info = {}) => {
     if (!type || !m || !conn || !m.chat) return;
 
     const failureConfig = FAILURE_MESSAGES[type];
     if (!failureConfig) return;
 
-    const messageText = `\`\`\`\n${failureConfig.title}\n${failureConfig.body}\n\`\`\``;
+    const body =
+        typeof failureConfig.body === "function" ? failureConfig.body(info) : failureConfig.body;
+    const messageText = `\`\`\`\n${failureConfig.title}\n${body}\n\`\`\``;
 
     try {
         // Send with rich preview if thumbnail available
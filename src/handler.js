@@ -8,6 +8,17 @@
  */
 
 import { smsg } from "#core/smsg.js";
+import { limiter } from "#core/ratelimit.js";
+import { isCmdMatch, commandNames, suggest, chatSwitches, isChatDisabled } from "#core/commands.js";
+import { middleware } from "#core/middleware.js";
+import { parseParams, formatUsage } from "#core/params.js";
+import { sessions } from "#core/session.js";
+import { tasks, TimeoutError, CancelError } from "#core/tasks.js";
+import { reporter } from "#core/reporter.js";
+import { callbacks } from "#core/callbacks.js";
+import { edits } from "#core/edits.js";
+import { pipeline } from "#core/pipeline.js";
+import { chatQueue } from "#core/chatqueue.js";
 import { join, dirname } from "node:path";
 
 /**
@@ -34,16 +45,48 @@ const safe = async (fn, fallback = undefined) => {
 };
 
 /**
- * Determines the command prefix to use (plugin-specific or global)
+ * Determines the command prefix to use (plugin, chat or global)
  * @function parsePrefix
  * @param {string|RegExp|Array} connPrefix - Global connection prefix
  * @param {string|RegExp|Array} pluginPrefix - Plugin-specific prefix
+ * @param {Object|null} chat - Chat settings row (prefix, noprefix)
  * @returns {string|RegExp|Array} Effective prefix to use
+ *
+ * @precedence
+ * 1. Plugin customPrefix
+ * 2. Per-chat prefix (.setprefix)
+ * 3. Connection prefix, then CMD_PREFIX_RE
+ * In no-prefix mode the chosen prefix becomes optional.
  */
-const parsePrefix = (connPrefix, pluginPrefix) => {
+const parsePrefix = (connPrefix, pluginPrefix, chat = null) => {
     if (pluginPrefix) return pluginPrefix;
-    if (connPrefix) return connPrefix;
-    return CMD_PREFIX_RE;
+    const prefix = chat?.prefix || connPrefix || CMD_PREFIX_RE;
+    return chat?.noprefix ? optionalPrefix(prefix) : prefix;
+};
+
+/**
+ * Builds a regex that matches a prefix or nothing
+ * @function optionalPrefix
+ * @param {string|RegExp|Array} prefix - Prefix to make optional
+ * @returns {RegExp} Regex that always matches at the start of text
+ */
+const optionalPrefix = (prefix) => {
+    const sources = [].concat(prefix).map((p) => {
+        if (p instanceof RegExp) return p.source.replace(/^\^/, "");
+        return p.replace(/[|\\{}()[\]^$+*?.]/g, "\\$&");
+    });
+    return new RegExp(`^(?:${sources.join("|")})?`, "i");
+};
+
+/**
+ * Reads a chat's settings row without creating one for unknown chats
+ * @function getChatRow
+ * @param {string} jid - Chat JID
+ * @returns {Object|null} Chat row or null
+ */
+const getChatRow = (jid) => {
+    const chats = global.db?.data?.chats;
+    return chats && jid in chats ? chats[jid] : null;
 };
 
 /**
@@ -76,47 +119,157 @@ const matchPrefix = (prefix, text) => {
 };
 
 /**
- * Checks if command matches plugin command rules
- * @function isCmdMatch
- * @param {string} cmd - Command to check
- * @param {string|RegExp|Array} rule - Command matching rule
- * @returns {boolean} True if command matches
+ * Splits prefixed text into prefix, command and remainder
+ * @function parseCommand
+ * @param {string|RegExp|Array} prefix - Prefix to match
+ * @param {string} text - Message text
+ * @returns {Object|null} {usedPrefix, command, rest} or null if not a command
+ */
+const parseCommand = (prefix, text) => {
+    const match = matchPrefix(prefix, text).find((p) => p[1]);
+    const usedPrefix = (match?.[0] || "")[0];
+    if (usedPrefix === undefined) return null;
+
+    const [rawCmd = "", ...rest] = text.replace(usedPrefix, "").trim().split(/\s+/);
+    if (!rawCmd) return null;
+
+    return { usedPrefix, command: rawCmd.toLowerCase(), rest: rest.join(" ") };
+};
+
+/**
+ * Rewrites a message whose command is a per-chat alias
+ * @function applyAlias
+ * @param {Object} m - Message object
+ * @param {Object|null} parsed - Result of parseCommand
+ * @returns {Object|null} Parsed command after alias expansion
+ */
+const applyAlias = (m, parsed) => {
+    if (!parsed) return parsed;
+
+    const target = global.db?.aliases?.get(m.chat, parsed.command);
+    if (!target) return parsed;
+
+    const text = [parsed.usedPrefix + target, parsed.rest].filter(Boolean).join(" ");
+
+    // Shadow the prototype getter so plugins see the expanded text
+    Object.defineProperty(m, "text", { value: text, configurable: true, enumerable: true });
+
+    return parseCommand(parsed.usedPrefix, text);
+};
+
+/**
+ * Checks whether a parsed command belongs to an enabled plugin
+ * @function isKnownCommand
+ * @param {Object|null} parsed - Result of parseCommand
+ * @returns {boolean} True if some plugin answers to the command
  */
-const isCmdMatch = (cmd, rule) => {
-    if (rule instanceof RegExp) return rule.test(cmd);
-    if (Array.isArray(rule))
-        return rule.some((r) => (r instanceof RegExp ? r.test(cmd) : r === cmd));
-    if (typeof rule === "string") return rule === cmd;
-    return false;
+const isKnownCommand = (parsed) => {
+    if (!parsed) return false;
+    return Object.values(global.plugins || {}).some(
+        (p) => typeof p === "function" && !p.disabled && isCmdMatch(parsed.command, p.command)
+    );
 };
 
 /**
- * Resolves LID (Local ID) from various sender formats
+ * Resolves the sender's identities and whether they own the bot
  * @async
- * @function resolveLid
- * @param {string} sender - Sender identifier
+ * @function identifySender
  * @param {Object} conn - Connection object
- * @returns {Promise<string>} Resolved LID
+ * @param {Object} m - Message object
+ * @returns {Promise<Object>} {senderLid, senderPhone, senderResolvedPhone, regOwners, isOwner}
  */
-const resolveLid = async (sender, conn) => {
-    if (!sender || typeof sender !== "string") {
-        return sender || "";
+const identifySender = async (conn, m) => {
+    const senderLid = await conn.resolveLid(m.sender);
+    const senderPhone = m.sender.split("@")[0]; // Phone number without @s.whatsapp.net
+    const regOwners = global.config.owner.map((id) => id.toString().split("@")[0]);
+
+    // Also try to resolve phone from LID if sender is using LID
+    let senderResolvedPhone = senderPhone;
+    if (m.sender.endsWith("@lid")) {
+        try {
+            const pnMapping = await conn.signalRepository?.lidMapping?.getPNForLID?.(m.sender);
+            if (pnMapping) {
+                senderResolvedPhone = pnMapping.split("@")[0];
+            }
+        } catch {
+            // Ignore resolution errors
+        }
     }
 
-    if (sender.endsWith("@lid")) {
-        return sender.split("@")[0];
+    // Check if sender is the bot's own number (primary owner)
+    const botPhone = conn.user?.id?.split(":")[0] || conn.user?.id?.split("@")[0] || "";
+    const pairingNumber = global.config.pairingNumber || "";
+    const isBotSelf = senderPhone === botPhone || senderPhone === pairingNumber;
+
+    const isOwner = m.fromMe ||
+        isBotSelf ||
+        regOwners.includes(senderLid) ||
+        regOwners.includes(senderPhone) ||
+        regOwners.includes(senderResolvedPhone);
+
+    return { senderLid, senderPhone, senderResolvedPhone, regOwners, isOwner };
+};
+
+/**
+ * Checks whether a message calls a plugin that skips the chat queue
+ * @function isImmediate
+ * @param {Object} conn - Connection object
+ * @param {Object} m - Message object
+ * @returns {boolean} True if a plugin with handler.immediate answers to it
+ */
+const isImmediate = (conn, m) => {
+    if (m.edited || typeof m.text !== "string") return false;
+
+    const chatRow = getChatRow(m.chat);
+    const chatPrefix = chatRow && {
+        prefix: chatRow.prefix,
+        noprefix: !m.isGroup && !!chatRow.noprefix,
+    };
+    const parsed = parseCommand(parsePrefix(conn.prefix, null, chatPrefix), m.text);
+    if (!parsed) return false;
+
+    return Object.values(global.plugins || {}).some(
+        (p) =>
+            typeof p === "function" &&
+            p.immediate &&
+            !p.disabled &&
+            isCmdMatch(parsed.command, p.command)
+    );
+};
+
+/**
+ * Replies with the closest visible commands for an unknown command
+ * @async
+ * @function replySuggestions
+ * @param {Object} m - Message object
+ * @param {Object} parsed - Result of parseCommand
+ * @param {boolean} isOwner - Is sender owner
+ * @param {boolean} isAdmin - Is sender group admin
+ * @param {Object} [switches] - Chat plugin switches (hides disabled commands)
+ * @returns {Promise<void>}
+ */
+const replySuggestions = async (m, parsed, isOwner, isAdmin, switches) => {
+    const candidates = [];
+
+    for (const [name, plugin] of Object.entries(global.plugins || {})) {
+        if (typeof plugin !== "function" || plugin.disabled || plugin.customPrefix) continue;
+        if (switches && isChatDisabled(switches, name, plugin)) continue;
+        if (plugin.owner && !isOwner) continue;
+        if (plugin.admin && !isAdmin && !isOwner) continue;
+        candidates.push(...commandNames(plugin));
     }
 
-    if (sender.endsWith("@s.whatsapp.net")) {
-        const resolved = await conn.signalRepository.lidMapping.getLIDForPN(sender);
-        if (resolved) {
-            return typeof resolved === "string" && resolved.endsWith("@lid")
-                ? resolved.split("@")[0]
-                : resolved;
-        }
+    for (const alias of global.db?.aliases?.list(m.chat) || []) {
+        candidates.push(alias.name);
     }
 
-    return sender.split("@")[0];
+    const matches = suggest(parsed.command, candidates);
+    if (!matches.length) return;
+
+    await m.reply(
+        `Unknown command: ${parsed.usedPrefix + parsed.command}\n` +
+            `Did you mean: ${matches.map((c) => parsed.usedPrefix + c).join(", ")}?`
+    );
 };
 
 /**
@@ -160,9 +313,16 @@ const getGroupMetadata = async (conn, chat) => {
  * @param {boolean} isAdmin - Is sender group admin
  * @param {boolean} isBotAdmin - Is bot group admin
  * @param {Object} chat - Chat data
+ * @param {Array<string>} [roles] - Sender roles in this chat (global and group scope)
+ * @param {Object} [plugin] - Matched plugin, for handler.roles requirements
  * @returns {Object} Permission result {allowed: boolean, reason: string}
+ *
+ * @roles
+ * - "banned" silently blocks every command
+ * - handler.roles = ["moderator"] requires any one of the listed roles
+ * - Owners bypass role checks
  */
-const checkPermissions = (m, settings, isOwner, isAdmin, isBotAdmin, chat) => {
+const checkPermissions = (m, settings, isOwner, isAdmin, isBotAdmin, chat, roles = [], plugin) => {
     // Self-only mode (only owner can use)
     if (!m.fromMe && settings?.self && !isOwner) {
         return { allowed: false, reason: "self" };
@@ -183,9 +343,204 @@ const checkPermissions = (m, settings, isOwner, isAdmin, isBotAdmin, chat) => {
         return { allowed: false, reason: "mute" };
     }
 
+    // Banned users are ignored everywhere
+    if (!isOwner && roles.includes("banned")) {
+        return { allowed: false, reason: "banned" };
+    }
+
+    // Plugin role requirements
+    const required = [].concat(plugin?.roles || []);
+    if (!isOwner && required.length && !required.some((r) => roles.includes(r))) {
+        return { allowed: false, reason: "role", roles: required };
+    }
+
     return { allowed: true };
 };
 
+/**
+ * Executes a plugin through the middleware chain and its own before/after hooks
+ * @async
+ * @function runPlugin
+ * @param {Object} conn - Connection object
+ * @param {Function} plugin - Plugin handler
+ * @param {string} name - Plugin registry name
+ * @param {Object} m - Message object
+ * @param {Object} extra - Plugin context object
+ * @returns {Promise<Object>} Invocation context {result, error, duration, skipped}
+ * @throws {Error} Plugin or middleware error (after hooks have observed it)
+ * @throws {TimeoutError|CancelError} When the run is aborted (extra.signal)
+ *
+ * @hooks
+ * - global.middleware chain wraps everything below
+ * - plugin.before(m, extra): return false to skip execution
+ * - plugin.after(m, extra, ctx): observes result, error and duration
+ */
+const runPlugin = async (conn, plugin, name, m, extra) => {
+    const task = tasks.start(
+        { name, command: extra.command, chat: m.chat, sender: m.sender },
+        tasks.limitFor(plugin)
+    );
+    extra.signal = task.signal;
+
+    const ctx = { m, extra, plugin, name, conn, task, result: undefined, error: null, duration: 0 };
+
+    try {
+        await runChain(conn, plugin, m, ctx);
+    } catch (e) {
+        ctx.error ||= e;
+        throw e;
+    } finally {
+        tasks.finish(task);
+        const outcome = ctx.error ? "error" : ctx.skipped ? "skipped" : "ok";
+        recordCommand(m, name, extra.command, outcome, ctx);
+    }
+
+    return ctx;
+};
+
+/**
+ * Runs the middleware chain and plugin hooks for an invocation context
+ * @async
+ * @function runChain
+ * @param {Object} conn - Connection object
+ * @param {Function} plugin - Plugin handler
+ * @param {Object} m - Message object
+ * @param {Object} ctx - Invocation context
+ * @returns {Promise<void>}
+ */
+const runChain = async (conn, plugin, m, ctx) => {
+    await middleware.run(ctx, async () => {
+        if (typeof plugin.before === "function") {
+            if ((await plugin.before.call(conn, m, ctx.extra)) === false) {
+                ctx.skipped = true;
+                return;
+            }
+        }
+
+        const started = performance.now();
+        try {
+            ctx.result = await tasks.guard(ctx.task, plugin.call(conn, m, ctx.extra));
+        } catch (e) {
+            ctx.error = e;
+        } finally {
+            ctx.duration = Math.round(performance.now() - started);
+        }
+
+        if (typeof plugin.after === "function") {
+            await safe(() => plugin.after.call(conn, m, ctx.extra, ctx));
+        }
+
+        if (ctx.error) throw ctx.error;
+    });
+};
+
+/**
+ * Records a command invocation in the analytics table
+ * @function recordCommand
+ * @param {Object} m - Message object
+ * @param {string} name - Plugin registry name
+ * @param {string} command - Command as typed
+ * @param {string} outcome - ok | error | skipped | denied | invalid
+ * @param {Object} [info] - {duration, error} (error may be an Error or a denial type)
+ */
+const recordCommand = (m, name, command, outcome, { duration = 0, error = null } = {}) => {
+    m.outcome = outcome;
+    global.db?.stats?.record({
+        plugin: name,
+        command,
+        chat: m.chat,
+        sender: m.sender,
+        duration,
+        outcome,
+        error: typeof error === "string" ? error : error?.name || error?.constructor?.name || null,
+    });
+};
+
+/**
+ * Sends a per-chat custom command, filling in its variables
+ * @async
+ * @function replyMacro
+ * @param {Object} conn - Connection object
+ * @param {Object} m - Message object
+ * @param {Object} macro - Stored macro row (text, type, media, mimetype)
+ * @param {Object} groupMetadata - Group metadata ({} in private chats)
+ * @returns {Promise<Object>} Sent message
+ *
+ * @variables
+ * - {user} mentions the sender
+ * - {group} is the group subject (chat name in private chats)
+ * - {membercount} is the number of group members
+ */
+const replyMacro = async (conn, m, macro, groupMetadata) => {
+    const vars = {
+        user: `@${m.sender.split("@")[0]}`,
+        group: groupMetadata.subject || (await safe(() => conn.getName(m.chat), "")),
+        membercount: String(m.isGroup ? groupMetadata.participants?.length || 0 : 2),
+    };
+    const text = (macro.text || "").replace(
+        /\{(user|group|membercount)\}/gi,
+        (_, key) => vars[key.toLowerCase()]
+    );
+    const mentions = text.includes(vars.user) ? [m.sender] : [];
+
+    if (!macro.type) return conn.sendMessage(m.chat, { text, mentions }, { quoted: m });
+
+    const content = { [macro.type]: Buffer.from(macro.media), mentions };
+    if (macro.mimetype) content.mimetype = macro.mimetype;
+    if (["image", "video", "document"].includes(macro.type) && text) content.caption = text;
+    if (macro.type === "document") content.fileName = macro.name;
+
+    return conn.sendMessage(m.chat, content, { quoted: m });
+};
+
+/**
+ * Runs a command pipeline, feeding each stage's output to the next as m.quoted
+ * @async
+ * @function runPipeline
+ * @param {Object} conn - Connection object
+ * @param {Object} m - Serialized message holding the whole pipeline
+ * @param {Array<string>} stages - Command text of each stage
+ * @param {Object} chatUpdate - Upsert batch the message arrived in
+ * @returns {Promise<void>}
+ */
+const runPipeline = async (conn, m, stages, chatUpdate) => {
+    const botJid = conn.decodeJid(conn.user.lid || conn.user.id);
+    const captures = [];
+    let input = null;
+
+    try {
+        for (const [i, text] of stages.entries()) {
+            const stage = smsg(conn, pipeline.stage(m, text, input, botJid));
+            stage.pipeline = true;
+            if (m.edited) stage.edited = true;
+
+            // The last stage answers the chat directly
+            if (i === stages.length - 1) {
+                await processMessage.call(conn, stage, chatUpdate);
+                return;
+            }
+
+            const capture = await pipeline.capture(m.chat, () =>
+                processMessage.call(conn, stage, chatUpdate)
+            );
+            captures.push(capture);
+            input = pipeline.output(capture);
+
+            // Show why the chain stopped: usage text, denial, error or nothing to pass on
+            if (stage.outcome !== "ok" || !input) {
+                await pipeline.flush(capture, conn);
+                if (stage.outcome === "ok") {
+                    const command = text.split(/\s+/)[0];
+                    await m.reply(`${command} produced nothing to pass to the next command.`);
+                }
+                return;
+            }
+        }
+    } finally {
+        pipeline.release(captures);
+    }
+};
+
 /**
  * Logs command execution for debugging and monitoring
  * @async
@@ -272,17 +627,30 @@ async function printMessage(
  * @throws {Error} On critical handler errors
  *
  * @workflow
- * 1. Validate and serialize incoming message
- * 2. Check permissions and user roles
- * 3. Match command against registered plugins
- * 4. Execute plugin with appropriate context
- * 5. Log execution and mark as read
+ * 1. Skip history appends, serialize each message in the batch
+ * 2. Schedule per chat (ordered, bounded concurrency) and check permissions;
+ *    owners' handler.immediate commands (.cancel) skip the queue
+ * 3. Expand per-chat aliases and deliver replies to pending conn.ask() sessions
+ * 4. Match command against registered plugins
+ * 5. Execute plugin through middleware chain and before/after hooks
+ * 6. Suggest close matches when no plugin matched
+ * 7. Log execution and mark as read
  *
  * @security
  * - Validates user permissions before execution
  * - Isolates plugin execution with try-catch
- * - Rate limiting via message queue (external)
+ * - Per-plugin cooldowns and rate limits (handler.cooldown, handler.limit)
  * - Input sanitization for command arguments
+ * - Declared argument schemas validated into extra.params (handler.params)
+ * - Every invocation recorded in command_stats (outcome, duration, error class)
+ * - Plugins and tags switched off per chat are ignored (.plugin off)
+ * - Globally banned senders are ignored (.ban), with a one-time notice
+ * - Each run gets extra.signal and a time limit (handler.timeout, .cancel)
+ * - Plugin errors are stored and reported to owners (.errors)
+ * - Button presses with registered callbacks run before command matching
+ * - Edited commands run again within EDIT_WINDOW and edit their earlier replies
+ * - Pipelines (".a | .b") hold every stage's messages except the last one's
+ * - Per-chat custom commands (.addcmd) only answer when no plugin matched
  */
 export async function handler(chatUpdate) {
     try {
@@ -294,28 +662,47 @@ export async function handler(chatUpdate) {
         const messages = chatUpdate.messages;
         if (!messages || messages.length === 0) return;
 
-        // Get last message and serialize
-        const m = smsg(this, messages[messages.length - 1]);
-        if (!m || m.isBaileys) return;
+        // History sync is stored but never executed
+        if (chatUpdate.type === "append") return;
 
-        // Load settings and determine ownership
-        const settings = global.db?.data?.settings?.[this.user.lid] || {};
-        const senderLid = await resolveLid(m.sender, this);
-        const senderPhone = m.sender.split("@")[0]; // Phone number without @s.whatsapp.net
-        const regOwners = global.config.owner.map((id) => id.toString().split("@")[0]);
-
-        // Also try to resolve phone from LID if sender is using LID
-        let senderResolvedPhone = senderPhone;
-        if (m.sender.endsWith("@lid")) {
-            try {
-                const pnMapping = await this.signalRepository?.lidMapping?.getPNForLID?.(m.sender);
-                if (pnMapping) {
-                    senderResolvedPhone = pnMapping.split("@")[0];
-                }
-            } catch {
-                // Ignore resolution errors
+        // Serialize every message and schedule it in its chat's lane
+        for (const raw of messages) {
+            // Recent edits run again as the original message with the new text
+            const edit = edits.unwrap(raw);
+            const source = edit && (await edits.allowed(this, edit.key)) ? edit : raw;
+
+            const m = smsg(this, source);
+            if (!m || m.isBaileys || !m.chat) continue;
+            if (source === edit) m.edited = true;
+
+            // Owner commands like .cancel must not wait behind the command they stop
+            if (isImmediate(this, m) && (await identifySender(this, m)).isOwner) {
+                processMessage.call(this, m, chatUpdate);
+                continue;
             }
+
+            chatQueue.push(m.chat, () => processMessage.call(this, m, chatUpdate));
         }
+    } catch (e) {
+        global.logger.error({ error: e.message, stack: e.stack }, "Handler error");
+    }
+}
+
+/**
+ * Processes a single serialized message
+ * @async
+ * @function processMessage
+ * @param {Object} m - Serialized message
+ * @param {Object} chatUpdate - Upsert batch the message arrived in
+ * @this {Object} Connection context
+ * @returns {Promise<void>}
+ */
+async function processMessage(m, chatUpdate) {
+    try {
+        // Load settings and determine ownership
+        const settings = global.db?.data?.settings?.[this.user.lid] || {};
+        const { senderLid, senderPhone, senderResolvedPhone, regOwners, isOwner } =
+            await identifySender(this, m);
 
         // Debug logging for owner check
         if (m.text?.startsWith(".")) {
@@ -332,17 +719,6 @@ export async function handler(chatUpdate) {
             }, "Owner check debug");
         }
 
-        // Check if sender is the bot's own number (primary owner)
-        const botPhone = this.user?.id?.split(":")[0] || this.user?.id?.split("@")[0] || "";
-        const pairingNumber = global.config.pairingNumber || "";
-        const isBotSelf = senderPhone === botPhone || senderPhone === pairingNumber;
-
-        const isOwner = m.fromMe ||
-            isBotSelf ||
-            regOwners.includes(senderLid) ||
-            regOwners.includes(senderPhone) ||
-            regOwners.includes(senderResolvedPhone);
-
         // Group-specific variables
         let groupMetadata = {};
         let participants = [];
@@ -370,9 +746,62 @@ export async function handler(chatUpdate) {
         const __dirname = dirname(Bun.fileURLToPath(import.meta.url));
         const pluginDir = join(__dirname, "./plugins");
 
+        // Roles granted globally or in this chat
+        const roles = global.db?.roles?.get(senderLid, m.chat) || [];
+
+        // Plugins and tags switched off in this chat
+        const switches = chatSwitches(m.chat);
+
         let commandMatched = false;
         let matchedKey = null;
 
+        // Expand per-chat aliases before plugin matching
+        const rawText = typeof m.text === "string" ? m.text : "";
+        // Per-chat prefix; no-prefix mode only applies to private chats
+        const chatRow = getChatRow(m.chat);
+        const chatPrefix = chatRow && {
+            prefix: chatRow.prefix,
+            noprefix: !m.isGroup && !!chatRow.noprefix,
+        };
+        const basePrefix = parsePrefix(this.prefix, null, chatPrefix);
+        const parsed = applyAlias(m, parseCommand(basePrefix, rawText));
+
+        // Banned senders are ignored; the first command they try gets one notice
+        const ban = !isOwner && global.db?.bans?.get(senderLid, senderResolvedPhone);
+        if (ban) {
+            if (!ban.notified && isKnownCommand(parsed)) {
+                global.db.bans.notified(ban.user);
+                await safe(() => global.dfail("banned", m, this, ban));
+            }
+            return;
+        }
+
+        // Presses of buttons sent with onPress go to their callback
+        if (!m.edited && (await callbacks.dispatch(m, this))) return;
+
+        // Hand follow-up replies to plugins waiting in conn.ask(); commands pass through
+        if (
+            !m.edited &&
+            sessions.has(m.chat, m.sender) &&
+            !isKnownCommand(parsed) &&
+            (await sessions.feed(m))
+        ) {
+            return;
+        }
+
+        // ".a x | .b" runs .b on what .a produced
+        if (!m.pipeline) {
+            const stages = pipeline.split(rawText, (text) => {
+                const stage = parseCommand(basePrefix, text);
+                return (
+                    isKnownCommand(stage) ||
+                    !!global.db?.aliases?.get(m.chat, stage?.command) ||
+                    !!global.db?.macros?.get(m.chat, stage?.command)
+                );
+            });
+            if (stages) return await runPipeline(this, m, stages, chatUpdate);
+        }
+
         // Iterate through all plugins
         for (const name in global.plugins) {
             const plugin = global.plugins[name];
@@ -380,8 +809,8 @@ export async function handler(chatUpdate) {
 
             const __filename = join(pluginDir, name);
 
-            // Execute plugin.all() if exists (runs for all messages)
-            if (typeof plugin.all === "function") {
+            // Execute plugin.all() if exists (runs for all messages, not again for edits)
+            if (typeof plugin.all === "function" && !m.edited && !plugin.unavailable) {
                 await safe(() =>
                     plugin.all.call(this, m, {
                         chatUpdate,
@@ -395,12 +824,13 @@ export async function handler(chatUpdate) {
             if (typeof plugin !== "function") continue;
 
             // Match command prefix
-            const prefix = parsePrefix(this.prefix, plugin.customPrefix);
+            const prefix = parsePrefix(this.prefix, plugin.customPrefix, chatPrefix);
             const body = typeof m.text === "string" ? m.text : "";
             const match = matchPrefix(prefix, body).find((p) => p[1]);
 
-            let usedPrefix;
-            if ((usedPrefix = (match?.[0] || "")[0])) {
+            // Empty string is a valid prefix in no-prefix mode
+            const usedPrefix = (match?.[0] || "")[0];
+            if (usedPrefix !== undefined) {
                 const noPrefix = body.replace(usedPrefix, "");
                 const parts = noPrefix.trim().split(/\s+/);
                 const [rawCmd, ...argsArr] = parts;
@@ -414,8 +844,20 @@ export async function handler(chatUpdate) {
                 matchedKey = m.key;
                 m.plugin = name;
 
+                // Switched off in this chat: ignore quietly
+                if (isChatDisabled(switches, name, plugin)) {
+                    recordCommand(m, name, command, "denied", { error: "disabled" });
+                    break;
+                }
+
                 const chat = global.db?.data?.chats?.[m.chat] || {};
 
+                const fail = plugin.fail || global.dfail;
+                const deny = (type, info) => {
+                    recordCommand(m, name, command, "denied", { error: type });
+                    return fail(type, m, this, info);
+                };
+
                 // Check permissions
                 const permission = checkPermissions(
                     m,
@@ -423,44 +865,84 @@ export async function handler(chatUpdate) {
                     isOwner,
                     isAdmin,
                     isBotAdmin,
-                    chat
+                    chat,
+                    roles,
+                    plugin
                 );
+                if (permission.reason === "role") {
+                    deny("role", { roles: permission.roles });
+                    continue;
+                }
                 if (!permission.allowed) {
                     break;
                 }
 
-                const fail = plugin.fail || global.dfail;
-
                 // Owner-only commands
                 if (plugin.owner && !isOwner) {
-                    fail("owner", m, this);
+                    deny("owner");
                     continue;
                 }
 
                 // Group-only commands
                 if (plugin.group && !m.isGroup) {
-                    fail("group", m, this);
+                    deny("group");
                     continue;
                 }
 
                 // Bot admin requirement
                 if (plugin.botAdmin && !isBotAdmin) {
-                    fail("botAdmin", m, this);
+                    deny("botAdmin");
                     continue;
                 }
 
                 // Group admin requirement
                 if (plugin.admin && !isAdmin) {
-                    fail("admin", m, this);
+                    deny("admin");
                     continue;
                 }
 
+                // handler.requires not met (missing binary, env var or plugin)
+                if (plugin.unavailable) {
+                    deny("unavailable", { reason: plugin.unavailable });
+                    break;
+                }
+
+                // Validate declared arguments before spending any quota
+                let params = {};
+                if (Array.isArray(plugin.params)) {
+                    const out = parseParams(plugin.params, argsArr, m);
+                    if (!out.success) {
+                        recordCommand(m, name, command, "invalid", { error: "params" });
+                        await safe(() =>
+                            m.reply(
+                                `${out.error}\n\n${formatUsage(usedPrefix, command, plugin.params)}`
+                            )
+                        );
+                        break;
+                    }
+                    params = out.params;
+                }
+
+                // Cooldowns and rate limits (owners are exempt)
+                if (!isOwner && (plugin.cooldown || plugin.limit)) {
+                    const quota = limiter.consume(plugin, {
+                        name,
+                        chat: m.chat,
+                        user: senderLid,
+                    });
+                    if (!quota.allowed) {
+                        deny("cooldown", { wait: quota.wait, reason: quota.reason });
+                        break;
+                    }
+                }
+
                 // Prepare context object for plugin
                 const extra = {
                     match,
                     usedPrefix,
                     noPrefix,
                     args: argsArr,
+                    params,
                     command,
                     text,
                     conn: this,
@@ -472,23 +954,80 @@ export async function handler(chatUpdate) {
                     isRAdmin,
                     isAdmin,
                     isBotAdmin,
+                    roles,
                     chatUpdate,
                     __dirname: pluginDir,
                     __filename,
                 };
 
                 try {
-                    // Execute plugin command
-                    await plugin.call(this, m, extra);
+                    // Track replies so an edited command can update them
+                    edits.begin(m);
+
+                    // Execute plugin through middleware and hooks
+                    await runPlugin(this, plugin, name, m, extra);
                 } catch (e) {
-                    global.logger.error(e);
-                    await safe(() => m.reply("Something went wrong."));
+                    if (e instanceof TimeoutError || e instanceof CancelError) {
+                        global.logger.warn({ plugin: name, error: e.message }, "Plugin aborted");
+                        await safe(() => global.loading(m, this, true));
+                        const type = e instanceof TimeoutError ? "timeout" : "cancelled";
+                        await safe(() => global.dfail(type, m, this, { timeout: e.timeout }));
+                    } else {
+                        global.logger.error(e);
+                        const row = await safe(() => reporter.report(this, e, { plugin: name, m }));
+                        const ref = row ? ` Reported as error #${row.id}.` : "";
+                        await safe(() => m.reply(`Something went wrong.${ref}`));
+                    }
                 }
 
                 break; // Stop after first matching plugin
             }
         }
 
+        // Per-chat custom commands (.addcmd) answer when no plugin matched
+        const macro = !commandMatched && parsed && global.db?.macros?.get(m.chat, parsed.command);
+        if (macro) {
+            const chat = global.db?.data?.chats?.[m.chat] || {};
+            const permission = checkPermissions(
+                m,
+                settings,
+                isOwner,
+                isAdmin,
+                isBotAdmin,
+                chat,
+                roles
+            );
+            if (permission.allowed) {
+                commandMatched = true;
+                matchedKey = m.key;
+
+                try {
+                    await replyMacro(this, m, macro, groupMetadata);
+                    recordCommand(m, `macro:${macro.name}`, parsed.command, "ok");
+                } catch (e) {
+                    global.logger.error(e);
+                    recordCommand(m, `macro:${macro.name}`, parsed.command, "error", { error: e });
+                }
+            }
+        }
+
+        // Suggest close matches for unknown commands
+        if (!commandMatched && parsed?.usedPrefix) {
+            const chat = global.db?.data?.chats?.[m.chat] || {};
+            const permission = checkPermissions(
+                m,
+                settings,
+                isOwner,
+                isAdmin,
+                isBotAdmin,
+                chat,
+                roles
+            );
+            if (permission.allowed) {
+                await safe(() => replySuggestions(m, parsed, isOwner, isAdmin, switches));
+            }
+        }
+
         // Log command execution
         await safe(() => printMessage(m, this));
 
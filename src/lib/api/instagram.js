@@ -12,6 +12,8 @@
  * @async
  * @function instagram
  * @param {string} url - Instagram post URL to download
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Stops trying endpoints once aborted
  * @returns {Promise<Object>} Download result object
  *
  * @returns
@@ -30,7 +32,7 @@
  * - Stories and reels
  * - IGTV videos
  */
-export async function instagram(url) {
+export async function instagram(url, { signal } = {}) {
     const encoded = encodeURIComponent(url);
 
     /**
@@ -52,7 +54,8 @@ export async function instagram(url) {
      * @loop
      */
     for (const endpoint of endpoints) {
-        const res = await fetch(endpoint).catch(() => null);
+        signal?.throwIfAborted();
+        const res = await fetch(endpoint, { signal }).catch(() => null);
         if (!res) continue;
 
         const json = await res.json().catch(() => null);
@@ -12,6 +12,8 @@
  * @async
  * @function play
  * @param {string} query - Search query (song title, artist, YouTube URL)
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Stops trying endpoints once aborted
  * @returns {Promise<Object>} Track information and download data
  *
  * @returns
@@ -37,7 +39,7 @@
  * - YouTube URLs: "https://youtube.com/watch?v=..."
  * - YouTube Music URLs: "https://music.youtube.com/watch?v=..."
  */
-export async function play(query) {
+export async function play(query, { signal } = {}) {
     const encoded = encodeURIComponent(query);
 
     /**
@@ -59,7 +61,8 @@ export async function play(query) {
      * @loop
      */
     for (const endpoint of endpoints) {
-        const res = await fetch(endpoint).catch(() => null);
+        signal?.throwIfAborted();
+        const res = await fetch(endpoint, { signal }).catch(() => null);
         if (!res) continue;
 
         let json;
@@ -12,6 +12,8 @@ import { uploader } from "#lib/uploader.js";
  * @async
  * @function remini
  * @param {Buffer} buf - Image buffer to enhance
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Stops trying endpoints once aborted
  * @returns {Promise<Object>} Enhancement result
  * @property {boolean} success - Whether enhancement succeeded
  * @property {string} [resultUrl] - URL of enhanced image
@@ -29,7 +31,7 @@ import { uploader } from "#lib/uploader.js";
  * - Fallback to next API if current fails
  */
 
-export async function remini(buf) {
+export async function remini(buf, { signal } = {}) {
     const up = await uploader(buf).catch(() => null);
     if (!up || !up.url) return { success: false, error: "Upload failed" };
 
@@ -48,7 +50,8 @@ export async function remini(buf) {
     ];
 
     for (const url of urls) {
-        const res = await fetch(url).catch(() => null);
+        signal?.throwIfAborted();
+        const res = await fetch(url, { signal }).catch(() => null);
         if (!res) continue;
         const type = res.headers.get("content-type") || "";
 
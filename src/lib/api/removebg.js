@@ -12,6 +12,8 @@ import { uploader } from "#lib/uploader.js";
  * @async
  * @function removebg
  * @param {Buffer} buf - Image buffer
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Stops trying endpoints once aborted
  * @returns {Promise<Object>} Removal result
  * @property {boolean} success - Whether removal succeeded
  * @property {string} [resultUrl] - URL of image with removed background
@@ -29,7 +31,7 @@ import { uploader } from "#lib/uploader.js";
  * - Fallback to next API if current fails
  */
 
-export async function removebg(buf) {
+export async function removebg(buf, { signal } = {}) {
     const up = await uploader(buf).catch(() => null);
     if (!up || !up.url) return { success: false, error: "Upload failed" };
 
@@ -44,7 +46,8 @@ export async function removebg(buf) {
     ];
 
     for (const url of urls) {
-        const res = await fetch(url).catch(() => null);
+        signal?.throwIfAborted();
+        const res = await fetch(url, { signal }).catch(() => null);
         if (!res) continue;
 
         const type = res.headers.get("content-type") || "";
@@ -12,6 +12,8 @@
  * @async
  * @function spotify
  * @param {string} query - Search query (track title, artist, Spotify URL)
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Stops trying endpoints once aborted
  * @returns {Promise<Object>} Track information and download data
  *
  * @returns
@@ -43,7 +45,7 @@
  * - Audio quality depends on YouTube source availability
  * - Some tracks may be region-restricted or unavailable
  */
-export async function spotify(query) {
+export async function spotify(query, { signal } = {}) {
     const encoded = encodeURIComponent(query);
 
     /**
@@ -64,7 +66,8 @@ export async function spotify(query) {
      * @loop
      */
     for (const endpoint of endpoints) {
-        const res = await fetch(endpoint).catch(() => null);
+        signal?.throwIfAborted();
+        const res = await fetch(endpoint, { signal }).catch(() => null);
         if (!res || !res.ok) continue;
 
         const json = await res.json().catch(() => null);
@@ -12,6 +12,8 @@
  * @async
  * @function spotifydl
  * @param {string} url - Spotify track/playlist/album URL
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Stops trying endpoints once aborted
  * @returns {Promise<Object>} Download result with direct audio URL
  *
  * @returns
@@ -36,7 +38,7 @@
  * - Some tracks may be unavailable due to licensing restrictions
  * - Download URLs may have limited lifetime (temporary links)
  */
-export async function spotifydl(url) {
+export async function spotifydl(url, { signal } = {}) {
     const encoded = encodeURIComponent(url);
 
     /**
@@ -57,7 +59,8 @@ export async function spotifydl(url) {
      * @loop
      */
     for (const endpoint of endpoints) {
-        const res = await fetch(endpoint).catch(() => null);
+        signal?.throwIfAborted();
+        const res = await fetch(endpoint, { signal }).catch(() => null);
         if (!res) continue;
 
         const json = await res.json().catch(() => null);
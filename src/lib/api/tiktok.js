@@ -12,6 +12,8 @@
  * @async
  * @function tiktok
  * @param {string} url - TikTok video or slideshow URL to download
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Stops trying endpoints once aborted
  * @returns {Promise<Object>} Download result with media URLs
  *
  * @returns
@@ -37,7 +39,7 @@
  * - Region-restricted content may not be accessible
  * - Some links may expire or be removed
  */
-export async function tiktok(url) {
+export async function tiktok(url, { signal } = {}) {
     const encoded = encodeURIComponent(url);
 
     /**
@@ -59,7 +61,8 @@ export async function tiktok(url) {
      * @loop
      */
     for (const endpoint of endpoints) {
-        const res = await fetch(endpoint).catch(() => null);
+        signal?.throwIfAborted();
+        const res = await fetch(endpoint, { signal }).catch(() => null);
         if (!res) continue;
 
         const json = await res.json().catch(() => null);
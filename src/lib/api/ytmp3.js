@@ -12,6 +12,8 @@
  * @async
  * @function ytmp3
  * @param {string} url - YouTube video URL to convert
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Stops trying endpoints once aborted
  * @returns {Promise<Object>} Conversion result with MP3 download URL
  *
  * @returns
@@ -37,7 +39,7 @@
  * - Audio quality may be reduced for longer videos
  * - Copyright-protected content may be blocked
  */
-export async function ytmp3(url) {
+export async function ytmp3(url, { signal } = {}) {
     const encoded = encodeURIComponent(url);
 
     /**
@@ -57,7 +59,8 @@ export async function ytmp3(url) {
      * @loop
      */
     for (const endpoint of endpoints) {
-        const res = await fetch(endpoint).catch(() => null);
+        signal?.throwIfAborted();
+        const res = await fetch(endpoint, { signal }).catch(() => null);
         if (!res) continue;
 
         const json = await res.json().catch(() => null);
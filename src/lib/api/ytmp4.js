@@ -12,6 +12,8 @@
  * @async
  * @function ytmp4
  * @param {string} url - YouTube video URL to download
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Stops trying endpoints once aborted
  * @returns {Promise<Object>} Download result with MP4 download URL
  *
  * @returns
@@ -42,7 +44,7 @@
  * - Some services may add watermarks
  * - Quality depends on original upload
  */
-export async function ytmp4(url) {
+export async function ytmp4(url, { signal } = {}) {
     const encoded = encodeURIComponent(url);
 
     /**
@@ -63,7 +65,8 @@ export async function ytmp4(url) {
      * @loop
      */
     for (const endpoint of endpoints) {
-        const res = await fetch(endpoint).catch(() => null);
+        signal?.throwIfAborted();
+        const res = await fetch(endpoint, { signal }).catch(() => null);
         if (!res) continue;
 
         const json = await res.json().catch(() => null);
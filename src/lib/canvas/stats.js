@@ -0,0 +1,96 @@
+import { createCanvas, GlobalFonts } from "@napi-rs/canvas";
+import { join } from "path";
+
+GlobalFonts.registerFromPath(join(process.cwd(), "src", "lib", "Cobbler-SemiBold.ttf"), "Cobbler");
+
+function roundRect(ctx, x, y, w, h, r) {
+    if (w < 2 * r) r = w / 2;
+    if (h < 2 * r) r = h / 2;
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+}
+
+function truncate(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    while (text.length > 1 && ctx.measureText(text + "…").width > maxWidth) {
+        text = text.slice(0, -1);
+    }
+    return text + "…";
+}
+
+export async function canvas(rows, title, subtitle = "") {
+    const W = 1200;
+    const rowH = 56;
+    const top = 150;
+    const H = top + Math.max(rows.length, 1) * rowH + 50;
+
+    const canvas = createCanvas(W, H);
+    const ctx = canvas.getContext("2d");
+
+    const gradient = ctx.createLinearGradient(0, 0, 0, H);
+    gradient.addColorStop(0, "#161b22");
+    gradient.addColorStop(1, "#0d1117");
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, W, H);
+
+    ctx.fillStyle = "#ffffff";
+    ctx.font = "bold 44px Cobbler";
+    ctx.fillText(title, 60, 80);
+
+    if (subtitle) {
+        ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+        ctx.font = "24px Cobbler";
+        ctx.fillText(subtitle, 60, 118);
+    }
+
+    const labelW = 260;
+    const barX = 60 + labelW + 20;
+    const barMax = W - barX - 160;
+    const max = Math.max(...rows.map((r) => r.value), 1);
+
+    rows.forEach((row, i) => {
+        const y = top + i * rowH;
+
+        ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+        ctx.font = "26px Cobbler";
+        ctx.textBaseline = "middle";
+        ctx.fillText(truncate(ctx, row.label, labelW), 60, y + rowH / 2);
+
+        ctx.fillStyle = "rgba(255, 255, 255, 0.06)";
+        roundRect(ctx, barX, y + 10, barMax, rowH - 20, 10);
+        ctx.fill();
+
+        const w = Math.max((row.value / max) * barMax, 12);
+        const bar = ctx.createLinearGradient(barX, 0, barX + w, 0);
+        bar.addColorStop(0, "#1db954");
+        bar.addColorStop(1, "#1ed760");
+        ctx.fillStyle = bar;
+        roundRect(ctx, barX, y + 10, w, rowH - 20, 10);
+        ctx.fill();
+
+        if (row.failed) {
+            const fw = Math.max((row.failed / max) * barMax, 6);
+            ctx.fillStyle = "#e5534b";
+            roundRect(ctx, barX, y + 10, fw, rowH - 20, 10);
+            ctx.fill();
+        }
+
+        ctx.fillStyle = "#ffffff";
+        ctx.font = "bold 26px Cobbler";
+        ctx.fillText(String(row.value), barX + barMax + 20, y + rowH / 2);
+    });
+
+    if (!rows.length) {
+        ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+        ctx.font = "28px Cobbler";
+        ctx.textBaseline = "middle";
+        ctx.fillText("No commands recorded", 60, top + rowH / 2);
+    }
+
+    return canvas.toBuffer("image/png");
+}
@@ -0,0 +1,175 @@
+/**
+ * @file Interactive button callbacks
+ * @module core/callbacks
+ * @description Maps generated button ids to handlers so a button press runs
+ * code directly instead of re-entering the handler as command text.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Prefix of generated button ids
+ * @constant {string}
+ */
+export const CALLBACK_PREFIX = "cb:";
+
+/**
+ * Default time a button stays pressable
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_TTL = 10 * 60_000;
+
+/**
+ * Registry of pending button callbacks
+ * @class CallbackRegistry
+ *
+ * @example
+ * await conn.client(m.chat, {
+ *     text: "Delete this file?",
+ *     buttons: [
+ *         { text: "Yes", onPress: (press, { origin }) => remove(origin) },
+ *         { text: "No", onPress: (press) => press.reply("Kept") },
+ *     ],
+ *     ttl: "5m",
+ * }, { quoted: m });
+ *
+ * @behaviour
+ * - Presses only count in the chat the buttons were sent to
+ * - `once: true` drops every button of that message after the first press
+ * - Expired or unknown ids get a short "expired" reply
+ */
+export class CallbackRegistry {
+    /**
+     * @constructor
+     * @param {Object} [options] - Registry options
+     * @param {number} [options.ttl=600000] - Default lifetime in milliseconds
+     */
+    constructor({ ttl = DEFAULT_TTL } = {}) {
+        this.ttl = ttl;
+
+        /**
+         * Callbacks by id
+         * @private
+         * @type {Map<string, Object>}
+         */
+        this.entries = new Map();
+    }
+
+    /**
+     * Stores a callback and returns the id to put on the button
+     * @method register
+     * @param {Function} fn - Handler `(m, {conn, origin, sent, data, id}) => Promise<void>`
+     * @param {Object} context - Where the button lives
+     * @param {string} context.chat - Chat the button is sent to
+     * @param {string} context.group - Id shared by buttons of the same message
+     * @param {Object} [context.origin] - Message that caused the buttons (options.quoted)
+     * @param {*} [context.data] - Extra data passed back to the handler
+     * @param {number} [context.ttl] - Lifetime in milliseconds
+     * @param {boolean} [context.once] - Drop the whole group after one press
+     * @returns {string} Button id
+     */
+    register(fn, { chat, group, origin = null, data = null, ttl = this.ttl, once = false }) {
+        this.sweep();
+
+        const id = `${CALLBACK_PREFIX}${crypto.randomUUID().replaceAll("-", "").slice(0, 16)}`;
+        this.entries.set(id, {
+            fn,
+            chat,
+            group,
+            origin,
+            data,
+            once,
+            sent: null,
+            expires: Date.now() + ttl,
+        });
+        return id;
+    }
+
+    /**
+     * Records the sent message on every button of a group
+     * @method attach
+     * @param {string} group - Group id
+     * @param {Object} sent - Sent message
+     */
+    attach(group, sent) {
+        for (const entry of this.entries.values()) {
+            if (entry.group === group) entry.sent = sent;
+        }
+    }
+
+    /**
+     * Creates a new group id for one message's buttons
+     * @method group
+     * @returns {string} Group id
+     */
+    group() {
+        return crypto.randomUUID();
+    }
+
+    /**
+     * Routes a button press to its callback
+     * @async
+     * @method dispatch
+     * @param {Object} m - Serialized message
+     * @param {Object} conn - Connection object
+     * @returns {Promise<boolean>} True if the message was a callback press
+     */
+    async dispatch(m, conn) {
+        const id = typeof m.text === "string" ? m.text.trim() : "";
+        if (!id.startsWith(CALLBACK_PREFIX)) return false;
+
+        const entry = this.entries.get(id);
+        if (entry && entry.chat !== m.chat) return false;
+
+        if (!entry || entry.expires < Date.now()) {
+            this.entries.delete(id);
+            await m.reply("This button has expired").catch(() => {});
+            return true;
+        }
+
+        if (entry.once) this.drop(entry.group);
+
+        try {
+            await entry.fn(m, {
+                conn,
+                origin: entry.origin,
+                sent: entry.sent,
+                data: entry.data,
+                id,
+            });
+        } catch (e) {
+            global.logger?.error({ error: e.message, stack: e.stack }, "Button callback error");
+        }
+
+        return true;
+    }
+
+    /**
+     * Removes every callback of a group
+     * @method drop
+     * @param {string} group - Group id
+     */
+    drop(group) {
+        for (const [id, entry] of this.entries) {
+            if (entry.group === group) this.entries.delete(id);
+        }
+    }
+
+    /**
+     * Removes expired callbacks
+     * @method sweep
+     */
+    sweep() {
+        const now = Date.now();
+        for (const [id, entry] of this.entries) {
+            if (entry.expires < now) this.entries.delete(id);
+        }
+    }
+}
+
+/**
+ * Shared registry used by conn.client and the handler
+ * @constant {CallbackRegistry}
+ */
+export const callbacks = new CallbackRegistry();
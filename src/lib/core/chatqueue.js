@@ -0,0 +1,149 @@
+/**
+ * @file Per-chat ordered message scheduling
+ * @module core/chatqueue
+ * @description Runs message tasks in arrival order within each chat while
+ * bounding how many run at once per chat and across all chats.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+ * Tracks the slot release function of the task currently executing
+ * @private
+ * @constant {AsyncLocalStorage}
+ */
+const slot = new AsyncLocalStorage();
+
+/**
+ * Ordered task lanes keyed by chat
+ * @class ChatQueue
+ *
+ * @scheduling
+ * - Tasks in the same chat start in FIFO order
+ * - At most `perChat` tasks run per chat (1 = strictly sequential)
+ * - At most `maxActive` tasks run across all chats
+ * - Lanes are rotated after each start so busy chats cannot starve others
+ */
+export class ChatQueue {
+    /**
+     * @constructor
+     * @param {Object} [options] - Queue limits
+     * @param {number} [options.perChat=1] - Concurrent tasks per chat
+     * @param {number} [options.maxActive=8] - Concurrent tasks overall
+     */
+    constructor({ perChat = 1, maxActive = 8 } = {}) {
+        this.perChat = Math.max(1, perChat);
+        this.maxActive = Math.max(1, maxActive);
+        this.active = 0;
+
+        /**
+         * Lanes by chat JID
+         * @private
+         * @type {Map<string, {active: number, tasks: Array<Function>}>}
+         */
+        this.lanes = new Map();
+    }
+
+    /**
+     * Enqueues a task for a chat
+     * @method push
+     * @param {string} chat - Chat JID
+     * @param {Function} task - Async function to execute
+     */
+    push(chat, task) {
+        let lane = this.lanes.get(chat);
+        if (!lane) {
+            lane = { active: 0, tasks: [] };
+            this.lanes.set(chat, lane);
+        }
+
+        lane.tasks.push(task);
+        this.drain();
+    }
+
+    /**
+     * Starts queued tasks while capacity allows
+     * @private
+     * @method drain
+     */
+    drain() {
+        let started = true;
+
+        while (started && this.active < this.maxActive) {
+            started = false;
+
+            for (const [chat, lane] of this.lanes) {
+                if (!lane.tasks.length || lane.active >= this.perChat) continue;
+
+                // Rotate lane to the back for fairness
+                this.lanes.delete(chat);
+                this.lanes.set(chat, lane);
+
+                this.start(chat, lane, lane.tasks.shift());
+                started = true;
+                break;
+            }
+        }
+    }
+
+    /**
+     * Runs a task in its lane slot
+     * @private
+     * @method start
+     * @param {string} chat - Chat JID
+     * @param {Object} lane - Lane state
+     * @param {Function} task - Task to execute
+     */
+    start(chat, lane, task) {
+        lane.active++;
+        this.active++;
+
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+
+            lane.active--;
+            this.active--;
+
+            if (!lane.active && !lane.tasks.length && this.lanes.get(chat) === lane) {
+                this.lanes.delete(chat);
+            }
+
+            this.drain();
+        };
+
+        Promise.resolve()
+            .then(() => slot.run(release, task))
+            .catch((e) => global.logger?.error({ error: e.message, chat }, "Chat queue error"))
+            .finally(release);
+    }
+
+    /**
+     * Frees the calling task's slot without ending it
+     * @method detach
+     * @returns {boolean} True if a slot was released
+     *
+     * @description
+     * For tasks that wait on the user (e.g. conn.ask), so later messages in
+     * the same chat, including the awaited reply, are not blocked behind them.
+     */
+    detach() {
+        const release = slot.getStore();
+        if (!release) return false;
+
+        release();
+        return true;
+    }
+}
+
+/**
+ * Shared queue used by the message handler
+ * @constant {ChatQueue}
+ */
+export const chatQueue = new ChatQueue({
+    perChat: Number(Bun.env.CHAT_CONCURRENCY) || 1,
+    maxActive: Number(Bun.env.MAX_CONCURRENCY) || 8,
+});
@@ -0,0 +1,185 @@
+/**
+ * @file Command matching and lookup utilities
+ * @module core/commands
+ * @description Helpers for matching command names against plugin rules,
+ * enumerating the names a plugin answers to, and fuzzy suggestions.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Checks if command matches plugin command rules
+ * @function isCmdMatch
+ * @param {string} cmd - Command to check
+ * @param {string|RegExp|Array} rule - Command matching rule
+ * @returns {boolean} True if command matches
+ */
+export const isCmdMatch = (cmd, rule) => {
+    if (rule instanceof RegExp) return rule.test(cmd);
+    if (Array.isArray(rule))
+        return rule.some((r) => (r instanceof RegExp ? r.test(cmd) : r === cmd));
+    if (typeof rule === "string") return rule === cmd;
+    return false;
+};
+
+/**
+ * Extracts literal alternatives from simple command regexes
+ * @private
+ * @function regexNames
+ * @param {RegExp} re - Command regex such as /^(kick|k)$/i
+ * @returns {Array<string>} Literal command names (empty when not enumerable)
+ *
+ * @example
+ * regexNames(/^(kick|k)$/i) // ["kick", "k"]
+ * regexNames(/^(s(tic?ker)?)$/i) // []
+ */
+const regexNames = (re) => {
+    let src = re.source.replace(/^\^/, "").replace(/\$$/, "");
+    if (/^\((\?:)?[^()]*\)$/.test(src)) src = src.replace(/^\((\?:)?/, "").slice(0, -1);
+    return src.split("|").filter((alt) => /^[a-z0-9_-]+$/i.test(alt));
+};
+
+/**
+ * Lists the literal command names a plugin answers to
+ * @function commandNames
+ * @param {Function|Object} plugin - Plugin handler
+ * @returns {Array<string>} Unique lowercase command names
+ *
+ * @sources
+ * - handler.help entries (first word)
+ * - Literal alternatives of handler.command (string, array or simple regex)
+ */
+export const commandNames = (plugin) => {
+    const names = new Set();
+
+    for (const entry of [].concat(plugin?.help || [])) {
+        const name = String(entry).trim().split(/\s+/)[0];
+        if (name && isCmdMatch(name.toLowerCase(), plugin.command)) names.add(name.toLowerCase());
+    }
+
+    for (const rule of [].concat(plugin?.command || [])) {
+        if (typeof rule === "string") names.add(rule.toLowerCase());
+        else if (rule instanceof RegExp) {
+            for (const name of regexNames(rule)) names.add(name.toLowerCase());
+        }
+    }
+
+    return [...names];
+};
+
+/**
+ * Finds a plugin by command name, file name or registry key
+ * @function findPlugin
+ * @param {string} query - Command (with or without prefix), file base name or key
+ * @param {Object} [plugins] - Plugin registry (defaults to global.plugins)
+ * @returns {string|null} Plugin registry key or null
+ *
+ * @example
+ * findPlugin("hidetag") // "group/group-hidetag.js"
+ * findPlugin("group-hidetag") // "group/group-hidetag.js"
+ */
+export const findPlugin = (query, plugins = global.plugins || {}) => {
+    const q = String(query || "")
+        .toLowerCase()
+        .replace(/^[/!.]/, "");
+    if (!q) return null;
+
+    for (const [name, plugin] of Object.entries(plugins)) {
+        if (typeof plugin !== "function" || plugin.customPrefix) continue;
+        if (isCmdMatch(q, plugin.command)) return name;
+    }
+
+    for (const name of Object.keys(plugins)) {
+        const base = name.split("/").pop().replace(/\.js$/, "");
+        if (name.toLowerCase() === q || base.toLowerCase() === q) return name;
+    }
+
+    return null;
+};
+
+/**
+ * Loads the plugins and tags switched off in a chat
+ * @function chatSwitches
+ * @param {string} chat - Chat JID
+ * @returns {Object} {plugins: Set<string>, tags: Set<string>}
+ */
+export const chatSwitches = (chat) => {
+    const off = { plugins: new Set(), tags: new Set() };
+    for (const row of global.db?.chatPlugins?.list(chat) || []) {
+        (row.kind === "tag" ? off.tags : off.plugins).add(row.name);
+    }
+    return off;
+};
+
+/**
+ * Checks whether a plugin is switched off by a chat's settings
+ * @function isChatDisabled
+ * @param {Object} off - Result of chatSwitches
+ * @param {string} name - Plugin registry key
+ * @param {Function|Object} plugin - Plugin handler
+ * @returns {boolean} True if the plugin or one of its tags is off
+ *
+ * @note Plugins with `toggleable = false` can never be switched off.
+ */
+export const isChatDisabled = (off, name, plugin) => {
+    if (plugin?.toggleable === false) return false;
+    return off.plugins.has(name) || [].concat(plugin?.tags || []).some((t) => off.tags.has(t));
+};
+
+/**
+ * Computes Levenshtein edit distance between two strings
+ * @function distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+export const distance = (a, b) => {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = curr;
+    }
+
+    return prev[b.length];
+};
+
+/**
+ * Finds the closest command names for a mistyped command
+ * @function suggest
+ * @param {string} input - Unknown command typed by the user
+ * @param {Array<string>} candidates - Known command names
+ * @param {number} [limit=3] - Maximum suggestions
+ * @returns {Array<string>} Closest candidates, best first
+ *
+ * @scoring
+ * - Edit distance up to 1 (short input) or 2 (5+ chars)
+ * - Candidates starting with the input (3+ chars) are also accepted
+ */
+export const suggest = (input, candidates, limit = 3) => {
+    const word = (input || "").toLowerCase();
+    if (!word) return [];
+
+    const maxDist = word.length >= 5 ? 2 : 1;
+    const scored = [];
+
+    for (const name of new Set(candidates)) {
+        if (name === word) continue;
+        const d = distance(word, name);
+        if (d <= maxDist) scored.push([name, d]);
+        else if (word.length >= 3 && name.startsWith(word)) scored.push([name, maxDist + 1]);
+    }
+
+    return scored
+        .sort((a, b) => a[1] - b[1] || a[0].length - b[0].length)
+        .slice(0, limit)
+        .map(([name]) => name);
+};
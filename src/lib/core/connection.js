@@ -11,6 +11,8 @@
 import { readdir, stat } from "node:fs/promises";
 import { join, relative, normalize } from "node:path";
 import { createSocket } from "./socket.js";
+import { scheduler } from "./scheduler.js";
+import { validatePlugin, findConflicts, checkRequires } from "./validate.js";
 
 /**
  * Recursively discovers all plugin files in a directory
@@ -22,6 +24,7 @@ import { createSocket } from "./socket.js";
  * @discovery
  * - Recursively searches through subdirectories
  * - Filters for .js files only
+ * - Skips hidden entries (e.g. plugin installs being staged)
  * - Gracefully handles permission errors
  * - Returns paths relative to plugin root
  */
@@ -32,6 +35,7 @@ export async function getAllPlugins(dir) {
         const files = await readdir(dir);
 
         for (const file of files) {
+            if (file.startsWith(".")) continue;
             const filepath = join(dir, file);
 
             try {
@@ -54,6 +58,172 @@ export async function getAllPlugins(dir) {
     return results;
 }
 
+/**
+ * Folder under the plugin root that holds installed third-party plugins
+ * @constant {string}
+ */
+export const EXTERNAL_DIR = "external";
+
+/**
+ * Reads the plugin files recorded for installed third-party plugins
+ * @private
+ * @function installedEntries
+ * @returns {Set<string>} Registry keys under EXTERNAL_DIR
+ */
+const installedEntries = () =>
+    new Set((global.db?.externalPlugins?.list() || []).flatMap((r) => r.files));
+
+/**
+ * Checks whether a file is a helper module of an installed plugin
+ * @private
+ * @function isInstalledHelper
+ * @param {string} filename - Plugin registry key
+ * @param {Set<string>} [entries] - Recorded plugin files (read when omitted)
+ * @returns {boolean} True for files under EXTERNAL_DIR the installer did not
+ *   record as plugins (they are imported by the plugins, not loaded)
+ */
+const isInstalledHelper = (filename, entries = installedEntries()) =>
+    filename.startsWith(`${EXTERNAL_DIR}/`) && !entries.has(filename);
+
+/**
+ * Meta key holding the plugins disabled everywhere (JSON array of registry keys)
+ * @private
+ * @constant {string}
+ */
+const DISABLED_KEY = "disabled_plugins";
+
+/**
+ * Reads the plugins disabled everywhere by owners
+ * @function getDisabledPlugins
+ * @returns {Set<string>} Plugin registry keys
+ */
+export function getDisabledPlugins() {
+    try {
+        return new Set(JSON.parse(global.db?.meta?.get(DISABLED_KEY) || "[]"));
+    } catch {
+        return new Set();
+    }
+}
+
+/**
+ * Disables or enables a plugin everywhere and remembers it across reloads
+ * @function setPluginDisabled
+ * @param {string} filename - Plugin registry key
+ * @param {boolean} disabled - New state
+ * @returns {boolean} True if the stored state changed
+ */
+export function setPluginDisabled(filename, disabled) {
+    const list = getDisabledPlugins();
+    if (list.has(filename) === disabled) return false;
+
+    if (disabled) list.add(filename);
+    else list.delete(filename);
+    global.db.meta.set(DISABLED_KEY, JSON.stringify([...list].sort()));
+
+    const plugin = global.plugins?.[filename];
+    if (plugin) plugin.disabled = disabled;
+    refreshConflicts();
+    refreshAvailability();
+
+    return true;
+}
+
+/**
+ * Creates an empty plugin load report
+ * @private
+ * @function emptyReport
+ * @returns {Object} { at, failed: {file: message}, warnings: {file: [..]}, conflicts,
+ *   unavailable: {file: reason} }
+ */
+const emptyReport = () => ({
+    at: Date.now(),
+    failed: {},
+    warnings: {},
+    conflicts: [],
+    unavailable: {},
+});
+
+/**
+ * Records how loading one plugin file went in global.pluginReport
+ * @private
+ * @function recordLoad
+ * @param {string} filename - Plugin registry key
+ * @param {Object} [result] - {error, warnings} (neither means loaded cleanly)
+ */
+const recordLoad = (filename, { error = null, warnings = [] } = {}) => {
+    const report = (global.pluginReport ||= emptyReport());
+
+    if (error) report.failed[filename] = error;
+    else delete report.failed[filename];
+
+    if (warnings.length) report.warnings[filename] = warnings;
+    else delete report.warnings[filename];
+};
+
+/**
+ * Recomputes command conflicts after the registry changed
+ * @private
+ * @function refreshConflicts
+ * @param {string} [filename] - Only log conflicts involving this plugin
+ * @returns {Array<Object>} Current conflicts
+ */
+const refreshConflicts = (filename) => {
+    const conflicts = findConflicts(global.plugins);
+    if (global.pluginReport) global.pluginReport.conflicts = conflicts;
+
+    for (const { command, plugins } of conflicts) {
+        if (filename && !plugins.includes(filename)) continue;
+        global.logger?.warn?.({ command, plugins }, "Command claimed by several plugins");
+    }
+
+    return conflicts;
+};
+
+/**
+ * Rechecks handler.requires after the registry changed and marks plugins
+ * that cannot run with plugin.unavailable (the reason)
+ * @private
+ * @function refreshAvailability
+ * @returns {Object} {file: reason} for unavailable plugins
+ */
+const refreshAvailability = () => {
+    const unavailable = checkRequires(global.plugins);
+    if (global.pluginReport) global.pluginReport.unavailable = unavailable;
+
+    for (const [name, plugin] of Object.entries(global.plugins || {})) {
+        const reason = unavailable[name];
+        if (reason === plugin.unavailable) continue;
+
+        if (reason) plugin.unavailable = reason;
+        else delete plugin.unavailable;
+
+        if (reason) global.logger?.warn?.({ file: name, reason }, "Plugin unavailable");
+        else global.logger?.info?.({ file: name }, "Plugin available again");
+    }
+
+    return unavailable;
+};
+
+/**
+ * Imports a plugin file and validates its export
+ * @private
+ * @async
+ * @function importPlugin
+ * @param {string} filepath - Absolute plugin file path
+ * @param {string} tag - Cache-busting query key
+ * @returns {Promise<Object>} {module, plugin, warnings}
+ * @throws {Error} Import failure or validation errors
+ */
+const importPlugin = async (filepath, tag) => {
+    const module = await import(`${filepath}?${tag}=${Date.now()}`);
+    const plugin = module.default || module;
+
+    const { errors, warnings } = validatePlugin(plugin);
+    if (errors.length) throw new Error(errors.join("; "));
+
+    return { module, plugin, warnings };
+};
+
 /**
  * Loads and initializes all plugins from directory
  * @async
@@ -65,9 +235,12 @@ export async function getAllPlugins(dir) {
  * @lifecycle
  * 1. Cleanup existing plugins (if any)
  * 2. Discover new plugin files
- * 3. Import and initialize each plugin
- * 4. Update global.plugins registry
- * 5. Report success/failure statistics
+ * 3. Import, validate and initialize each plugin
+ * 4. Update global.plugins registry, keeping globally disabled plugins off
+ *    (helper modules of installed plugins are not loaded)
+ * 5. Mark plugins whose handler.requires is not met as unavailable
+ * 6. Report success/failure statistics, command conflicts and unavailable
+ *    plugins (global.pluginReport)
  */
 export async function loadPlugins(pluginFolder, getAllPluginsFn) {
     let success = 0,
@@ -87,15 +260,19 @@ export async function loadPlugins(pluginFolder, getAllPluginsFn) {
 
     // Initialize fresh plugin registry
     global.plugins = {};
+    global.pluginReport = emptyReport();
+    const disabled = getDisabledPlugins();
+    const installed = installedEntries();
 
     try {
         const files = await getAllPluginsFn(pluginFolder);
 
         for (const filepath of files) {
             const filename = normalize(relative(pluginFolder, filepath)).replace(/\\/g, "/");
+            if (isInstalledHelper(filename, installed)) continue;
 
             try {
-                const module = await import(`${filepath}?init=${Date.now()}`);
+                const { module, plugin, warnings } = await importPlugin(filepath, "init");
 
                 // Initialize plugin if it has init function
                 if (typeof module.default?.init === "function") {
@@ -104,10 +281,18 @@ export async function loadPlugins(pluginFolder, getAllPluginsFn) {
                     await module.init();
                 }
 
-                global.plugins[filename] = module.default || module;
+                // Owners' .disableplugin outlives reloads
+                if (disabled.has(filename)) plugin.disabled = true;
+
+                global.plugins[filename] = plugin;
+                recordLoad(filename, { warnings });
+                if (warnings.length) {
+                    global.logger?.warn?.({ file: filename, warnings }, "Plugin warnings");
+                }
                 success++;
             } catch (e) {
                 delete global.plugins[filename];
+                recordLoad(filename, { error: e.message });
                 failed++;
                 global.logger?.warn?.(
                     { file: filename, error: e.message },
@@ -116,7 +301,12 @@ export async function loadPlugins(pluginFolder, getAllPluginsFn) {
             }
         }
 
-        global.logger?.info?.(`Plugins loaded: ${success} OK, ${failed} failed`);
+        const conflicts = refreshConflicts();
+        const unavailable = Object.keys(refreshAvailability()).length;
+        global.logger?.info?.(
+            `Plugins loaded: ${success} OK, ${failed} failed, ${conflicts.length} conflicts, ` +
+                `${unavailable} unavailable`
+        );
     } catch (e) {
         global.logger?.error?.({ error: e.message }, "Error loading plugins");
         throw e;
@@ -830,10 +1020,12 @@ export async function handleDisconnect({ lastDisconnect, isNewLogin, connection
             global.__reconnect.attempts = 0;
             global.__reconnect.cooldownUntil = 0;
             startKeepAlive();
+            scheduler.start(global.conn);
             break;
 
         case "close":
             stopKeepAlive();
+            scheduler.stop();
             global.logger.warn(`Connection closed — reason=${dcReason}`);
             break;
     }
@@ -892,10 +1084,27 @@ export function cleanupReconnect() {
  * @param {string} filepath - Absolute path to plugin file
  * @param {string} pluginFolder - Root plugin directory
  * @returns {Promise<boolean>} True if reload successful
+ *
+ * @lifecycle
+ * 1. Import the new version (a syntax error leaves the old one loaded)
+ * 2. Cleanup the old version
+ * 3. Initialize and register the new version (still off if globally disabled)
  */
 export async function reloadSinglePlugin(filepath, pluginFolder) {
+    const filename = normalize(relative(pluginFolder, filepath)).replace(/\\/g, "/");
+    if (isInstalledHelper(filename)) return false;
+
+    let loaded;
+    try {
+        loaded = await importPlugin(filepath, "reload");
+    } catch (e) {
+        recordLoad(filename, { error: e.message });
+        global.logger?.error?.({ file: filename, error: e.message }, "Failed to reload plugin");
+        return false;
+    }
+    const { module, plugin, warnings } = loaded;
+
     try {
-        const filename = normalize(relative(pluginFolder, filepath)).replace(/\\/g, "/");
         const oldPlugin = global.plugins[filename];
 
         // Cleanup old plugin
@@ -907,9 +1116,6 @@ export async function reloadSinglePlugin(filepath, pluginFolder) {
             }
         }
 
-        // Load new plugin
-        const module = await import(`${filepath}?reload=${Date.now()}`);
-
         // Initialize new plugin
         if (typeof module.default?.init === "function") {
             await module.default.init();
@@ -917,15 +1123,50 @@ export async function reloadSinglePlugin(filepath, pluginFolder) {
             await module.init();
         }
 
-        global.plugins[filename] = module.default || module;
-        global.logger?.info?.({ file: filename }, "Plugin reloaded");
+        if (getDisabledPlugins().has(filename)) plugin.disabled = true;
+
+        global.plugins[filename] = plugin;
+        recordLoad(filename, { warnings });
+        refreshConflicts(filename);
+        refreshAvailability();
+        global.logger?.info?.({ file: filename, warnings }, "Plugin reloaded");
         return true;
     } catch (e) {
-        global.logger?.error?.({ file: filepath, error: e.message }, "Failed to reload plugin");
+        recordLoad(filename, { error: e.message });
+        global.logger?.error?.({ file: filename, error: e.message }, "Failed to reload plugin");
         return false;
     }
 }
 
+/**
+ * Removes a plugin whose file was deleted
+ * @async
+ * @function unloadPlugin
+ * @param {string} filepath - Absolute path to plugin file
+ * @param {string} pluginFolder - Root plugin directory
+ * @returns {Promise<boolean>} True if a plugin was unloaded
+ */
+export async function unloadPlugin(filepath, pluginFolder) {
+    const filename = normalize(relative(pluginFolder, filepath)).replace(/\\/g, "/");
+    const plugin = global.plugins?.[filename];
+    recordLoad(filename);
+    if (!plugin) return false;
+
+    if (typeof plugin.cleanup === "function") {
+        try {
+            await plugin.cleanup();
+        } catch (e) {
+            global.logger?.warn?.({ file: filename, error: e.message }, "Plugin cleanup error");
+        }
+    }
+
+    delete global.plugins[filename];
+    refreshConflicts();
+    refreshAvailability();
+    global.logger?.info?.({ file: filename }, "Plugin unloaded");
+    return true;
+}
+
 /**
  * Reloads all plugins from directory
  * @async
@@ -0,0 +1,205 @@
+/**
+ * @file Edited message re-runs
+ * @module core/edits
+ * @description Turns WhatsApp message edits back into regular messages so an
+ * edited command runs again, and remembers what the bot answered so the
+ * re-run edits its earlier replies instead of sending new ones.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { proto } from "baileys";
+import { parseDuration } from "#lib/duration.js";
+
+/**
+ * Protocol message type of an edit
+ * @private
+ * @constant {number}
+ */
+const MESSAGE_EDIT = proto.Message.ProtocolMessage.Type.MESSAGE_EDIT;
+
+/**
+ * Content keys that make a message something other than plain text
+ * @private
+ * @constant {Array<string>}
+ */
+const NOT_TEXT = [
+    "image",
+    "video",
+    "audio",
+    "sticker",
+    "document",
+    "edit",
+    "delete",
+    "react",
+    "poll",
+];
+
+/**
+ * Checks whether a message content can replace or be replaced by an edit
+ * @private
+ * @function isText
+ * @param {Object} content - Baileys message content
+ * @returns {boolean} True for plain text messages
+ */
+const isText = (content) =>
+    typeof content?.text === "string" && !NOT_TEXT.some((k) => content[k] !== undefined);
+
+/**
+ * Converts a message timestamp (seconds, possibly a Long) to milliseconds
+ * @private
+ * @function toMs
+ * @param {number|Object} ts - Message timestamp
+ * @returns {number} Milliseconds or 0
+ */
+const toMs = (ts) => (Number(ts?.toString?.() ?? ts) || 0) * 1000;
+
+/**
+ * Tracks command invocations and their replies
+ * @class EditTracker
+ *
+ * @flow
+ * 1. handler() unwraps an edit into a message with the original id
+ * 2. The edit only runs if the original is younger than `window`
+ * 3. Every plugin run calls begin(m), which rewinds the reply cursor
+ * 4. conn.sendMessage goes through send(): replies quoting the invocation
+ *    edit the earlier reply at the same position when both are text,
+ *    otherwise a new message is sent and remembered
+ */
+export class EditTracker {
+    /**
+     * @constructor
+     * @param {Object} [options] - Tracker options
+     * @param {number} [options.window=900000] - How long after sending an edit re-runs (0 = off)
+     * @param {number} [options.limit=500] - Maximum invocations remembered
+     */
+    constructor({ window = 15 * 60_000, limit = 500 } = {}) {
+        this.window = window;
+        this.limit = limit;
+
+        /**
+         * Invocations by "chat:id"
+         * @private
+         * @type {Map<string, Object>}
+         */
+        this.entries = new Map();
+    }
+
+    /**
+     * Extracts the edited message from a protocol edit
+     * @method unwrap
+     * @param {Object} raw - Raw message from messages.upsert
+     * @returns {Object|null} Raw message carrying the new content and the original id
+     */
+    unwrap(raw) {
+        const msg = raw?.message;
+        const edit = msg?.protocolMessage || msg?.editedMessage?.message?.protocolMessage;
+        if (edit?.type !== MESSAGE_EDIT || !edit.editedMessage || !edit.key?.id) return null;
+
+        return {
+            ...raw,
+            key: { ...raw.key, id: edit.key.id },
+            message: edit.editedMessage,
+        };
+    }
+
+    /**
+     * Checks whether an edit is recent enough to run again
+     * @async
+     * @method allowed
+     * @param {Object} conn - Connection object (store lookup for unknown originals)
+     * @param {Object} key - Key of the unwrapped message
+     * @returns {Promise<boolean>} True if the original was sent within the window
+     */
+    async allowed(conn, key) {
+        if (!this.window) return false;
+
+        let at = this.entries.get(`${key.remoteJid}:${key.id}`)?.at;
+        if (!at) {
+            const chat = await conn.getChat?.(key.remoteJid);
+            at = toMs(chat?.messages?.[key.id]?.messageTimestamp);
+        }
+
+        return !!at && Date.now() - at <= this.window;
+    }
+
+    /**
+     * Starts (or restarts) tracking replies to an invocation
+     * @method begin
+     * @param {Object} m - Serialized message about to run a plugin
+     */
+    begin(m) {
+        if (!this.window) return;
+
+        const id = `${m.chat}:${m.key.id}`;
+        const entry = this.entries.get(id);
+        if (entry) {
+            entry.cursor = 0;
+            return;
+        }
+
+        this.prune();
+        this.entries.set(id, {
+            at: toMs(m.messageTimestamp) || Date.now(),
+            replies: [],
+            cursor: 0,
+        });
+    }
+
+    /**
+     * Sends a message, turning it into an edit of an earlier reply when possible
+     * @async
+     * @method send
+     * @param {Function} send - Underlying sendMessage
+     * @param {string} jid - Target chat
+     * @param {Object} content - Message content
+     * @param {Object} [options] - Send options
+     * @returns {Promise<Object>} Sent message (keyed as the edited reply when edited)
+     */
+    async send(send, jid, content, options = {}) {
+        const id = options?.quoted?.key?.id;
+        const entry = id && this.entries.get(`${jid}:${id}`);
+        if (!entry) return send(jid, content, options);
+
+        const index = entry.cursor++;
+        const previous = entry.replies[index];
+
+        if (previous?.text && isText(content)) {
+            const rest = { ...options };
+            delete rest.quoted;
+
+            const sent = await send(
+                jid,
+                { text: content.text, mentions: content.mentions, edit: previous.key },
+                rest
+            );
+            // Later edits by the plugin must target the message the user sees
+            return sent ? Object.assign(sent, { key: previous.key }) : sent;
+        }
+
+        const sent = await send(jid, content, options);
+        if (sent?.key) entry.replies[index] = { key: sent.key, text: isText(content) };
+        return sent;
+    }
+
+    /**
+     * Drops invocations older than the window and caps the map size
+     * @private
+     * @method prune
+     */
+    prune() {
+        const cutoff = Date.now() - this.window;
+        for (const [id, entry] of this.entries) {
+            if (entry.at >= cutoff && this.entries.size < this.limit) break;
+            this.entries.delete(id);
+        }
+    }
+}
+
+/**
+ * Shared tracker used by the handler and conn.sendMessage
+ * @constant {EditTracker}
+ */
+export const edits = new EditTracker({
+    window: parseDuration(Bun.env.EDIT_WINDOW || "15m") ?? 900_000,
+});
@@ -0,0 +1,543 @@
+/**
+ * @file Third-party plugin installer
+ * @module core/installer
+ * @description Installs community plugins from a git repository, a raw .js
+ * or .zip URL, or an uploaded file into plugins/external/<name>, validates
+ * them before they are activated, and records where they came from so they
+ * can be updated or removed later (.plugin install/update/remove).
+ *
+ * A package.json may list the plugin files ("o3din": {"plugins": [...]});
+ * without one, every module with a handler export is a plugin and the other
+ * files are installed alongside as helpers.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { lstat, mkdir, mkdtemp, readdir, rm, rename } from "node:fs/promises";
+import { join, relative, dirname, basename, posix } from "node:path";
+import { tmpdir } from "node:os";
+import { createHash } from "node:crypto";
+import { EXTERNAL_DIR, reloadSinglePlugin, unloadPlugin } from "./connection.js";
+import { validatePlugin } from "./validate.js";
+
+/**
+ * Largest download or upload accepted (bytes)
+ * @constant {number}
+ */
+export const MAX_DOWNLOAD = 10 * 1024 * 1024;
+
+/**
+ * Files never treated as plugins when a source has no manifest
+ * (tooling configs, tests and scripts)
+ * @private
+ * @constant {RegExp}
+ */
+const NOT_PLUGINS = /(^|\/)(tests?|scripts)\/|\.(config|test)\.js$/;
+
+/**
+ * Time limit for git and unzip (ms)
+ * @private
+ * @constant {number}
+ */
+const RUN_TIMEOUT = 60_000;
+
+/**
+ * Hosts whose two-segment paths (owner/repo) are git repositories
+ * @private
+ * @constant {Set<string>}
+ */
+const GIT_HOSTS = new Set(["github.com", "gitlab.com", "codeberg.org", "bitbucket.org"]);
+
+/**
+ * Runs a command and returns its output
+ * @private
+ * @async
+ * @function run
+ * @param {Array<string>} cmd - Command and arguments
+ * @param {Object} [options] - {cwd}
+ * @returns {Promise<string>} Trimmed stdout
+ * @throws {Error} Non-zero exit (stderr as message) or timeout
+ */
+const run = async (cmd, { cwd } = {}) => {
+    const proc = Bun.spawn(cmd, { cwd, stdout: "pipe", stderr: "pipe" });
+    const timer = setTimeout(() => proc.kill(), RUN_TIMEOUT);
+
+    try {
+        const [code, out, err] = await Promise.all([
+            proc.exited,
+            Bun.readableStreamToText(proc.stdout),
+            Bun.readableStreamToText(proc.stderr),
+        ]);
+        if (code !== 0) throw new Error(err.trim().split("\n").pop() || `${cmd[0]} failed`);
+        return out.trim();
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Turns a repository, file or user-given name into a folder name
+ * @private
+ * @function slug
+ * @param {string} value - Raw name
+ * @returns {string} Lowercase name of letters, digits, - and _
+ */
+const slug = (value) =>
+    String(value || "")
+        .toLowerCase()
+        .replace(/\.(git|js|zip)$/, "")
+        .replace(/[^a-z0-9_-]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 40);
+
+/**
+ * Checks whether a buffer is a zip archive
+ * @private
+ * @function isZip
+ * @param {Uint8Array} data - File contents
+ * @returns {boolean} True if the data starts with the zip signature
+ */
+const isZip = (data) => data[0] === 0x50 && data[1] === 0x4b && data[2] === 0x03;
+
+/**
+ * Reads a response body, giving up once it grows past a limit
+ * @private
+ * @async
+ * @function readCapped
+ * @param {ReadableStream|null} body - Response body
+ * @param {number} limit - Maximum size (bytes)
+ * @returns {Promise<Uint8Array>} Body contents
+ * @throws {Error} When the body is larger than the limit
+ */
+const readCapped = async (body, limit) => {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of body || []) {
+        size += chunk.length;
+        if (size > limit) throw new Error(`Download is larger than ${limit >> 20} MB`);
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Lists the regular files under a folder without following symbolic links
+ * @private
+ * @async
+ * @function walk
+ * @param {string} dir - Folder to list
+ * @param {string} [base] - Folder the returned paths are relative to
+ * @returns {Promise<Array<string>>} Relative paths ("/" separated)
+ * @throws {Error} When the folder contains a symbolic link
+ *
+ * @note Hidden entries (.git, .github) and node_modules are left out.
+ */
+const walk = async (dir, base = dir) => {
+    const files = [];
+
+    for (const entry of await readdir(dir)) {
+        if (entry.startsWith(".") || entry === "node_modules") continue;
+
+        const path = join(dir, entry);
+        const file = relative(base, path).replace(/\\/g, "/");
+        const stats = await lstat(path);
+
+        // A link could point at / or at a secret such as .env
+        if (stats.isSymbolicLink()) throw new Error(`Symbolic links are not allowed: ${file}`);
+        if (stats.isDirectory()) files.push(...(await walk(path, base)));
+        else if (stats.isFile()) files.push(file);
+    }
+
+    return files;
+};
+
+/**
+ * Drops cached modules under a folder so helper imports are read again
+ * @private
+ * @function forget
+ * @param {string} dir - Folder whose modules to drop
+ */
+const forget = (dir) => {
+    for (const key of Object.keys(require.cache)) {
+        if (key.startsWith(join(dir, "/"))) delete require.cache[key];
+    }
+};
+
+/**
+ * Checks whether a module looks like a plugin (handler or hook object)
+ * @private
+ * @function isPluginModule
+ * @param {Object} module - Imported module
+ * @returns {boolean} True if the default export is a handler or has hooks
+ */
+const isPluginModule = (module) => {
+    const plugin = module.default;
+    if (typeof plugin === "function") return true;
+    return (
+        !!plugin &&
+        typeof plugin === "object" &&
+        ["all", "before", "after"].some((k) => typeof plugin[k] === "function")
+    );
+};
+
+/**
+ * Installs, updates and removes plugins under plugins/external
+ * @class PluginInstaller
+ *
+ * @flow
+ * 1. fetch() downloads the source into a temporary folder (10 MB at most)
+ * 2. collect() lists its files (the repo's plugins/ folder if it has one and
+ *    no manifest), refusing symbolic links
+ * 3. stage() copies them to a hidden staging folder and imports and
+ *    validates the plugin files (manifest entries, or detected handlers)
+ * 4. The source, version, checksum and plugin files are stored in
+ *    external_plugins
+ * 5. activate() swaps the staged folder in and reloads
+ */
+export class PluginInstaller {
+    /**
+     * Root of the plugin tree
+     * @type {string}
+     */
+    get folder() {
+        if (!global.pluginFolder) throw new Error("Plugins are not loaded yet");
+        return global.pluginFolder;
+    }
+
+    /**
+     * Folder that holds installed plugins
+     * @type {string}
+     */
+    get root() {
+        return join(this.folder, EXTERNAL_DIR);
+    }
+
+    /**
+     * Installs a plugin (or replaces one installed from the same source)
+     * @async
+     * @method install
+     * @param {string|null} source - git or raw URL (null when a file is given)
+     * @param {Object} [options] - Install options
+     * @param {string} [options.name] - Folder name (defaults to the repo or file name)
+     * @param {Object} [options.file] - Uploaded {data, fileName} (.js or .zip)
+     * @param {string} [options.by] - Installer JID
+     * @param {boolean} [options.update] - Allow replacing a plugin from another source
+     * @returns {Promise<Object>} Stored record plus {unchanged, failed, skipped}
+     */
+    async install(source, { name, file, by, update = false } = {}) {
+        const fetched = await this.fetch(source, file);
+
+        try {
+            name = slug(name || fetched.name);
+            if (!name) throw new Error("Could not derive a plugin name, pass one");
+
+            const previous = global.db.externalPlugins.get(name);
+            if (previous && !update && previous.source !== fetched.source) {
+                throw new Error(`${name} is already installed from ${previous.source}`);
+            }
+
+            const { root, files, entries, checksum } = await this.collect(fetched.dir);
+            if (previous?.checksum === checksum) return { ...previous, unchanged: true };
+
+            const staged = await this.stage(name, root, files, entries);
+            const keys = staged.entries.map((f) => `${EXTERNAL_DIR}/${name}/${f}`);
+
+            // Recorded first: the loader only loads recorded files under external/
+            const record = global.db.externalPlugins.upsert({
+                name,
+                source: fetched.source,
+                kind: fetched.kind,
+                version: fetched.version || checksum.slice(0, 12),
+                checksum,
+                files: keys,
+                by,
+            });
+            const failed = await this.activate(name, keys, previous?.files || []);
+
+            return { ...record, failed, skipped: staged.skipped };
+        } finally {
+            await rm(fetched.tmp, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Installs the latest version of an installed plugin from its source
+     * @async
+     * @method update
+     * @param {string} name - Installed plugin name
+     * @param {Object} [options] - {file, by}; uploaded plugins need a new file
+     * @returns {Promise<Object>} Same as install()
+     */
+    async update(name, { file, by } = {}) {
+        const record = global.db.externalPlugins.get(slug(name));
+        if (!record) throw new Error(`${name} is not installed`);
+        if (record.kind === "file" && !file) {
+            throw new Error(`${record.name} was uploaded; reply to the new file to update it`);
+        }
+
+        return this.install(file ? null : record.source, {
+            name: record.name,
+            file,
+            by,
+            update: true,
+        });
+    }
+
+    /**
+     * Unloads and deletes an installed plugin
+     * @async
+     * @method remove
+     * @param {string} name - Installed plugin name
+     * @returns {Promise<Object|null>} Removed record, or null if not installed
+     */
+    async remove(name) {
+        const record = global.db.externalPlugins.get(slug(name));
+        if (!record) return null;
+
+        for (const key of record.files) await unloadPlugin(join(this.folder, key), this.folder);
+        await rm(join(this.root, record.name), { recursive: true, force: true });
+        global.db.externalPlugins.remove(record.name);
+
+        return record;
+    }
+
+    /**
+     * Downloads a source into a temporary folder
+     * @private
+     * @async
+     * @method fetch
+     * @param {string|null} source - git or raw URL
+     * @param {Object} [file] - Uploaded {data, fileName}
+     * @returns {Promise<Object>} {tmp, dir, name, source, kind, version}
+     */
+    async fetch(source, file) {
+        const tmp = await mkdtemp(join(tmpdir(), "o3din-plugin-"));
+        const dir = join(tmp, "src");
+
+        try {
+            if (file) {
+                if (file.data.length > MAX_DOWNLOAD) throw new Error("File is larger than 10 MB");
+                const fileName = basename(file.fileName || "plugin.js");
+                await this.unpack(file.data, fileName, dir);
+                return { tmp, dir, name: fileName, source: `file:${fileName}`, kind: "file" };
+            }
+
+            const url = new URL(source);
+            if (!/^https?:$/.test(url.protocol)) throw new Error("Only http(s) URLs are supported");
+            const parts = url.pathname.split("/").filter(Boolean);
+            const isRepo = GIT_HOSTS.has(url.hostname) && parts.length === 2;
+
+            if (url.pathname.endsWith(".git") || isRepo) {
+                await run(["git", "clone", "--depth", "1", "--quiet", url.href, dir]);
+                const version = await run(["git", "rev-parse", "--short", "HEAD"], { cwd: dir });
+                await rm(join(dir, ".git"), { recursive: true, force: true });
+                return { tmp, dir, name: parts.at(-1), source: url.href, kind: "git", version };
+            }
+
+            const res = await fetch(url);
+            if (!res.ok) throw new Error(`Download failed: HTTP ${res.status}`);
+            if (Number(res.headers.get("content-length")) > MAX_DOWNLOAD) {
+                await res.body?.cancel();
+                throw new Error("Download is larger than 10 MB");
+            }
+            const data = await readCapped(res.body, MAX_DOWNLOAD);
+
+            const fileName = basename(url.pathname) || "plugin.js";
+            await this.unpack(data, fileName, dir);
+            const version = res.headers.get("etag")?.replace(/^W\//, "").replace(/"/g, "");
+            return { tmp, dir, name: fileName, source: url.href, kind: "url", version };
+        } catch (e) {
+            await rm(tmp, { recursive: true, force: true });
+            throw e;
+        }
+    }
+
+    /**
+     * Writes a downloaded .js file or extracts a .zip archive
+     * @private
+     * @async
+     * @method unpack
+     * @param {Uint8Array} data - File contents
+     * @param {string} fileName - Original file name
+     * @param {string} dir - Destination folder
+     * @returns {Promise<void>}
+     */
+    async unpack(data, fileName, dir) {
+        await mkdir(dir, { recursive: true });
+
+        if (isZip(data)) {
+            const archive = join(dirname(dir), "archive.zip");
+            await Bun.write(archive, data);
+            await run(["unzip", "-qq", "-o", archive, "-d", dir]);
+            return;
+        }
+
+        if (!fileName.endsWith(".js")) throw new Error("Expected a .js file or a .zip archive");
+        await Bun.write(join(dir, fileName), data);
+    }
+
+    /**
+     * Lists the files of a fetched source and fingerprints them
+     * @private
+     * @async
+     * @method collect
+     * @param {string} dir - Fetched source folder
+     * @returns {Promise<Object>} {root, files and entries (relative to root, entries
+     *   null when there is no manifest), checksum}
+     * @throws {Error} Symbolic links, no .js files or a malformed manifest
+     */
+    async collect(dir) {
+        // Archives often wrap everything in one folder (repo-main/)
+        const top = await readdir(dir);
+        if (top.length === 1 && (await lstat(join(dir, top[0]))).isDirectory()) {
+            dir = join(dir, top[0]);
+        }
+
+        let root = dir;
+        let files = (await walk(dir)).sort();
+        const entries = files.includes("package.json") ? await this.manifest(dir) : null;
+
+        if (entries) {
+            const missing = entries.filter((f) => !files.includes(f));
+            if (missing.length) throw new Error(`Listed in package.json but missing: ${missing}`);
+        } else if (files.some((f) => f.startsWith("plugins/"))) {
+            // Repositories usually keep plugins in plugins/ next to docs and tooling
+            root = join(dir, "plugins");
+            files = files.filter((f) => f.startsWith("plugins/")).map((f) => f.slice(8));
+        }
+        if (!files.some((f) => f.endsWith(".js"))) throw new Error("No .js plugin files found");
+
+        const hash = createHash("sha256");
+        for (const f of files) {
+            hash.update(f);
+            hash.update(new Uint8Array(await Bun.file(join(root, f)).arrayBuffer()));
+        }
+
+        return { root, files, entries, checksum: hash.digest("hex") };
+    }
+
+    /**
+     * Reads the plugin entry list from package.json ("o3din": {"plugins": [...]})
+     * @private
+     * @async
+     * @method manifest
+     * @param {string} dir - Folder holding package.json
+     * @returns {Promise<Array<string>|null>} Entry files, or null without a list
+     * @throws {Error} Invalid JSON or a malformed list
+     */
+    async manifest(dir) {
+        let pkg;
+        try {
+            pkg = await Bun.file(join(dir, "package.json")).json();
+        } catch {
+            throw new Error("package.json is not valid JSON");
+        }
+
+        const list = pkg?.o3din?.plugins;
+        if (list === undefined) return null;
+        if (!Array.isArray(list) || !list.length || !list.every((f) => /\.js$/.test(f))) {
+            throw new Error('"o3din.plugins" in package.json must list .js files');
+        }
+
+        return list.map((f) => posix.normalize(f).replace(/^\.\//, ""));
+    }
+
+    /**
+     * Copies files to a hidden staging folder and validates the plugin files
+     * @private
+     * @async
+     * @method stage
+     * @param {string} name - Plugin folder name
+     * @param {string} root - Folder the files are relative to
+     * @param {Array<string>} files - Files to install
+     * @param {Array<string>|null} entries - Plugin files from the manifest, or null
+     *   to take every module with a handler export
+     * @returns {Promise<Object>} {entries, skipped (modules installed as helpers)}
+     * @throws {Error} Validation errors (nothing is changed)
+     */
+    async stage(name, root, files, entries) {
+        // Staged inside the plugin tree so #lib/#core imports resolve; hidden
+        // folders are skipped by the loader and the watcher
+        const staging = join(this.root, `.staging-${name}`);
+        await rm(staging, { recursive: true, force: true });
+        forget(staging);
+
+        for (const f of files) {
+            const dest = join(staging, f);
+            await mkdir(dirname(dest), { recursive: true });
+            await Bun.write(dest, Bun.file(join(root, f)));
+        }
+
+        const detect = !entries;
+        const candidates =
+            entries || files.filter((f) => f.endsWith(".js") && !NOT_PLUGINS.test(f));
+        const found = [];
+        const skipped = [];
+        const problems = [];
+
+        for (const f of candidates) {
+            try {
+                const module = await import(`${join(staging, f)}?validate=${Date.now()}`);
+                if (detect && !isPluginModule(module)) {
+                    skipped.push(f);
+                    continue;
+                }
+
+                const { errors } = validatePlugin(module.default || module);
+                if (errors.length) problems.push(`${f}: ${errors.join("; ")}`);
+                else found.push(f);
+            } catch (e) {
+                problems.push(`${f}: ${e.message}`);
+            }
+        }
+
+        if (!problems.length && !found.length) {
+            const where = skipped.length ? ` (no handler export in ${skipped.join(", ")})` : "";
+            problems.push(
+                `no plugin modules found${where}; list them in package.json "o3din.plugins"`
+            );
+        }
+        if (problems.length) {
+            await rm(staging, { recursive: true, force: true });
+            throw new Error(`Validation failed\n${problems.join("\n")}`);
+        }
+
+        return { entries: found, skipped };
+    }
+
+    /**
+     * Swaps the staged folder in and reloads its plugins
+     * @private
+     * @async
+     * @method activate
+     * @param {string} name - Plugin folder name
+     * @param {Array<string>} keys - Registry keys of the plugin files
+     * @param {Array<string>} previous - Registry keys of the installed version
+     * @returns {Promise<Array<string>>} Registry keys that failed to load
+     */
+    async activate(name, keys, previous) {
+        const target = join(this.root, name);
+
+        await rm(target, { recursive: true, force: true });
+        await rename(join(this.root, `.staging-${name}`), target);
+        forget(target);
+
+        for (const key of previous) {
+            if (!keys.includes(key)) await unloadPlugin(join(this.folder, key), this.folder);
+        }
+
+        const failed = [];
+        for (const key of keys) {
+            if (!(await reloadSinglePlugin(join(this.folder, key), this.folder))) failed.push(key);
+        }
+        return failed;
+    }
+}
+
+/**
+ * Shared installer used by the .plugin command
+ * @constant {PluginInstaller}
+ */
+export const installer = new PluginInstaller();
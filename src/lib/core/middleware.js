@@ -0,0 +1,108 @@
+/**
+ * @file Plugin execution middleware pipeline
+ * @module core/middleware
+ * @description Koa-style middleware chain wrapped around every plugin call.
+ * Middleware can inspect or mutate the invocation context, short-circuit
+ * execution, and observe the result, error and timing afterwards.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Ordered middleware chain
+ * @class Middleware
+ *
+ * @example
+ * // In a plugin's init(), keep the disposer for cleanup()
+ * const off = global.middleware.use("logger", async (ctx, next) => {
+ *     await next();
+ *     global.logger.info({ plugin: ctx.name, ms: ctx.duration }, "Plugin finished");
+ * });
+ */
+export class Middleware {
+    constructor() {
+        /**
+         * Registered middleware entries
+         * @private
+         * @type {Array<{name: string|null, fn: Function}>}
+         */
+        this.stack = [];
+    }
+
+    /**
+     * Registers a middleware function
+     * @method use
+     * @param {string|Function} name - Optional unique name (replaces same-named entry on reload)
+     * @param {Function} [fn] - Middleware `(ctx, next) => Promise<void>`
+     * @returns {Function} Disposer that removes the middleware
+     *
+     * @context
+     * - ctx.m: Message object
+     * - ctx.extra: Plugin context (mutable; changes reach the plugin)
+     * - ctx.plugin / ctx.name: Plugin handler and registry name
+     * - ctx.conn: Connection object
+     * - ctx.result / ctx.error / ctx.duration: Set after next() resolves
+     * - ctx.skipped: True when execution was short-circuited
+     */
+    use(name, fn) {
+        if (typeof name === "function") {
+            fn = name;
+            name = null;
+        }
+
+        if (typeof fn !== "function") {
+            throw new TypeError("Middleware must be a function");
+        }
+
+        if (name) this.stack = this.stack.filter((entry) => entry.name !== name);
+
+        const entry = { name, fn };
+        this.stack.push(entry);
+
+        return () => {
+            this.stack = this.stack.filter((e) => e !== entry);
+        };
+    }
+
+    /**
+     * Removes middleware by name or function reference
+     * @method remove
+     * @param {string|Function} target - Middleware name or function
+     * @returns {boolean} True if anything was removed
+     */
+    remove(target) {
+        const before = this.stack.length;
+        this.stack = this.stack.filter((e) => e.name !== target && e.fn !== target);
+        return this.stack.length !== before;
+    }
+
+    /**
+     * Runs the chain, calling `final` when every middleware calls next()
+     * @async
+     * @method run
+     * @param {Object} ctx - Invocation context
+     * @param {Function} final - Innermost step (plugin execution)
+     * @returns {Promise<void>}
+     */
+    async run(ctx, final) {
+        const stack = [...this.stack];
+        let index = -1;
+
+        const dispatch = async (i) => {
+            if (i <= index) throw new Error("next() called multiple times");
+            index = i;
+
+            if (i === stack.length) return final(ctx);
+            return stack[i].fn(ctx, () => dispatch(i + 1));
+        };
+
+        await dispatch(0);
+        if (index < stack.length) ctx.skipped = true;
+    }
+}
+
+/**
+ * Shared middleware chain used by the handler
+ * @constant {Middleware}
+ */
+export const middleware = new Middleware();
@@ -13,6 +13,46 @@ import {
     generateWAMessageFromContent,
     generateWAMessage,
 } from "baileys";
+import { callbacks } from "./callbacks.js";
+import { parseDuration } from "#lib/duration.js";
+
+/**
+ * Builds a quick reply button whose press runs `btn.onPress`
+ * @private
+ * @function callbackButton
+ * @param {Object} btn - Button with text and onPress
+ * @param {number} index - Button position (for the default label)
+ * @param {Object} context - Registry context (chat, group, origin, ttl, once)
+ * @returns {Object} Native flow button
+ */
+function callbackButton(btn, index, context) {
+    return {
+        name: "quick_reply",
+        buttonParamsJson: JSON.stringify({
+            display_text: btn.text || btn.displayText || `Button ${index + 1}`,
+            id: callbacks.register(btn.onPress, { ...context, data: btn.data ?? null }),
+        }),
+    };
+}
+
+/**
+ * Reads callback options from message content
+ * @private
+ * @function callbackContext
+ * @param {string} jid - Target JID
+ * @param {Object} content - Message content ({ttl, once})
+ * @param {Object} options - Send options ({quoted})
+ * @returns {Object} Registry context for callbackButton
+ */
+function callbackContext(jid, content, options) {
+    return {
+        chat: jid,
+        group: callbacks.group(),
+        origin: options?.quoted || null,
+        ttl: parseDuration(content.ttl) ?? callbacks.ttl,
+        once: !!content.once,
+    };
+}
 
 /**
  * Advanced message sender with rich media support
@@ -42,8 +82,13 @@ export class mods {
      * @contentDetection
      * - album: Multi-image/video albums
      * - cards: Carousel card interfaces
-     * - button/interactiveButtons: Interactive buttons
+     * - button/buttons/interactiveButtons: Interactive buttons
      * - default: Standard message sending
+     *
+     * @callbacks
+     * Buttons and card buttons with an `onPress` function are registered in
+     * core/callbacks; pressing one calls `onPress(m, {conn, origin, sent, data})`
+     * before command matching. Content `ttl` ("5m") and `once` control lifetime.
      */
     async client(jid, content, options = {}) {
         if (content.album) {
@@ -54,7 +99,7 @@ export class mods {
             return this.sendCard(jid, content, options);
         }
 
-        if (content.button || content.interactiveButtons) {
+        if (content.button || content.buttons || content.interactiveButtons) {
             return this.sendButton(jid, content, options);
         }
 
@@ -216,105 +261,119 @@ export class mods {
         }
 
         const { text = "", title = "", footer = "", cards = [] } = content;
-        if (!Array.isArray(cards) || cards.length === 0) {
-            throw new Error("Cards must be a non-empty array");
-        }
+        const context = callbackContext(jid, content, options);
+        let msg;
+        try {
+            if (!Array.isArray(cards) || cards.length === 0) {
+                throw new Error("Cards must be a non-empty array");
+            }
 
-        if (cards.length > 10) {
-            throw new Error("Maximum 10 cards allowed");
-        }
+            if (cards.length > 10) {
+                throw new Error("Maximum 10 cards allowed");
+            }
 
-        const carouselCards = await Promise.all(
-            cards.map(async (card) => {
-                let type = null;
-                let media = null;
-
-                if (card.image) {
-                    type = "image";
-                    media = card.image;
-                } else if (card.video) {
-                    type = "video";
-                    media = card.video;
-                } else {
-                    throw new Error("Card must have image or video");
-                }
+            const carouselCards = await Promise.all(
+                cards.map(async (card) => {
+                    let type = null;
+                    let media = null;
+
+                    if (card.image) {
+                        type = "image";
+                        media = card.image;
+                    } else if (card.video) {
+                        type = "video";
+                        media = card.video;
+                    } else {
+                        throw new Error("Card must have image or video");
+                    }
 
-                const mediaInput = {};
-                if (Buffer.isBuffer(media)) {
-                    mediaInput[type] = media;
-                } else if (typeof media === "object" && media.url) {
-                    mediaInput[type] = { url: media.url };
-                } else if (typeof media === "string") {
-                    mediaInput[type] = { url: media };
-                } else {
-                    throw new Error("Media must be Buffer, URL string, or {url: string}");
-                }
+                    const mediaInput = {};
+                    if (Buffer.isBuffer(media)) {
+                        mediaInput[type] = media;
+                    } else if (typeof media === "object" && media.url) {
+                        mediaInput[type] = { url: media.url };
+                    } else if (typeof media === "string") {
+                        mediaInput[type] = { url: media };
+                    } else {
+                        throw new Error("Media must be Buffer, URL string, or {url: string}");
+                    }
 
-                const prepped = await prepareWAMessageMedia(mediaInput, {
-                    upload: this.conn.waUploadToServer,
-                });
+                    const prepped = await prepareWAMessageMedia(mediaInput, {
+                        upload: this.conn.waUploadToServer,
+                    });
 
-                const cardObj = {
-                    header: {
-                        title: card.title || "",
-                        hasMediaAttachment: true,
-                    },
-                    body: {
-                        text: card.body || "",
-                    },
-                    footer: {
-                        text: card.footer || "",
-                    },
-                };
+                    const cardObj = {
+                        header: {
+                            title: card.title || "",
+                            hasMediaAttachment: true,
+                        },
+                        body: {
+                            text: card.body || "",
+                        },
+                        footer: {
+                            text: card.footer || "",
+                        },
+                    };
 
-                if (type === "image") {
-                    cardObj.header.imageMessage = prepped.imageMessage;
-                } else if (type === "video") {
-                    cardObj.header.videoMessage = prepped.videoMessage;
-                }
+                    if (type === "image") {
+                        cardObj.header.imageMessage = prepped.imageMessage;
+                    } else if (type === "video") {
+                        cardObj.header.videoMessage = prepped.videoMessage;
+                    }
 
-                if (Array.isArray(card.buttons) && card.buttons.length > 0) {
-                    cardObj.nativeFlowMessage = {
-                        buttons: card.buttons.map((btn) => ({
-                            name: btn.name || "quick_reply",
-                            buttonParamsJson: btn.buttonParamsJson || JSON.stringify(btn),
-                        })),
-                    };
-                }
+                    if (Array.isArray(card.buttons) && card.buttons.length > 0) {
+                        cardObj.nativeFlowMessage = {
+                            buttons: card.buttons.map((btn, i) =>
+                                typeof btn.onPress === "function"
+                                    ? callbackButton(btn, i, context)
+                                    : {
+                                          name: btn.name || "quick_reply",
+                                          buttonParamsJson:
+                                              btn.buttonParamsJson || JSON.stringify(btn),
+                                      }
+                            ),
+                        };
+                    }
 
-                return cardObj;
-            })
-        );
-
-        const payload = proto.Message.InteractiveMessage.create({
-            body: { text: text },
-            footer: { text: footer },
-            header: title ? { title: title } : undefined,
-            carouselMessage: {
-                cards: carouselCards,
-                messageVersion: 1,
-            },
-        });
+                    return cardObj;
+                })
+            );
+
+            const payload = proto.Message.InteractiveMessage.create({
+                body: { text: text },
+                footer: { text: footer },
+                header: title ? { title: title } : undefined,
+                carouselMessage: {
+                    cards: carouselCards,
+                    messageVersion: 1,
+                },
+            });
 
-        const msg = generateWAMessageFromContent(
-            jid,
-            {
-                viewOnceMessage: {
-                    message: {
-                        interactiveMessage: payload,
+            msg = generateWAMessageFromContent(
+                jid,
+                {
+                    viewOnceMessage: {
+                        message: {
+                            interactiveMessage: payload,
+                        },
                     },
                 },
-            },
-            {
-                userJid: this.conn.user.id,
-                quoted: options?.quoted || null,
-            }
-        );
+                {
+                    userJid: this.conn.user.id,
+                    quoted: options?.quoted || null,
+                }
+            );
 
-        await this.conn.relayMessage(jid, msg.message, {
-            messageId: msg.key.id,
-        });
+            await this.conn.relayMessage(jid, msg.message, {
+                messageId: msg.key.id,
+            });
+        } catch (e) {
+            // Buttons registered before the failure would never be pressed
+            callbacks.drop(context.group);
+            throw e;
+        }
 
+        callbacks.attach(context.group, msg);
         return msg;
     }
 
@@ -336,6 +395,7 @@ export class mods {
      * - Text-only: Simple headers
      *
      * @buttonTypes
+     * - Callback buttons ({text, onPress})
      * - Quick reply buttons
      * - URL buttons
      * - Call buttons
@@ -376,324 +436,342 @@ export class mods {
             throw new Error("buttons or interactiveButtons must be a non-empty array");
         }
 
-        const processedButtons = [];
-        for (let i = 0; i < allButtons.length; i++) {
-            const btn = allButtons[i];
+        const context = callbackContext(jid, content, options);
+        let msg;
+        try {
+            const processedButtons = [];
+            for (let i = 0; i < allButtons.length; i++) {
+                const btn = allButtons[i];
 
-            if (!btn || typeof btn !== "object") {
-                throw new Error(`button[${i}] must be an object`);
-            }
-
-            if (btn.name && btn.buttonParamsJson) {
-                processedButtons.push(btn);
-                continue;
-            }
+                if (!btn || typeof btn !== "object") {
+                    throw new Error(`button[${i}] must be an object`);
+                }
 
-            if (btn.nativeFlowInfo && btn.nativeFlowInfo.name) {
-                processedButtons.push({
-                    name: btn.nativeFlowInfo.name,
-                    buttonParamsJson: btn.nativeFlowInfo.paramsJson || JSON.stringify({}),
-                });
-                continue;
-            }
+                if (typeof btn.onPress === "function") {
+                    processedButtons.push(callbackButton(btn, i, context));
+                    continue;
+                }
 
-            if (btn.id || btn.text || btn.displayText) {
-                processedButtons.push({
-                    name: "quick_reply",
-                    buttonParamsJson: JSON.stringify({
-                        display_text: btn.text || btn.displayText || `Button ${i + 1}`,
-                        id: btn.id || `quick_${i + 1}`,
-                    }),
-                });
-                continue;
-            }
+                if (btn.name && btn.buttonParamsJson) {
+                    processedButtons.push(btn);
+                    continue;
+                }
 
-            if (btn.buttonId && btn.buttonText?.displayText) {
-                if (btn.type === 4 || btn.nativeFlowInfo) {
-                    const flowInfo = btn.nativeFlowInfo || {};
+                if (btn.nativeFlowInfo && btn.nativeFlowInfo.name) {
                     processedButtons.push({
-                        name: flowInfo.name || "quick_reply",
-                        buttonParamsJson:
-                            flowInfo.paramsJson ||
-                            JSON.stringify({
-                                display_text: btn.buttonText.displayText,
-                                id: btn.buttonId,
-                            }),
+                        name: btn.nativeFlowInfo.name,
+                        buttonParamsJson: btn.nativeFlowInfo.paramsJson || JSON.stringify({}),
                     });
-                } else {
+                    continue;
+                }
+
+                if (btn.id || btn.text || btn.displayText) {
                     processedButtons.push({
                         name: "quick_reply",
                         buttonParamsJson: JSON.stringify({
-                            display_text: btn.buttonText.displayText,
-                            id: btn.buttonId,
+                            display_text: btn.text || btn.displayText || `Button ${i + 1}`,
+                            id: btn.id || `quick_${i + 1}`,
                         }),
                     });
+                    continue;
                 }
-                continue;
-            }
-
-            throw new Error(`button[${i}] has invalid shape`);
-        }
 
-        let messageContent = {};
+                if (btn.buttonId && btn.buttonText?.displayText) {
+                    if (btn.type === 4 || btn.nativeFlowInfo) {
+                        const flowInfo = btn.nativeFlowInfo || {};
+                        processedButtons.push({
+                            name: flowInfo.name || "quick_reply",
+                            buttonParamsJson:
+                                flowInfo.paramsJson ||
+                                JSON.stringify({
+                                    display_text: btn.buttonText.displayText,
+                                    id: btn.buttonId,
+                                }),
+                        });
+                    } else {
+                        processedButtons.push({
+                            name: "quick_reply",
+                            buttonParamsJson: JSON.stringify({
+                                display_text: btn.buttonText.displayText,
+                                id: btn.buttonId,
+                            }),
+                        });
+                    }
+                    continue;
+                }
 
-        if (image) {
-            const mediaInput = {};
-            if (Buffer.isBuffer(image)) {
-                mediaInput.image = image;
-            } else if (typeof image === "object" && image.url) {
-                mediaInput.image = { url: image.url };
-            } else if (typeof image === "string") {
-                mediaInput.image = { url: image };
+                throw new Error(`button[${i}] has invalid shape`);
             }
 
-            const preparedMedia = await prepareWAMessageMedia(mediaInput, {
-                upload: this.conn.waUploadToServer,
-            });
+            let messageContent = {};
 
-            messageContent.header = {
-                title: title || "",
-                hasMediaAttachment: hasMediaAttachment || true,
-                imageMessage: preparedMedia.imageMessage,
-            };
-        } else if (video) {
-            const mediaInput = {};
-            if (Buffer.isBuffer(video)) {
-                mediaInput.video = video;
-            } else if (typeof video === "object" && video.url) {
-                mediaInput.video = { url: video.url };
-            } else if (typeof video === "string") {
-                mediaInput.video = { url: video };
-            }
+            if (image) {
+                const mediaInput = {};
+                if (Buffer.isBuffer(image)) {
+                    mediaInput.image = image;
+                } else if (typeof image === "object" && image.url) {
+                    mediaInput.image = { url: image.url };
+                } else if (typeof image === "string") {
+                    mediaInput.image = { url: image };
+                }
 
-            const preparedMedia = await prepareWAMessageMedia(mediaInput, {
-                upload: this.conn.waUploadToServer,
-            });
+                const preparedMedia = await prepareWAMessageMedia(mediaInput, {
+                    upload: this.conn.waUploadToServer,
+                });
 
-            messageContent.header = {
-                title: title || "",
-                hasMediaAttachment: hasMediaAttachment || true,
-                videoMessage: preparedMedia.videoMessage,
-            };
-        } else if (document) {
-            const mediaInput = { document: {} };
-
-            if (Buffer.isBuffer(document)) {
-                mediaInput.document = {
-                    buffer: document,
-                    ...(mimetype && { mimetype }),
-                    ...(fileName && { fileName }),
-                    ...(fileLength !== null && { fileLength }),
-                    ...(pageCount !== null && { pageCount }),
-                };
-            } else if (typeof document === "object" && document.url) {
-                mediaInput.document = {
-                    url: document.url,
-                    ...(mimetype && { mimetype }),
-                    ...(fileName && { fileName }),
-                    ...(fileLength !== null && { fileLength }),
-                    ...(pageCount !== null && { pageCount }),
+                messageContent.header = {
+                    title: title || "",
+                    hasMediaAttachment: hasMediaAttachment || true,
+                    imageMessage: preparedMedia.imageMessage,
                 };
-            } else if (typeof document === "string") {
-                mediaInput.document = {
-                    url: document,
-                    ...(mimetype && { mimetype }),
-                    ...(fileName && { fileName }),
-                    ...(fileLength !== null && { fileLength }),
-                    ...(pageCount !== null && { pageCount }),
+            } else if (video) {
+                const mediaInput = {};
+                if (Buffer.isBuffer(video)) {
+                    mediaInput.video = video;
+                } else if (typeof video === "object" && video.url) {
+                    mediaInput.video = { url: video.url };
+                } else if (typeof video === "string") {
+                    mediaInput.video = { url: video };
+                }
+
+                const preparedMedia = await prepareWAMessageMedia(mediaInput, {
+                    upload: this.conn.waUploadToServer,
+                });
+
+                messageContent.header = {
+                    title: title || "",
+                    hasMediaAttachment: hasMediaAttachment || true,
+                    videoMessage: preparedMedia.videoMessage,
                 };
-            }
+            } else if (document) {
+                const mediaInput = { document: {} };
+
+                if (Buffer.isBuffer(document)) {
+                    mediaInput.document = {
+                        buffer: document,
+                        ...(mimetype && { mimetype }),
+                        ...(fileName && { fileName }),
+                        ...(fileLength !== null && { fileLength }),
+                        ...(pageCount !== null && { pageCount }),
+                    };
+                } else if (typeof document === "object" && document.url) {
+                    mediaInput.document = {
+                        url: document.url,
+                        ...(mimetype && { mimetype }),
+                        ...(fileName && { fileName }),
+                        ...(fileLength !== null && { fileLength }),
+                        ...(pageCount !== null && { pageCount }),
+                    };
+                } else if (typeof document === "string") {
+                    mediaInput.document = {
+                        url: document,
+                        ...(mimetype && { mimetype }),
+                        ...(fileName && { fileName }),
+                        ...(fileLength !== null && { fileLength }),
+                        ...(pageCount !== null && { pageCount }),
+                    };
+                }
 
-            if (jpegThumbnail) {
-                if (Buffer.isBuffer(jpegThumbnail)) {
-                    if (typeof mediaInput.document === "object") {
-                        mediaInput.document.jpegThumbnail = jpegThumbnail;
-                    }
-                } else if (typeof jpegThumbnail === "string") {
-                    try {
-                        const res = await fetch(jpegThumbnail);
-                        const arr = await res.arrayBuffer();
+                if (jpegThumbnail) {
+                    if (Buffer.isBuffer(jpegThumbnail)) {
                         if (typeof mediaInput.document === "object") {
-                            mediaInput.document.jpegThumbnail = Buffer.from(arr);
+                            mediaInput.document.jpegThumbnail = jpegThumbnail;
+                        }
+                    } else if (typeof jpegThumbnail === "string") {
+                        try {
+                            const res = await fetch(jpegThumbnail);
+                            const arr = await res.arrayBuffer();
+                            if (typeof mediaInput.document === "object") {
+                                mediaInput.document.jpegThumbnail = Buffer.from(arr);
+                            }
+                        } catch {
+                            //
                         }
-                    } catch {
-                        //
                     }
                 }
-            }
-
-            const preparedMedia = await prepareWAMessageMedia(mediaInput, {
-                upload: this.conn.waUploadToServer,
-            });
-
-            if (preparedMedia.documentMessage) {
-                if (fileName) preparedMedia.documentMessage.fileName = fileName;
-                if (fileLength !== null)
-                    preparedMedia.documentMessage.fileLength = fileLength.toString();
-                if (pageCount !== null) preparedMedia.documentMessage.pageCount = pageCount;
-                if (mimetype) preparedMedia.documentMessage.mimetype = mimetype;
-            }
-
-            messageContent.header = {
-                title: title || "",
-                hasMediaAttachment: hasMediaAttachment || true,
-                documentMessage: preparedMedia.documentMessage,
-            };
-        } else if (location && typeof location === "object") {
-            messageContent.header = {
-                title: title || location.name || "Location",
-                hasMediaAttachment: hasMediaAttachment || false,
-                locationMessage: {
-                    degreesLatitude: location.degressLatitude || location.degreesLatitude || 0,
-                    degreesLongitude: location.degressLongitude || location.degreesLongitude || 0,
-                    name: location.name || "",
-                    address: location.address || "",
-                },
-            };
-        } else if (product && typeof product === "object") {
-            let productImageMessage = null;
-            if (product.productImage) {
-                const mediaInput = {};
-                if (Buffer.isBuffer(product.productImage)) {
-                    mediaInput.image = product.productImage;
-                } else if (typeof product.productImage === "object" && product.productImage.url) {
-                    mediaInput.image = { url: product.productImage.url };
-                } else if (typeof product.productImage === "string") {
-                    mediaInput.image = { url: product.productImage };
-                }
 
                 const preparedMedia = await prepareWAMessageMedia(mediaInput, {
                     upload: this.conn.waUploadToServer,
                 });
-                productImageMessage = preparedMedia.imageMessage;
-            }
 
-            messageContent.header = {
-                title: title || product.title || "Product",
-                hasMediaAttachment: hasMediaAttachment || false,
-                productMessage: {
-                    product: {
-                        productImage: productImageMessage,
-                        productId: product.productId || "",
-                        title: product.title || "",
-                        description: product.description || "",
-                        currencyCode: product.currencyCode || "USD",
-                        priceAmount1000: parseInt(product.priceAmount1000) || 0,
-                        retailerId: product.retailerId || "",
-                        url: product.url || "",
-                        productImageCount: product.productImageCount || 1,
+                if (preparedMedia.documentMessage) {
+                    if (fileName) preparedMedia.documentMessage.fileName = fileName;
+                    if (fileLength !== null)
+                        preparedMedia.documentMessage.fileLength = fileLength.toString();
+                    if (pageCount !== null) preparedMedia.documentMessage.pageCount = pageCount;
+                    if (mimetype) preparedMedia.documentMessage.mimetype = mimetype;
+                }
+
+                messageContent.header = {
+                    title: title || "",
+                    hasMediaAttachment: hasMediaAttachment || true,
+                    documentMessage: preparedMedia.documentMessage,
+                };
+            } else if (location && typeof location === "object") {
+                messageContent.header = {
+                    title: title || location.name || "Location",
+                    hasMediaAttachment: hasMediaAttachment || false,
+                    locationMessage: {
+                        degreesLatitude: location.degressLatitude || location.degreesLatitude || 0,
+                        degreesLongitude:
+                            location.degressLongitude || location.degreesLongitude || 0,
+                        name: location.name || "",
+                        address: location.address || "",
                     },
-                    businessOwnerJid:
-                        businessOwnerJid || product.businessOwnerJid || this.conn.user.id,
-                },
-            };
-        } else if (title) {
-            messageContent.header = {
-                title: title,
-                hasMediaAttachment: false,
-            };
-        }
+                };
+            } else if (product && typeof product === "object") {
+                let productImageMessage = null;
+                if (product.productImage) {
+                    const mediaInput = {};
+                    if (Buffer.isBuffer(product.productImage)) {
+                        mediaInput.image = product.productImage;
+                    } else if (
+                        typeof product.productImage === "object" &&
+                        product.productImage.url
+                    ) {
+                        mediaInput.image = { url: product.productImage.url };
+                    } else if (typeof product.productImage === "string") {
+                        mediaInput.image = { url: product.productImage };
+                    }
 
-        const hasMedia = !!(image || video || document || location || product);
-        const bodyText = hasMedia ? caption : text || caption;
+                    const preparedMedia = await prepareWAMessageMedia(mediaInput, {
+                        upload: this.conn.waUploadToServer,
+                    });
+                    productImageMessage = preparedMedia.imageMessage;
+                }
 
-        if (bodyText) {
-            messageContent.body = { text: bodyText };
-        }
+                messageContent.header = {
+                    title: title || product.title || "Product",
+                    hasMediaAttachment: hasMediaAttachment || false,
+                    productMessage: {
+                        product: {
+                            productImage: productImageMessage,
+                            productId: product.productId || "",
+                            title: product.title || "",
+                            description: product.description || "",
+                            currencyCode: product.currencyCode || "USD",
+                            priceAmount1000: parseInt(product.priceAmount1000) || 0,
+                            retailerId: product.retailerId || "",
+                            url: product.url || "",
+                            productImageCount: product.productImageCount || 1,
+                        },
+                        businessOwnerJid:
+                            businessOwnerJid || product.businessOwnerJid || this.conn.user.id,
+                    },
+                };
+            } else if (title) {
+                messageContent.header = {
+                    title: title,
+                    hasMediaAttachment: false,
+                };
+            }
 
-        if (footer) {
-            messageContent.footer = { text: footer };
-        }
+            const hasMedia = !!(image || video || document || location || product);
+            const bodyText = hasMedia ? caption : text || caption;
 
-        messageContent.nativeFlowMessage = {
-            buttons: processedButtons,
-        };
+            if (bodyText) {
+                messageContent.body = { text: bodyText };
+            }
 
-        if (contextInfo && typeof contextInfo === "object") {
-            messageContent.contextInfo = { ...contextInfo };
-        } else if (externalAdReply && typeof externalAdReply === "object") {
-            messageContent.contextInfo = {
-                externalAdReply: {
-                    title: externalAdReply.title || "",
-                    body: externalAdReply.body || "",
-                    mediaType: externalAdReply.mediaType || 1,
-                    sourceUrl: externalAdReply.sourceUrl || externalAdReply.url || "",
-                    thumbnailUrl: externalAdReply.thumbnailUrl || externalAdReply.thumbnail || "",
-                    renderLargerThumbnail: externalAdReply.renderLargerThumbnail || false,
-                    showAdAttribution: externalAdReply.showAdAttribution !== false,
-                    containsAutoReply: externalAdReply.containsAutoReply || false,
-                    ...(externalAdReply.mediaUrl && {
-                        mediaUrl: externalAdReply.mediaUrl,
-                    }),
-                    ...(externalAdReply.thumbnail &&
-                        Buffer.isBuffer(externalAdReply.thumbnail) && {
-                            thumbnail: externalAdReply.thumbnail,
-                        }),
-                    ...(externalAdReply.jpegThumbnail &&
-                        Buffer.isBuffer(externalAdReply.jpegThumbnail) && {
-                            jpegThumbnail: externalAdReply.jpegThumbnail,
-                        }),
-                },
+            if (footer) {
+                messageContent.footer = { text: footer };
+            }
+
+            messageContent.nativeFlowMessage = {
+                buttons: processedButtons,
             };
-        }
 
-        if (options.mentionedJid) {
-            if (messageContent.contextInfo) {
-                messageContent.contextInfo.mentionedJid = options.mentionedJid;
-            } else {
+            if (contextInfo && typeof contextInfo === "object") {
+                messageContent.contextInfo = { ...contextInfo };
+            } else if (externalAdReply && typeof externalAdReply === "object") {
                 messageContent.contextInfo = {
-                    mentionedJid: options.mentionedJid,
+                    externalAdReply: {
+                        title: externalAdReply.title || "",
+                        body: externalAdReply.body || "",
+                        mediaType: externalAdReply.mediaType || 1,
+                        sourceUrl: externalAdReply.sourceUrl || externalAdReply.url || "",
+                        thumbnailUrl:
+                            externalAdReply.thumbnailUrl || externalAdReply.thumbnail || "",
+                        renderLargerThumbnail: externalAdReply.renderLargerThumbnail || false,
+                        showAdAttribution: externalAdReply.showAdAttribution !== false,
+                        containsAutoReply: externalAdReply.containsAutoReply || false,
+                        ...(externalAdReply.mediaUrl && {
+                            mediaUrl: externalAdReply.mediaUrl,
+                        }),
+                        ...(externalAdReply.thumbnail &&
+                            Buffer.isBuffer(externalAdReply.thumbnail) && {
+                                thumbnail: externalAdReply.thumbnail,
+                            }),
+                        ...(externalAdReply.jpegThumbnail &&
+                            Buffer.isBuffer(externalAdReply.jpegThumbnail) && {
+                                jpegThumbnail: externalAdReply.jpegThumbnail,
+                            }),
+                    },
                 };
             }
-        }
 
-        const payload = proto.Message.InteractiveMessage.create(messageContent);
+            if (options.mentionedJid) {
+                if (messageContent.contextInfo) {
+                    messageContent.contextInfo.mentionedJid = options.mentionedJid;
+                } else {
+                    messageContent.contextInfo = {
+                        mentionedJid: options.mentionedJid,
+                    };
+                }
+            }
+
+            const payload = proto.Message.InteractiveMessage.create(messageContent);
 
-        const msg = generateWAMessageFromContent(
-            jid,
-            {
-                viewOnceMessage: {
-                    message: {
-                        interactiveMessage: payload,
+            msg = generateWAMessageFromContent(
+                jid,
+                {
+                    viewOnceMessage: {
+                        message: {
+                            interactiveMessage: payload,
+                        },
                     },
                 },
-            },
-            {
-                userJid: this.conn.user.id,
-                quoted: options?.quoted || null,
-            }
-        );
-
-        const additionalNodes = [
-            {
-                tag: "biz",
-                attrs: {},
-                content: [
-                    {
-                        tag: "interactive",
-                        attrs: {
-                            type: "native_flow",
-                            v: "1",
-                        },
-                        content: [
-                            {
-                                tag: "native_flow",
-                                attrs: {
-                                    v: "9",
-                                    name: "mixed",
-                                },
+                {
+                    userJid: this.conn.user.id,
+                    quoted: options?.quoted || null,
+                }
+            );
+
+            const additionalNodes = [
+                {
+                    tag: "biz",
+                    attrs: {},
+                    content: [
+                        {
+                            tag: "interactive",
+                            attrs: {
+                                type: "native_flow",
+                                v: "1",
                             },
-                        ],
-                    },
-                ],
-            },
-        ];
+                            content: [
+                                {
+                                    tag: "native_flow",
+                                    attrs: {
+                                        v: "9",
+                                        name: "mixed",
+                                    },
+                                },
+                            ],
+                        },
+                    ],
+                },
+            ];
 
-        await this.conn.relayMessage(jid, msg.message, {
-            messageId: msg.key.id,
-            additionalNodes,
-        });
+            await this.conn.relayMessage(jid, msg.message, {
+                messageId: msg.key.id,
+                additionalNodes,
+            });
+        } catch (e) {
+            callbacks.drop(context.group);
+            throw e;
+        }
 
+        callbacks.attach(context.group, msg);
         return msg;
     }
 }
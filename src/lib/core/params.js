@@ -0,0 +1,216 @@
+/**
+ * @file Declarative plugin argument schemas
+ * @module core/params
+ * @description Validates and coerces command arguments against a schema
+ * declared on the plugin (`handler.params`) and generates usage text for
+ * error replies and the help menu.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { parseDuration } from "#lib/duration.js";
+
+/**
+ * Matches a long flag token such as `--hd`
+ * @private
+ * @constant {RegExp}
+ */
+const FLAG_RE = /^--([a-z][a-z0-9-]*)$/i;
+
+/**
+ * Coercers for positional parameter types
+ * @private
+ * @constant {Object}
+ *
+ * @contract
+ * Each coercer receives (spec, tokens, m) and returns
+ * {value, used} on success or {error} on failure, where `used` is the
+ * number of tokens consumed.
+ */
+const TYPES = {
+    string: (spec, [token]) => {
+        if (token === undefined) return { value: undefined, used: 0 };
+        if (spec.pattern && !spec.pattern.test(token)) return { error: "invalid format" };
+        return { value: token, used: 1 };
+    },
+
+    text: (spec, tokens) => {
+        if (!tokens.length) return { value: undefined, used: 0 };
+        return { value: tokens.join(" "), used: tokens.length };
+    },
+
+    url: (spec, [token]) => {
+        if (token === undefined) return { value: undefined, used: 0 };
+        try {
+            const url = new URL(token);
+            if (!/^https?:$/.test(url.protocol)) return { error: "must be an http(s) URL" };
+        } catch {
+            return { error: "must be a valid URL" };
+        }
+        if (spec.pattern && !spec.pattern.test(token)) return { error: "unsupported URL" };
+        return { value: token, used: 1 };
+    },
+
+    number: (spec, [token]) => {
+        if (token === undefined) return { value: undefined, used: 0 };
+        const value = Number(token);
+        if (!Number.isFinite(value)) return { error: "must be a number" };
+        if (spec.integer && !Number.isInteger(value)) return { error: "must be a whole number" };
+        if (spec.min !== undefined && value < spec.min) return { error: `must be ≥ ${spec.min}` };
+        if (spec.max !== undefined && value > spec.max) return { error: `must be ≤ ${spec.max}` };
+        return { value, used: 1 };
+    },
+
+    enum: (spec, [token]) => {
+        if (token === undefined) return { value: undefined, used: 0 };
+        const value = spec.choices.find((c) => c.toLowerCase() === token.toLowerCase());
+        if (!value) return { error: `must be one of: ${spec.choices.join(", ")}` };
+        return { value, used: 1 };
+    },
+
+    duration: (spec, [token]) => {
+        if (token === undefined) return { value: undefined, used: 0 };
+        // Bare numbers are read in spec.unit when given (parseDuration assumes seconds)
+        const value = parseDuration(spec.unit && /^\d+$/.test(token) ? token + spec.unit : token);
+        if (value === null) return { error: "must be a duration like 30s, 10m, 1h, 7d" };
+        return { value, used: 1 };
+    },
+
+    mention: (spec, [token], m) => {
+        // Explicit @mention token consumes the next mentioned JID
+        if (token?.startsWith("@") && m?.mentionedJid?.length) {
+            return { value: m.mentionedJid[0], used: 1 };
+        }
+
+        // Bare phone number / LID digits
+        const digits = token?.replace(/[^0-9]/g, "") || "";
+        if (token !== undefined && digits.length >= 5 && /^[+@\d\s-]+$/.test(token)) {
+            return { value: `${digits}@s.whatsapp.net`, used: 1 };
+        }
+
+        // Fall back to mentions without token or the quoted sender
+        const fallback = m?.mentionedJid?.[0] || (spec.quoted !== false && m?.quoted?.sender);
+        if (fallback) return { value: fallback, used: 0 };
+
+        if (token === undefined) return { value: undefined, used: 0 };
+        return { error: "must be a @mention or phone number" };
+    },
+};
+
+TYPES.jid = TYPES.mention;
+
+/**
+ * Formats the argument part of a usage line
+ * @function formatParams
+ * @param {Array<Object>} params - Parameter schema
+ * @returns {string} Usage arguments (e.g., "<url> [--hd]")
+ */
+export function formatParams(params = []) {
+    return params
+        .map((p) => {
+            if (p.type === "flag") return `[--${p.name}]`;
+            const label =
+                p.type === "enum"
+                    ? p.choices.join("|")
+                    : p.type === "text"
+                      ? `${p.name}...`
+                      : p.name;
+            return p.optional || p.default !== undefined ? `[${label}]` : `<${label}>`;
+        })
+        .join(" ");
+}
+
+/**
+ * Formats a full usage message for a command
+ * @function formatUsage
+ * @param {string} prefix - Prefix used
+ * @param {string} command - Command name
+ * @param {Array<Object>} params - Parameter schema
+ * @returns {string} Usage text with example when available
+ */
+export function formatUsage(prefix, command, params = []) {
+    const lines = [`Usage: ${`${prefix + command} ${formatParams(params)}`.trim()}`];
+
+    // Example line needs an example for every required positional
+    const positional = params.filter((p) => p.type !== "flag");
+    const required = positional.filter((p) => !p.optional && p.default === undefined);
+    const examples = positional.filter((p) => p.example !== undefined);
+    if (examples.length && required.every((p) => p.example !== undefined)) {
+        lines.push(`Ex: ${prefix + command} ${examples.map((p) => p.example).join(" ")}`);
+    }
+
+    const described = params.filter((p) => p.description);
+    if (described.length) {
+        lines.push(
+            "",
+            ...described.map((p) => `${p.type === "flag" ? "--" : ""}${p.name}: ${p.description}`)
+        );
+    }
+
+    return lines.join("\n");
+}
+
+/**
+ * Validates and coerces command arguments against a schema
+ * @function parseParams
+ * @param {Array<Object>} params - Parameter schema
+ * @param {Array<string>} args - Raw argument tokens
+ * @param {Object} m - Message object (for mentions and quoted sender)
+ * @returns {Object} {success: true, params} or {success: false, error}
+ *
+ * @schema
+ * - name: Key in extra.params
+ * - type: url | number | mention | jid | enum | duration | string | text | flag
+ * - optional: Parameter may be omitted
+ * - default: Value used when omitted (implies optional)
+ * - choices: Allowed values for enum
+ * - pattern: RegExp the raw token must match (url, string)
+ * - min / max / integer: Bounds for number
+ * - unit: Unit for a bare number given to duration (e.g. "d"; default seconds)
+ * - quoted: Allow quoted sender as mention fallback (default true)
+ * - example / description: Used in generated usage text
+ *
+ * @example
+ * handler.params = [
+ *     { name: "url", type: "url", example: "https://vt.tiktok.com/xxx" },
+ *     { name: "hd", type: "flag" },
+ * ];
+ * // ".tiktok https://vt.tiktok.com/abc --hd" -> { url: "https://...", hd: true }
+ */
+export function parseParams(params = [], args = [], m = null) {
+    const result = {};
+    const tokens = [];
+
+    // Extract flags from anywhere in the argument list
+    const flags = new Set(params.filter((p) => p.type === "flag").map((p) => p.name));
+    for (const flag of flags) result[flag] = false;
+
+    for (const token of args) {
+        const flag = FLAG_RE.exec(token)?.[1]?.toLowerCase();
+        if (flag && flags.has(flag)) result[flag] = true;
+        else if (flag && flags.size) return { success: false, error: `Unknown option --${flag}` };
+        else tokens.push(token);
+    }
+
+    // Assign positional parameters in order
+    let rest = tokens;
+    for (const spec of params) {
+        if (spec.type === "flag") continue;
+
+        const coerce = TYPES[spec.type] || TYPES.string;
+        const out = coerce(spec, rest, m);
+
+        if (out.error) return { success: false, error: `Invalid ${spec.name}: ${out.error}` };
+
+        if (out.value === undefined) {
+            if (spec.default !== undefined) result[spec.name] = spec.default;
+            else if (!spec.optional) return { success: false, error: `Missing ${spec.name}` };
+            continue;
+        }
+
+        result[spec.name] = out.value;
+        rest = rest.slice(out.used);
+    }
+
+    return { success: true, params: result };
+}
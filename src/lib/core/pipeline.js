@@ -0,0 +1,353 @@
+/**
+ * @file Command pipelines
+ * @module core/pipeline
+ * @description Runs ".tiktok <url> | .sticker" style chains: every stage but
+ * the last runs with its outgoing messages held in memory, and what it
+ * produced is handed to the next stage as the quoted message. Only the last
+ * stage talks to the chat.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomBytes } from "node:crypto";
+
+/**
+ * directPath/url scheme of media held by a pipeline
+ * @private
+ * @constant {string}
+ */
+const PIPE_SCHEME = "pipe:";
+
+/**
+ * Message node and default mimetype per media content key
+ * @private
+ * @constant {Object<string, Array<string>>}
+ */
+const MEDIA = {
+    image: ["imageMessage", "image/jpeg"],
+    video: ["videoMessage", "video/mp4"],
+    audio: ["audioMessage", "audio/mpeg"],
+    sticker: ["stickerMessage", "image/webp"],
+    document: ["documentMessage", "application/octet-stream"],
+};
+
+/**
+ * Message nodes a stage can pass on
+ * @private
+ * @constant {Set<string>}
+ */
+const MEDIA_NODES = new Set(Object.values(MEDIA).map(([node]) => node));
+
+/**
+ * Text message nodes a stage can pass on when it sent no media
+ * @private
+ * @constant {Set<string>}
+ */
+const TEXT_NODES = new Set(["extendedTextMessage", "conversation"]);
+
+/**
+ * Creates an id for a held message (not 16 chars, so it never looks like a Baileys id)
+ * @private
+ * @function newId
+ * @returns {string} Message id
+ */
+const newId = () => `PIPE${randomBytes(8).toString("hex").toUpperCase()}`;
+
+/**
+ * Holds stage output and feeds it to the next stage
+ * @class Pipeline
+ *
+ * @flow
+ * 1. split() recognises "cmd | cmd | ..." where every segment is a command
+ * 2. capture() runs a stage; conn.sendMessage/relayMessage to the same chat
+ *    are held instead of sent (intercept(), interceptRelay())
+ * 3. output() picks the last media message (else the last text) it produced
+ * 4. stage() builds the next stage's message quoting that output; held media
+ *    downloads through download() like any other quoted media
+ * 5. A stage that fails or produces nothing has its held messages sent
+ *    (flush()) so the user still sees the usage text or error
+ */
+export class Pipeline {
+    /**
+     * @constructor
+     * @param {Object} [options] - Pipeline options
+     * @param {number} [options.maxStages=5] - Longest chain accepted
+     */
+    constructor({ maxStages = 5 } = {}) {
+        this.maxStages = maxStages;
+
+        /**
+         * Capture of the stage running in the current async context
+         * @private
+         * @type {AsyncLocalStorage}
+         */
+        this.storage = new AsyncLocalStorage();
+
+        /**
+         * Media sources of held messages by message id
+         * @private
+         * @type {Map<string, *>}
+         */
+        this.files = new Map();
+    }
+
+    /**
+     * Splits text into pipeline stages
+     * @method split
+     * @param {string} text - Message text
+     * @param {Function} isCommand - Tells whether a segment is a known command
+     * @returns {Array<string>|null} Stage texts, or null if the text is not a pipeline
+     */
+    split(text, isCommand) {
+        if (typeof text !== "string" || !text.includes("|")) return null;
+
+        const stages = text.split(/\s+\|\s*/).map((s) => s.trim());
+        if (stages.length < 2 || stages.length > this.maxStages) return null;
+
+        return stages.every((s) => s && isCommand(s)) ? stages : null;
+    }
+
+    /**
+     * Runs a stage with its messages to the chat held back
+     * @async
+     * @method capture
+     * @param {string} chat - Chat the pipeline runs in
+     * @param {Function} fn - Stage to run
+     * @returns {Promise<Object>} Capture with the held messages
+     */
+    async capture(chat, fn) {
+        const capture = { chat, open: true, sent: [], files: [] };
+        try {
+            await this.storage.run(capture, fn);
+        } finally {
+            capture.open = false;
+        }
+        return capture;
+    }
+
+    /**
+     * Returns the open capture for a chat in the current async context
+     * @private
+     * @method active
+     * @param {string} jid - Target chat
+     * @returns {Object|null} Capture or null
+     */
+    active(jid) {
+        const capture = this.storage.getStore();
+        return capture?.open && capture.chat === jid ? capture : null;
+    }
+
+    /**
+     * Holds a conn.sendMessage call made by a capturing stage
+     * @method intercept
+     * @param {string} jid - Target chat
+     * @param {Object} content - Baileys message content
+     * @param {Object} [options] - Send options
+     * @returns {Object|null} Stand-in for the sent message, or null to send normally
+     */
+    intercept(jid, content, options) {
+        const capture = this.active(jid);
+        if (!capture || !content) return null;
+
+        const held = (id, message) => ({
+            key: { remoteJid: jid, fromMe: true, id },
+            message,
+            messageTimestamp: Math.floor(Date.now() / 1000),
+            status: 1,
+        });
+
+        // Edits and deletes of held messages apply to the held copy
+        const target = (key) => capture.sent.find((s) => s.key.id === key?.id);
+        if (content.edit) {
+            const entry = target(content.edit);
+            if (entry && typeof content.text === "string") {
+                entry.content = { ...entry.content, text: content.text };
+                entry.message = { extendedTextMessage: { text: content.text } };
+            }
+            return held(content.edit.id, entry?.message || null);
+        }
+        if (content.delete) {
+            capture.sent = capture.sent.filter((s) => s.key.id !== content.delete.id);
+            return held(content.delete.id, null);
+        }
+
+        const id = newId();
+        const entry = { key: { remoteJid: jid, fromMe: true, id }, content, options };
+        entry.message = this.toMessage(capture, id, content);
+        capture.sent.push(entry);
+        return held(id, entry.message);
+    }
+
+    /**
+     * Holds a conn.relayMessage call made by a capturing stage
+     * @method interceptRelay
+     * @param {string} jid - Target chat
+     * @param {Object} message - Prepared message
+     * @param {Object} [options] - Relay options
+     * @returns {string|null} Message id, or null to relay normally
+     */
+    interceptRelay(jid, message, options = {}) {
+        const capture = this.active(jid);
+        if (!capture) return null;
+
+        const id = options.messageId || newId();
+        const key = { remoteJid: jid, fromMe: true, id };
+        capture.sent.push({ key, message, options, relay: true });
+        return id;
+    }
+
+    /**
+     * Converts held content to the message a quoted reply would carry
+     * @private
+     * @method toMessage
+     * @param {Object} capture - Owning capture
+     * @param {string} id - Held message id
+     * @param {Object} content - Baileys message content
+     * @returns {Object|null} Message or null for content that cannot be passed on
+     */
+    toMessage(capture, id, content) {
+        const type = Object.keys(MEDIA).find((k) => content[k]);
+        if (type) {
+            const [node, mimetype] = MEDIA[type];
+            this.files.set(id, content[type]);
+            capture.files.push(id);
+
+            return {
+                [node]: {
+                    url: PIPE_SCHEME + id,
+                    directPath: PIPE_SCHEME + id,
+                    mimetype: content.mimetype || mimetype,
+                    caption: content.caption,
+                    fileName: content.fileName,
+                    ptt: content.ptt,
+                },
+            };
+        }
+
+        if (typeof content.text === "string") {
+            return { extendedTextMessage: { text: content.text } };
+        }
+
+        return null;
+    }
+
+    /**
+     * Picks what a finished stage passes on
+     * @method output
+     * @param {Object} capture - Finished capture
+     * @returns {Object|null} Last media message, else last text message
+     */
+    output(capture) {
+        const messages = capture.sent
+            .map((s) => s.message)
+            .filter((msg) => msg && Object.keys(msg).length);
+        const kind = (msg) => Object.keys(msg)[0];
+
+        return (
+            messages.findLast((msg) => MEDIA_NODES.has(kind(msg))) ||
+            messages.findLast((msg) => TEXT_NODES.has(kind(msg))) ||
+            null
+        );
+    }
+
+    /**
+     * Builds the raw message for a stage
+     * @method stage
+     * @param {Object} m - Serialized pipeline message
+     * @param {string} text - Stage command text
+     * @param {Object|null} input - Previous stage output (null for the first stage)
+     * @param {string} from - Jid the previous output appears to come from (the bot)
+     * @returns {Object} Raw message for smsg()
+     */
+    stage(m, text, input, from) {
+        const raw = {
+            key: m.key,
+            pushName: m.pushName,
+            messageTimestamp: m.messageTimestamp,
+            participant: m.participant,
+        };
+
+        if (input) {
+            raw.message = {
+                extendedTextMessage: {
+                    text,
+                    contextInfo: { stanzaId: newId(), participant: from, quotedMessage: input },
+                },
+            };
+            return raw;
+        }
+
+        // First stage keeps whatever it quotes or carries, with only its own command
+        const node = m.message[m.mtype];
+        raw.message =
+            typeof node === "string"
+                ? { [m.mtype]: text }
+                : {
+                      ...m.message,
+                      [m.mtype]: {
+                          ...node,
+                          [m.mtype === "extendedTextMessage" ? "text" : "caption"]: text,
+                      },
+                  };
+        return raw;
+    }
+
+    /**
+     * Sends the messages a stage held back
+     * @async
+     * @method flush
+     * @param {Object} capture - Finished capture
+     * @param {Object} conn - Connection object
+     * @returns {Promise<void>}
+     */
+    async flush(capture, conn) {
+        for (const entry of capture.sent) {
+            if (entry.relay) {
+                await conn.relayMessage(capture.chat, entry.message, entry.options);
+            } else if (!entry.content.react) {
+                await conn.sendMessage(capture.chat, entry.content, entry.options);
+            }
+        }
+    }
+
+    /**
+     * Forgets the media held by finished captures
+     * @method release
+     * @param {Array<Object>} captures - Finished captures
+     */
+    release(captures) {
+        for (const capture of captures) {
+            for (const id of capture.files) this.files.delete(id);
+        }
+    }
+
+    /**
+     * Reads held media for conn.downloadM
+     * @async
+     * @method download
+     * @param {Object} node - Media message node
+     * @returns {Promise<Buffer|null>} Media data, or null if the node is not held here
+     */
+    async download(node) {
+        const path = node?.directPath;
+        if (typeof path !== "string" || !path.startsWith(PIPE_SCHEME)) return null;
+
+        const data = this.files.get(path.slice(PIPE_SCHEME.length));
+        if (!data) return Buffer.alloc(0);
+        if (data instanceof Uint8Array) return Buffer.from(data);
+
+        const url = String(data.url ?? data);
+        if (/^https?:\/\//i.test(url)) {
+            const res = await fetch(url);
+            return res.ok ? Buffer.from(await res.arrayBuffer()) : Buffer.alloc(0);
+        }
+        return Buffer.from(await Bun.file(url.replace(/^file:\/\//, "")).arrayBuffer());
+    }
+}
+
+/**
+ * Shared pipeline state used by the handler and conn.sendMessage
+ * @constant {Pipeline}
+ */
+export const pipeline = new Pipeline();
@@ -0,0 +1,153 @@
+/**
+ * @file Command cooldowns and rate limits
+ * @module core/ratelimit
+ * @description In-memory cooldown and sliding-window rate limit tracking for
+ * plugin commands. Lives outside handler.js so counters survive handler and
+ * plugin hot-reloads.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { parseDuration } from "#lib/duration.js";
+
+/**
+ * Number of checks between sweeps of expired entries
+ * @private
+ * @constant {number}
+ */
+const SWEEP_EVERY = 500;
+
+/**
+ * Window for plugin.limit when `per` is missing or not a valid duration
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_PER = 60_000;
+
+/**
+ * Tracks per-key cooldowns and sliding-window hit counters
+ * @class RateLimiter
+ */
+export class RateLimiter {
+    constructor() {
+        /**
+         * Cooldown expiry timestamps by key
+         * @private
+         * @type {Map<string, number>}
+         */
+        this.cooldowns = new Map();
+
+        /**
+         * Hit timestamps and window span by key for windowed limits
+         * @private
+         * @type {Map<string, {per: number, hits: Array<number>}>}
+         */
+        this.windows = new Map();
+
+        /**
+         * Checks performed since last sweep
+         * @private
+         * @type {number}
+         */
+        this.checks = 0;
+    }
+
+    /**
+     * Checks a plugin's cooldown and limit rules and records the hit when allowed
+     * @method consume
+     * @param {Object} plugin - Plugin handler with optional cooldown/limit
+     * @param {Object} ctx - Invocation context
+     * @param {string} ctx.name - Plugin registry name
+     * @param {string} ctx.chat - Chat JID
+     * @param {string} ctx.user - Sender identifier
+     * @returns {Object} Result {allowed: boolean, reason?: string, wait?: number}
+     *
+     * @rules
+     * - plugin.cooldown: seconds or duration string, per user in each chat
+     * - plugin.limit.perUser: max calls per user across all chats within `per`
+     * - plugin.limit.perChat: max calls per chat within `per`
+     * - plugin.limit.per: window duration (default and fallback 1m)
+     */
+    consume(plugin, { name, chat, user }) {
+        if (++this.checks >= SWEEP_EVERY) this.sweep();
+
+        const now = Date.now();
+        const cooldown = parseDuration(plugin.cooldown);
+        const limit = plugin.limit || {};
+        // An unparsable window must not switch the limit off
+        const per = parseDuration(limit.per) || DEFAULT_PER;
+
+        const cooldownKey = `${name}:${chat}:${user}`;
+        const rules = [];
+        if (limit.perUser > 0) rules.push({ key: `${name}:user:${user}`, max: limit.perUser });
+        if (limit.perChat > 0) rules.push({ key: `${name}:chat:${chat}`, max: limit.perChat });
+
+        // Cooldown check
+        const until = this.cooldowns.get(cooldownKey) || 0;
+        if (until > now) {
+            return { allowed: false, reason: "cooldown", wait: until - now };
+        }
+
+        // Windowed limit checks (all must pass before recording)
+        for (const rule of rules) {
+            const hits = this.prune(rule.key, now, per);
+            if (hits.length >= rule.max) {
+                return { allowed: false, reason: "limit", wait: hits[0] + per - now };
+            }
+        }
+
+        // Record the hit
+        if (cooldown) this.cooldowns.set(cooldownKey, now + cooldown);
+        for (const rule of rules) {
+            const entry = this.windows.get(rule.key) || { per, hits: [] };
+            entry.per = per;
+            entry.hits.push(now);
+            this.windows.set(rule.key, entry);
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Drops hits that fell out of the window
+     * @private
+     * @method prune
+     * @param {string} key - Counter key
+     * @param {number} now - Current timestamp
+     * @param {number} [per] - Window span (defaults to the stored span)
+     * @returns {Array<number>} Remaining hits
+     */
+    prune(key, now, per) {
+        const entry = this.windows.get(key);
+        if (!entry) return [];
+
+        const span = per ?? entry.per;
+        entry.hits = entry.hits.filter((t) => t > now - span);
+        if (!entry.hits.length) this.windows.delete(key);
+        return entry.hits;
+    }
+
+    /**
+     * Removes expired cooldowns and stale windows
+     * @method sweep
+     * @returns {void}
+     */
+    sweep() {
+        const now = Date.now();
+        this.checks = 0;
+
+        for (const [key, until] of this.cooldowns) {
+            if (until <= now) this.cooldowns.delete(key);
+        }
+
+        for (const key of this.windows.keys()) {
+            this.prune(key, now);
+        }
+    }
+}
+
+/**
+ * Shared limiter instance
+ * @constant {RateLimiter}
+ */
+export const limiter = new RateLimiter();
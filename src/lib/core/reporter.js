@@ -0,0 +1,170 @@
+/**
+ * @file Plugin error reporting to owners
+ * @module core/reporter
+ * @description Stores plugin failures in the errors table and DMs the bot
+ * owners a report with the plugin, command, chat, sender and a trimmed stack.
+ * Repeats of the same error are grouped and reported at most once per interval.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { parseDuration, formatDuration } from "#lib/duration.js";
+
+/**
+ * Stack frames kept in reports
+ * @private
+ * @constant {number}
+ */
+const STACK_LINES = 8;
+
+/**
+ * Groups plugin errors and notifies owners
+ * @class ErrorReporter
+ *
+ * @deduplication
+ * - Errors are fingerprinted by plugin, error class, message and top frame
+ * - Numbers in messages are ignored so "timeout after 5012ms" groups together
+ * - A fingerprint is reported again only after `interval` has passed
+ */
+export class ErrorReporter {
+    /**
+     * @constructor
+     * @param {Object} [options] - Reporter options
+     * @param {boolean} [options.enabled=true] - Send DMs to owners
+     * @param {number} [options.interval=3600000] - Minimum time between repeat reports
+     */
+    constructor({ enabled = true, interval = 3_600_000 } = {}) {
+        this.enabled = enabled;
+        this.interval = interval;
+    }
+
+    /**
+     * Trims a stack trace to its first frames with project paths shortened
+     * @method trimStack
+     * @param {string} stack - Error stack
+     * @returns {string} Trimmed stack
+     */
+    trimStack(stack = "") {
+        return stack
+            .split("\n")
+            .slice(0, STACK_LINES + 1)
+            .map((line) => line.replaceAll(process.cwd() + "/", "").trimEnd())
+            .join("\n");
+    }
+
+    /**
+     * Computes the grouping key for an error
+     * @method fingerprint
+     * @param {string} plugin - Plugin registry name
+     * @param {Error} error - Thrown error
+     * @returns {string} Fingerprint hash
+     */
+    fingerprint(plugin, error) {
+        const frame = this.trimStack(error?.stack).split("\n")[1] || "";
+        const message = String(error?.message || "").replace(/\d+/g, "#");
+        return Bun.hash(`${plugin}|${error?.name}|${message}|${frame.trim()}`).toString(36);
+    }
+
+    /**
+     * Records an error and DMs owners when it is due
+     * @async
+     * @method report
+     * @param {Object} conn - Connection object
+     * @param {Error} error - Thrown error
+     * @param {Object} context - Failure context
+     * @param {string} context.plugin - Plugin registry name
+     * @param {Object} context.m - Message that triggered the command
+     * @returns {Promise<Object|null>} Stored error row, or null if storing failed
+     */
+    async report(conn, error, { plugin, m }) {
+        let row;
+        try {
+            row = global.db.errors.record({
+                hash: this.fingerprint(plugin, error),
+                plugin,
+                name: error?.name || "Error",
+                message: String(error?.message || error),
+                stack: this.trimStack(error?.stack),
+                command: String(m.text || "").slice(0, 200),
+                chat: m.chat,
+                sender: m.sender,
+            });
+        } catch (e) {
+            global.logger?.warn({ error: e.message }, "Error record failed");
+            return null;
+        }
+
+        const due = !row.reported_at || Date.now() - row.reported_at >= this.interval;
+        if (!this.enabled || !due) return row;
+
+        global.db.errors.reported(row.id);
+
+        const text = await this.format(conn, row);
+        for (const jid of await this.owners(conn)) {
+            await conn.sendMessage(jid, { text }).catch((e) => {
+                global.logger?.warn({ error: e.message, jid }, "Error report not delivered");
+            });
+        }
+
+        return row;
+    }
+
+    /**
+     * Formats an error row as a report message
+     * @async
+     * @method format
+     * @param {Object} conn - Connection object
+     * @param {Object} row - Row from the errors table
+     * @returns {Promise<string>} Report text
+     */
+    async format(conn, row) {
+        const chat = await conn.getName(row.chat).catch(() => null);
+        const since = formatDuration(Date.now() - row.first_at);
+
+        return [
+            `*Plugin error #${row.id}*`,
+            `Plugin: ${row.plugin}`,
+            `Command: ${row.command}`,
+            `Chat: ${chat ? `${chat} (${row.chat})` : row.chat}`,
+            `Sender: ${row.sender}`,
+            row.count > 1 ? `Seen: ${row.count} times in ${since}` : null,
+            "",
+            `${row.name}: ${row.message}`,
+            "```",
+            row.stack.split("\n").slice(1).join("\n") || "(no stack)",
+            "```",
+        ]
+            .filter((line) => line !== null)
+            .join("\n");
+    }
+
+    /**
+     * Resolves configured owners to DM-able JIDs
+     * @async
+     * @method owners
+     * @param {Object} conn - Connection object
+     * @returns {Promise<Array<string>>} Owner JIDs
+     */
+    async owners(conn) {
+        const ids = (global.config?.owner || []).map((id) => id.toString().split("@")[0]);
+
+        return Promise.all(
+            ids.map(async (id) => {
+                // OWNERS holds LIDs; fall back to a phone JID when no mapping exists
+                const pn = await conn.signalRepository?.lidMapping
+                    ?.getPNForLID?.(`${id}@lid`)
+                    .catch(() => null);
+                return pn ? `${id}@lid` : `${id}@s.whatsapp.net`;
+            })
+        );
+    }
+}
+
+/**
+ * Shared reporter used by the handler
+ * @constant {ErrorReporter}
+ */
+export const reporter = new ErrorReporter({
+    enabled: Bun.env.ERROR_REPORT !== "false",
+    interval: parseDuration(Bun.env.ERROR_REPORT_INTERVAL || "1h") ?? 3_600_000,
+});
@@ -0,0 +1,293 @@
+/**
+ * @file Persistent job scheduler
+ * @module core/scheduler
+ * @description Runs cron and one-shot jobs stored in the jobs table. Jobs
+ * survive restarts, only run while the socket is connected, and missed runs
+ * are caught up once or skipped depending on how late they are.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { parseCron, nextCron } from "#lib/cron.js";
+import { parseDuration } from "#lib/duration.js";
+
+/**
+ * Cron and one-shot job runner
+ * @class Scheduler
+ *
+ * @example
+ * // In a plugin's init(), keep the disposer for cleanup()
+ * const off = scheduler.define("greet", async ({ chat, text }, { conn }) => {
+ *     await conn.sendMessage(chat, { text });
+ * });
+ * scheduler.every("0 7 * * *", "greet", { chat, text: "Good morning" }, { chat });
+ *
+ * @catchup
+ * - Jobs missed while disconnected run once when the socket reconnects
+ * - Cron jobs later than `grace` (default 1h) skip to their next time instead
+ * - One-shot jobs always run late unless given their own `catchup` window
+ * - Handlers receive `late` (ms) to decide for themselves
+ */
+export class Scheduler {
+    /**
+     * @constructor
+     * @param {Object} [options] - Scheduler options
+     * @param {number} [options.interval=15000] - How often due jobs are checked
+     * @param {number} [options.grace=3600000] - Default catch-up window for cron jobs
+     */
+    constructor({ interval = 15_000, grace = 3_600_000 } = {}) {
+        this.interval = interval;
+        this.grace = grace;
+        this.conn = null;
+        this.timer = null;
+
+        /**
+         * Job handlers by name
+         * @private
+         * @type {Map<string, Function>}
+         */
+        this.handlers = new Map();
+
+        /**
+         * Ids of jobs currently executing
+         * @private
+         * @type {Set<number>}
+         */
+        this.running = new Set();
+    }
+
+    /**
+     * Registers the function that runs jobs of a given name
+     * @method define
+     * @param {string} name - Job name
+     * @param {Function} fn - Handler `(payload, {job, conn, late}) => Promise<void>`
+     * @returns {Function} Disposer that removes the handler
+     */
+    define(name, fn) {
+        if (typeof fn !== "function") throw new TypeError("Job handler must be a function");
+
+        this.handlers.set(name, fn);
+        return () => {
+            if (this.handlers.get(name) === fn) this.handlers.delete(name);
+        };
+    }
+
+    /**
+     * Schedules a recurring job (idempotent per key)
+     * @method every
+     * @param {string} cron - Cron expression, e.g. "0 7 * * *" or "@daily"
+     * @param {string} name - Job name registered with define()
+     * @param {*} [payload] - JSON-serializable data passed to the handler
+     * @param {Object} [options] - Job options
+     * @param {string} [options.key] - Unique key (defaults to name + payload)
+     * @param {string} [options.chat] - Chat the job belongs to (group admins can manage it)
+     * @param {string} [options.by] - Creator JID
+     * @param {number|string|null} [options.catchup] - Catch-up window; null always catches up
+     * @returns {Object} Stored job row
+     * @throws {Error} If the cron expression is invalid
+     */
+    every(cron, name, payload = null, options = {}) {
+        const schedule = parseCron(cron);
+        const runAt = schedule && nextCron(schedule);
+        if (!runAt) throw new Error(`Invalid cron expression: ${cron}`);
+
+        return global.db.jobs.upsert({
+            key: options.key || `${name}:${JSON.stringify(payload)}`,
+            name,
+            cron,
+            runAt,
+            payload,
+            chat: options.chat,
+            by: options.by,
+            grace: this.graceFor(options, this.grace),
+        });
+    }
+
+    /**
+     * Schedules a one-shot job
+     * @method at
+     * @param {Date|number|string} when - Date, timestamp, or delay like "10m"
+     * @param {string} name - Job name registered with define()
+     * @param {*} [payload] - JSON-serializable data passed to the handler
+     * @param {Object} [options] - Same options as every()
+     * @returns {Object} Stored job row
+     * @throws {Error} If the time is invalid
+     */
+    at(when, name, payload = null, options = {}) {
+        const runAt =
+            when instanceof Date
+                ? when.getTime()
+                : typeof when === "number"
+                  ? when
+                  : Date.now() + (parseDuration(when) ?? NaN);
+        if (!Number.isFinite(runAt)) throw new Error(`Invalid time: ${when}`);
+
+        return global.db.jobs.upsert({
+            key: options.key || `${name}:${runAt}:${JSON.stringify(payload)}`,
+            name,
+            runAt,
+            payload,
+            chat: options.chat,
+            by: options.by,
+            grace: this.graceFor(options, null),
+        });
+    }
+
+    /**
+     * Resolves the catch-up window from job options
+     * @private
+     * @method graceFor
+     * @param {Object} options - Job options
+     * @param {number|null} fallback - Default window
+     * @returns {number|null} Window in milliseconds or null for unlimited
+     */
+    graceFor(options, fallback) {
+        if (options.catchup === undefined) return fallback;
+        if (options.catchup === null || options.catchup === true) return null;
+        if (options.catchup === false) return 0;
+        return parseDuration(options.catchup) ?? fallback;
+    }
+
+    /**
+     * Pauses a job
+     * @method pause
+     * @param {number} id - Job id
+     * @returns {boolean} True if the job exists
+     */
+    pause(id) {
+        return global.db.jobs.pause(id, true);
+    }
+
+    /**
+     * Resumes a paused job; cron jobs continue from their next time
+     * @method resume
+     * @param {number} id - Job id
+     * @returns {boolean} True if the job exists
+     */
+    resume(id) {
+        const job = global.db.jobs.get(id);
+        if (!job) return false;
+
+        const next = job.cron && nextCron(job.cron);
+        if (next) global.db.jobs.reschedule(id, next);
+        return global.db.jobs.pause(id, false);
+    }
+
+    /**
+     * Deletes a job
+     * @method remove
+     * @param {number} id - Job id
+     * @returns {boolean} True if the job existed
+     */
+    remove(id) {
+        return global.db.jobs.remove(id);
+    }
+
+    /**
+     * Lists jobs, optionally limited to one chat
+     * @method list
+     * @param {string|null} [chat] - Chat JID
+     * @returns {Array<Object>} Job rows (paused last, soonest first)
+     */
+    list(chat = null) {
+        return global.db.jobs.list(chat);
+    }
+
+    /**
+     * Starts checking for due jobs on a connected socket
+     * @method start
+     * @param {Object} conn - Connection object
+     */
+    start(conn) {
+        this.conn = conn;
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), this.interval);
+        }
+        this.tick();
+    }
+
+    /**
+     * Stops running jobs (socket closed or shutting down)
+     * @method stop
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.conn = null;
+    }
+
+    /**
+     * Runs every due job once
+     * @async
+     * @method tick
+     * @returns {Promise<void>}
+     */
+    async tick() {
+        if (!this.conn) return;
+
+        let due;
+        try {
+            due = global.db.jobs.due();
+        } catch (e) {
+            global.logger?.warn({ error: e.message }, "Scheduler query failed");
+            return;
+        }
+
+        for (const job of due) {
+            if (this.running.has(job.id)) continue;
+            this.running.add(job.id);
+            this.run(job).finally(() => this.running.delete(job.id));
+        }
+    }
+
+    /**
+     * Runs or skips a single due job and schedules its next run
+     * @private
+     * @async
+     * @method run
+     * @param {Object} job - Job row
+     * @returns {Promise<void>}
+     */
+    async run(job) {
+        const now = Date.now();
+        const late = now - job.run_at;
+        const next = job.cron ? nextCron(job.cron, now) : null;
+
+        const fn = this.handlers.get(job.name);
+        if (!fn) {
+            // Plugin not loaded (yet): try again on the next cron slot, keep one-shots pending
+            if (next) global.db.jobs.reschedule(job.id, next);
+            return;
+        }
+
+        if (job.grace !== null && late > job.grace) {
+            global.logger?.info({ job: job.id, name: job.name, late }, "Skipping missed job");
+            if (next) global.db.jobs.finish(job.id, next, "skipped");
+            else global.db.jobs.remove(job.id);
+            return;
+        }
+
+        // Claim the slot before running so a slow job is not picked up twice
+        if (next) global.db.jobs.reschedule(job.id, next);
+
+        let error = null;
+        try {
+            const payload = job.payload ? JSON.parse(job.payload) : null;
+            await fn(payload, { job, conn: this.conn, late });
+        } catch (e) {
+            error = e.message || String(e);
+            global.logger?.warn({ job: job.id, name: job.name, error }, "Scheduled job failed");
+        }
+
+        if (next) global.db.jobs.finish(job.id, next, error);
+        else global.db.jobs.remove(job.id);
+    }
+}
+
+/**
+ * Shared scheduler, started and stopped with the connection
+ * @constant {Scheduler}
+ */
+export const scheduler = new Scheduler({
+    grace: parseDuration(Bun.env.JOB_CATCHUP || "1h") ?? 3_600_000,
+});
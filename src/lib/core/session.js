@@ -0,0 +1,158 @@
+/**
+ * @file Multi-step conversation sessions
+ * @module core/session
+ * @description Lets a plugin ask a follow-up question and await the user's
+ * next message. Pending sessions are keyed by chat and sender and are fed
+ * by the handler before plugin matching.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Default words that cancel a pending session
+ * @constant {Array<string>}
+ */
+export const CANCEL_WORDS = ["cancel", "stop", "batal"];
+
+/**
+ * Default time to wait for a reply (ms)
+ * @constant {number}
+ */
+export const DEFAULT_TIMEOUT = 60_000;
+
+/**
+ * Registry of sessions awaiting a reply
+ * @class SessionManager
+ *
+ * @validate
+ * The optional validate(m) callback decides what happens to a candidate reply:
+ * - true / undefined: resolve the session with the message
+ * - string: reply with the string and keep waiting
+ * - false: ignore the message and let the handler process it normally
+ */
+export class SessionManager {
+    constructor() {
+        /**
+         * Pending sessions by "chat:sender"
+         * @private
+         * @type {Map<string, Object>}
+         */
+        this.pending = new Map();
+    }
+
+    /**
+     * Builds the session key for a chat and sender
+     * @private
+     * @method key
+     * @param {string} chat - Chat JID
+     * @param {string} sender - Sender JID
+     * @returns {string} Session key
+     */
+    key(chat, sender) {
+        return `${chat}:${sender}`;
+    }
+
+    /**
+     * Checks whether a sender has a pending session in a chat
+     * @method has
+     * @param {string} chat - Chat JID
+     * @param {string} sender - Sender JID
+     * @returns {boolean} True if a session is waiting
+     */
+    has(chat, sender) {
+        return this.pending.has(this.key(chat, sender));
+    }
+
+    /**
+     * Waits for the next matching message from a sender in a chat
+     * @method wait
+     * @param {string} chat - Chat JID
+     * @param {string} sender - Sender JID
+     * @param {Object} [options] - Session options
+     * @param {number} [options.timeout=60000] - Time to wait (ms)
+     * @param {Function} [options.validate] - Reply validator (may be async)
+     * @param {Array<string>|false} [options.cancel] - Cancel words, false to disable
+     * @returns {Promise<Object|null>} Reply message, or null on timeout/cancel
+     *
+     * @note A new session for the same chat and sender replaces the old one,
+     * which resolves with null.
+     */
+    wait(chat, sender, { timeout = DEFAULT_TIMEOUT, validate, cancel = CANCEL_WORDS } = {}) {
+        const key = this.key(chat, sender);
+        this.close(key, null);
+
+        return new Promise((resolve) => {
+            const session = {
+                resolve,
+                validate,
+                cancel: cancel ? cancel.map((w) => w.toLowerCase()) : [],
+                timer: setTimeout(() => this.close(key, null), timeout),
+            };
+            this.pending.set(key, session);
+        });
+    }
+
+    /**
+     * Resolves and removes a pending session
+     * @private
+     * @method close
+     * @param {string} key - Session key
+     * @param {Object|null} value - Resolution value
+     */
+    close(key, value) {
+        const session = this.pending.get(key);
+        if (!session) return;
+
+        clearTimeout(session.timer);
+        this.pending.delete(key);
+        session.resolve(value);
+    }
+
+    /**
+     * Offers an incoming message to a pending session
+     * @async
+     * @method feed
+     * @param {Object} m - Serialized message
+     * @returns {Promise<boolean>} True if the message was consumed
+     */
+    async feed(m) {
+        const key = this.key(m.chat, m.sender);
+        const session = this.pending.get(key);
+        if (!session) return false;
+
+        const text = (typeof m.text === "string" ? m.text : "").trim().toLowerCase();
+        if (text && session.cancel.includes(text)) {
+            this.close(key, null);
+            await m.reply("Cancelled").catch(() => {});
+            return true;
+        }
+
+        let verdict = true;
+        if (typeof session.validate === "function") {
+            try {
+                verdict = await session.validate(m);
+            } catch (e) {
+                global.logger?.error({ error: e.message }, "Session validate error");
+                verdict = false;
+            }
+        }
+
+        // Session may have been replaced or timed out during validation
+        if (this.pending.get(key) !== session) return false;
+
+        if (verdict === false) return false;
+        if (typeof verdict === "string") {
+            await m.reply(verdict).catch(() => {});
+            return true;
+        }
+
+        this.close(key, m);
+        return true;
+    }
+}
+
+/**
+ * Shared session registry used by the handler and conn.ask()
+ * @constant {SessionManager}
+ */
+export const sessions = new SessionManager();
@@ -0,0 +1,1003 @@
+/**
+ * @file Offline terminal chat simulator
+ * @module core/simulator
+ * @description Fake WhatsApp transport for developing plugins without a
+ * phone or network. Terminal input becomes incoming messages from simulated
+ * users and groups, and everything the bot sends is printed instead of
+ * delivered. The real handler, plugin loader and database are used.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { EventEmitter } from "node:events";
+import { createInterface } from "node:readline";
+import { mkdirSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join, resolve } from "node:path";
+
+/**
+ * Prefix marking media paths that live on the local disk
+ * @private
+ * @constant {string}
+ */
+const SIM_PREFIX = "sim:";
+
+/**
+ * Protocol message type of an edit (proto.Message.ProtocolMessage.Type.MESSAGE_EDIT)
+ * @private
+ * @constant {number}
+ */
+const PROTOCOL_EDIT = 14;
+
+/**
+ * Directory where media sent by the bot is written
+ * @private
+ * @constant {string}
+ */
+const MEDIA_DIR = join(tmpdir(), "o3din-sim");
+
+/**
+ * Media content keys and their message node names
+ * @private
+ * @constant {Object}
+ */
+const MEDIA = {
+    image: "imageMessage",
+    video: "videoMessage",
+    audio: "audioMessage",
+    sticker: "stickerMessage",
+    document: "documentMessage",
+};
+
+/**
+ * File extensions for media written to disk
+ * @private
+ * @constant {Object}
+ */
+const EXTENSIONS = {
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/webp": "webp",
+    "image/gif": "gif",
+    "video/mp4": "mp4",
+    "audio/mpeg": "mp3",
+    "audio/mp4": "m4a",
+    "audio/ogg": "ogg",
+    "audio/ogg; codecs=opus": "ogg",
+    "application/pdf": "pdf",
+};
+
+/**
+ * Default extension per media type
+ * @private
+ * @constant {Object}
+ */
+const DEFAULT_EXTENSIONS = {
+    image: "jpg",
+    video: "mp4",
+    audio: "mp3",
+    sticker: "webp",
+    document: "bin",
+};
+
+/**
+ * Terminal commands shown by /help
+ * @private
+ * @constant {string}
+ */
+const HELP = `Simulator commands
+  /as <name>              Speak as another user ("owner" is a bot owner)
+  /group <name>           Switch to a group (created on first use)
+  /dm                     Switch to a private chat with the bot
+  /admin [on|off]         Toggle your admin status in the current group
+  /botadmin [on|off]      Toggle the bot's admin status in the current group
+  /image <path> [caption] Send a local file (also /video, /audio, /sticker, /doc)
+  /reply [#n] <text>      Quote message #n, or the latest message in this chat
+  /edit <text>            Edit your last message in this chat
+  /press <n>              Press button n of the last message with buttons
+  /users, /groups         List simulated users and groups
+  /quit                   Exit
+Anything else is sent as a message. @name mentions a simulated user.`;
+
+/**
+ * Formats a byte count for display
+ * @private
+ * @function formatBytes
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size
+ */
+const formatBytes = (bytes) => {
+    const n = Number(bytes?.toString?.() ?? bytes) || 0;
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
+};
+
+/**
+ * Creates a message id that the handler does not mistake for a bot echo
+ * @private
+ * @function messageId
+ * @returns {string} Message id
+ */
+const messageId = () => `SIM${crypto.randomUUID().replaceAll("-", "").slice(0, 20).toUpperCase()}`;
+
+/**
+ * Terminal chat simulator
+ * @class Simulator
+ *
+ * @example
+ * const sim = new Simulator();
+ * global.conn = createSocket({}, () => sim.transport());
+ * sim.attach(global.conn);
+ * await sim.start();
+ *
+ * @identities
+ * - Users are addressed by phone JID and mapped to a LID like real accounts
+ * - The "owner" user takes the first configured owner LID
+ * - The bot is admin in every new group; /botadmin changes that
+ */
+export class Simulator {
+    /**
+     * @constructor
+     */
+    constructor() {
+        this.bot = {
+            id: "15550000000:1@s.whatsapp.net",
+            lid: "100000000000000:1@lid",
+            name: "o3din",
+        };
+
+        // Owners are configured as LIDs; without one, speak from the pairing number
+        this.ownerLid = String(global.config?.owner?.[0] || "").split("@")[0];
+        this.ownerPhone = String(global.config?.pairingNumber || "15550000000");
+
+        this.conn = null;
+        this.rl = null;
+        this.users = new Map();
+        this.groups = new Map();
+        this.buttons = [];
+        this.lastActivity = Date.now();
+
+        /**
+         * Messages by reference number (#n)
+         * @private
+         * @type {Map<number, Object>}
+         */
+        this.messages = new Map();
+        this.counter = 0;
+
+        this.sender = this.user("owner");
+        this.chat = this.sender.jid;
+    }
+
+    /**
+     * Gets or creates a simulated user
+     * @method user
+     * @param {string} name - Display name
+     * @returns {Object} User ({name, phone, jid, lid})
+     */
+    user(name) {
+        const key = name.toLowerCase();
+        let user = this.users.get(key);
+        if (user) return user;
+
+        const n = this.users.size + 1;
+        const owner = key === "owner";
+        const phone =
+            owner && !this.ownerLid ? this.ownerPhone : `1555${String(n).padStart(7, "0")}`;
+        user = {
+            name,
+            phone,
+            jid: `${phone}@s.whatsapp.net`,
+            lid: `${owner && this.ownerLid ? this.ownerLid : 100000000000000 + n}@lid`,
+        };
+        this.users.set(key, user);
+        return user;
+    }
+
+    /**
+     * Gets or creates a simulated group with the bot as admin
+     * @method group
+     * @param {string} subject - Group name
+     * @returns {Object} Group metadata
+     */
+    group(subject) {
+        const existing = [...this.groups.values()].find(
+            (g) => g.subject.toLowerCase() === subject.toLowerCase()
+        );
+        if (existing) return existing;
+
+        const id = `120363${String(this.groups.size + 1).padStart(12, "0")}@g.us`;
+        const group = {
+            id,
+            subject,
+            owner: this.sender.jid,
+            creation: Math.floor(Date.now() / 1000),
+            desc: "",
+            announce: false,
+            restrict: false,
+            ephemeralDuration: 0,
+            participants: [{ id: this.conn.decodeJid(this.bot.lid), admin: "admin" }],
+            size: 1,
+        };
+        this.groups.set(id, group);
+        return group;
+    }
+
+    /**
+     * Adds or updates a participant of a group
+     * @private
+     * @method join
+     * @param {Object} group - Group metadata
+     * @param {string} jid - Participant JID
+     * @param {string|null} [admin] - Admin level (undefined keeps the current one)
+     */
+    join(group, jid, admin) {
+        let member = group.participants.find((p) => p.id === jid);
+        if (!member) {
+            member = { id: jid, admin: null };
+            group.participants.push(member);
+        }
+        if (admin !== undefined) member.admin = admin;
+        group.size = group.participants.length;
+        this.sync(group);
+    }
+
+    /**
+     * Pushes changed group metadata into the store the handler reads from
+     * @private
+     * @method sync
+     * @param {Object} group - Group metadata
+     */
+    sync(group) {
+        if (!this.conn?.setChat) return;
+        const chat = this.conn.getChat(group.id) || { id: group.id };
+        this.conn.setChat(group.id, {
+            ...chat,
+            subject: group.subject,
+            metadata: { ...group, participants: group.participants.map((p) => ({ ...p })) },
+        });
+    }
+
+    /**
+     * Finds the simulated user behind a JID
+     * @private
+     * @method lookup
+     * @param {string} jid - Phone or LID JID
+     * @returns {Object|undefined} User
+     */
+    lookup(jid) {
+        const bare = this.conn?.decodeJid(jid) || jid;
+        return [...this.users.values()].find((u) => u.jid === bare || u.lid === bare);
+    }
+
+    /**
+     * Names a chat or participant for printed output
+     * @private
+     * @method label
+     * @param {string} jid - Chat or user JID
+     * @returns {string} Display label
+     */
+    label(jid) {
+        const group = this.groups.get(jid);
+        if (group) return group.subject;
+        const bare = this.conn?.decodeJid(jid) || jid;
+        if (
+            bare === this.conn?.decodeJid(this.bot.lid) ||
+            bare === this.conn?.decodeJid(this.bot.id)
+        ) {
+            return this.bot.name;
+        }
+        return this.lookup(jid)?.name || jid;
+    }
+
+    /**
+     * Builds the fake socket that createSocket() wraps
+     * @method transport
+     * @returns {Object} Base connection implementing the Baileys surface plugins use
+     */
+    transport() {
+        const sim = this;
+        const group = (jid) => {
+            const g = sim.groups.get(jid);
+            if (!g) throw new Error("item-not-found");
+            return g;
+        };
+        const offline = (name) => async () => {
+            throw new Error(`${name} is not available in the simulator`);
+        };
+
+        return {
+            ev: new EventEmitter(),
+            ws: { readyState: 1, close: () => {} },
+            user: { ...this.bot },
+            authState: { creds: { registered: true, me: { ...this.bot } } },
+
+            signalRepository: {
+                lidMapping: {
+                    getLIDForPN: async (pn) => sim.lookup(pn)?.lid || null,
+                    getPNForLID: async (lid) => sim.lookup(lid)?.jid || null,
+                },
+            },
+
+            sendMessage: async (jid, content = {}, options = {}) =>
+                sim.outgoing(jid, content, options),
+
+            relayMessage: async (jid, message, { messageId: id } = {}) => {
+                id ||= messageId();
+                sim.printRelay(jid, message, id);
+                return id;
+            },
+
+            waUploadToServer: async () => ({
+                mediaUrl: "https://simulator.invalid/upload",
+                directPath: "/simulator/upload",
+            }),
+
+            groupMetadata: async (jid) => structuredClone(group(jid)),
+
+            groupFetchAllParticipating: async () =>
+                Object.fromEntries([...sim.groups].map(([id, g]) => [id, structuredClone(g)])),
+
+            groupParticipantsUpdate: async (jid, users, action) => {
+                const g = group(jid);
+                const result = users.map((u) => {
+                    const id = sim.conn.decodeJid(u);
+                    if (action === "remove") {
+                        g.participants = g.participants.filter((p) => p.id !== id);
+                        g.size = g.participants.length;
+                    } else {
+                        const admin = { promote: "admin", demote: null }[action];
+                        sim.join(g, id, admin);
+                    }
+                    sim.event(`${action} ${sim.label(id)} in ${g.subject}`);
+                    return { status: "200", jid: id };
+                });
+                sim.sync(g);
+                return result;
+            },
+
+            groupSettingUpdate: async (jid, setting) => {
+                const g = group(jid);
+                if (setting === "announcement" || setting === "not_announcement") {
+                    g.announce = setting === "announcement";
+                } else if (setting === "locked" || setting === "unlocked") {
+                    g.restrict = setting === "locked";
+                }
+                sim.sync(g);
+                sim.event(`${g.subject} setting: ${setting}`);
+            },
+
+            groupUpdateSubject: async (jid, subject) => {
+                const g = group(jid);
+                g.subject = subject;
+                sim.sync(g);
+                sim.event(`group renamed to ${subject}`);
+            },
+
+            groupUpdateDescription: async (jid, desc) => {
+                const g = group(jid);
+                g.desc = desc || "";
+                sim.sync(g);
+                sim.event(`${g.subject} description updated`);
+            },
+
+            groupInviteCode: async (jid) => group(jid).id.split("@")[0].slice(-10),
+            groupRevokeInvite: async (jid) => {
+                sim.event(`${group(jid).subject} invite link revoked`);
+                return messageId().slice(3, 13);
+            },
+            groupGetInviteInfo: offline("groupGetInviteInfo"),
+            groupLeave: async (jid) => {
+                const g = group(jid);
+                g.participants = g.participants.filter(
+                    (p) => p.id !== sim.conn.decodeJid(sim.bot.lid)
+                );
+                sim.sync(g);
+                sim.event(`left ${g.subject}`);
+            },
+
+            profilePictureUrl: offline("profilePictureUrl"),
+            newsletterMetadata: offline("newsletterMetadata"),
+            updateProfileName: async (name) => sim.event(`profile name set to ${name}`),
+            updateProfileStatus: async (status) => sim.event(`about set to ${status}`),
+            setStatus: async (status) => sim.event(`about set to ${status}`),
+            updateProfilePicture: async () => sim.event("profile picture updated"),
+            updateBlockStatus: async (jid, action) => sim.event(`${action} ${sim.label(jid)}`),
+
+            readMessages: async () => {},
+            sendPresenceUpdate: async () => {},
+            presenceSubscribe: async () => {},
+            end: () => {},
+            logout: async () => {},
+        };
+    }
+
+    /**
+     * Hooks the simulator into the wrapped connection
+     * @method attach
+     * @param {Object} conn - Connection returned by createSocket()
+     * @returns {Object} The same connection
+     */
+    attach(conn) {
+        this.conn = conn;
+
+        // Media sent from the terminal lives on disk instead of WhatsApp servers
+        const download = conn.downloadM;
+        conn.downloadM = async (m, type) => {
+            const path = m?.directPath?.startsWith?.(SIM_PREFIX)
+                ? m.directPath.slice(SIM_PREFIX.length)
+                : null;
+            if (!path) return download(m, type);
+
+            try {
+                return Buffer.from(await Bun.file(path).arrayBuffer());
+            } catch {
+                return Buffer.alloc(0);
+            }
+        };
+
+        return conn;
+    }
+
+    /**
+     * Reads terminal input until /quit or end of input
+     * @async
+     * @method start
+     * @returns {Promise<void>} Resolves when the session ends
+     */
+    async start() {
+        mkdirSync(MEDIA_DIR, { recursive: true });
+
+        this.rl = createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            terminal: process.stdin.isTTY,
+        });
+        this.rl.on("SIGINT", () => this.rl.close());
+
+        this.write("Simulator ready. Type /help for commands.");
+
+        for await (const line of this.rl) {
+            this.lastActivity = Date.now();
+            try {
+                if ((await this.input(line.trim())) === false) break;
+            } catch (e) {
+                this.write(`! ${e.message}`);
+            }
+            this.prompt();
+        }
+
+        // Piped input ends immediately; let queued commands finish printing
+        await this.settle();
+        this.rl.close();
+    }
+
+    /**
+     * Waits until the bot has been quiet for a moment
+     * @private
+     * @async
+     * @method settle
+     * @param {number} [quiet=1500] - Required silence in milliseconds
+     * @param {number} [limit=30000] - Maximum wait in milliseconds
+     * @returns {Promise<void>}
+     */
+    async settle(quiet = 1500, limit = 30_000) {
+        const deadline = Date.now() + limit;
+        while (Date.now() - this.lastActivity < quiet && Date.now() < deadline) {
+            await new Promise((r) => setTimeout(r, 100));
+        }
+    }
+
+    /**
+     * Handles one line of terminal input
+     * @async
+     * @method input
+     * @param {string} line - Trimmed input line
+     * @returns {Promise<boolean|void>} False to end the session
+     */
+    async input(line) {
+        if (!line) return;
+        if (!line.startsWith("/")) return this.send({ text: line });
+
+        const [command, ...rest] = line.slice(1).split(/\s+/);
+        const args = rest.join(" ");
+        const group = this.groups.get(this.chat);
+
+        switch (command.toLowerCase()) {
+            case "help":
+                return this.write(HELP);
+
+            case "quit":
+            case "exit":
+                return false;
+
+            case "as": {
+                if (!args) return this.write("Usage: /as <name>");
+                this.sender = this.user(args);
+                if (!group) this.chat = this.sender.jid;
+                return;
+            }
+
+            case "group": {
+                if (!args) return this.write("Usage: /group <name>");
+                const g = this.group(args);
+                this.join(g, this.sender.jid);
+                this.chat = g.id;
+                return;
+            }
+
+            case "dm":
+                this.chat = this.sender.jid;
+                return;
+
+            case "admin":
+            case "botadmin": {
+                if (!group) return this.write("Not in a group");
+                const jid =
+                    command === "admin" ? this.sender.jid : this.conn.decodeJid(this.bot.lid);
+                const member = group.participants.find((p) => p.id === jid);
+                const on = args ? args === "on" : !member?.admin;
+                this.join(group, jid, on ? "admin" : null);
+                return this.write(`${this.label(jid)} is ${on ? "now" : "no longer"} an admin`);
+            }
+
+            case "image":
+            case "video":
+            case "audio":
+            case "sticker":
+            case "doc":
+            case "document":
+                return this.sendFile(command === "doc" ? "document" : command, args);
+
+            case "reply": {
+                const [, ref, text] = args.match(/^#(\d+)\s+(.*)$/) || [null, null, args];
+                const quoted = ref ? this.messages.get(Number(ref)) : this.latest(this.chat);
+                if (!quoted) return this.write(ref ? `No message #${ref}` : "Nothing to reply to");
+                return this.send({ text }, quoted);
+            }
+
+            case "edit": {
+                if (!args) return this.write("Usage: /edit <text>");
+                const original = [...this.messages.values()]
+                    .reverse()
+                    .find(
+                        (r) =>
+                            r.key.remoteJid === this.chat &&
+                            !r.key.fromMe &&
+                            (r.key.participant || r.key.remoteJid) === this.sender.jid
+                    );
+                if (!original) return this.write("Nothing to edit");
+                return this.edit(original, args);
+            }
+
+            case "press": {
+                const button = this.buttons[Number(args) - 1];
+                if (!button?.id) return this.write(`No button ${args || "given"}`);
+                if (button.chat !== this.chat) this.chat = button.chat;
+                return this.send({
+                    interactiveResponseMessage: {
+                        body: { text: button.text },
+                        nativeFlowResponseMessage: {
+                            name: "quick_reply",
+                            paramsJson: JSON.stringify({ id: button.id }),
+                            version: 3,
+                        },
+                    },
+                });
+            }
+
+            case "users":
+                return this.write(
+                    [...this.users.values()]
+                        .map((u) => `${u.name} — ${u.jid} (${u.lid})`)
+                        .join("\n")
+                );
+
+            case "groups":
+                return this.write(
+                    [...this.groups.values()]
+                        .map((g) => {
+                            const admins = g.participants
+                                .filter((p) => p.admin)
+                                .map((p) => this.label(p.id));
+                            return `${g.subject} — ${g.id}\n  admins: ${admins.join(", ") || "none"}`;
+                        })
+                        .join("\n") || "No groups yet"
+                );
+
+            default:
+                // Unknown slash commands go to the bot, so "/" prefixes still work
+                return this.send({ text: line });
+        }
+    }
+
+    /**
+     * Sends a local file as the current user
+     * @private
+     * @async
+     * @method sendFile
+     * @param {string} type - Media type (image, video, audio, sticker, document)
+     * @param {string} args - "<path> [caption]"
+     * @returns {Promise<void>}
+     */
+    async sendFile(type, args) {
+        const [, raw, caption = ""] = args.match(/^("[^"]+"|\S+)\s*(.*)$/) || [];
+        if (!raw) return this.write(`Usage: /${type} <path> [caption]`);
+
+        const path = resolve(raw.replace(/^"|"$/g, ""));
+        const file = Bun.file(path);
+        if (!(await file.exists())) return this.write(`File not found: ${path}`);
+
+        const node = {
+            url: `${SIM_PREFIX}${path}`,
+            directPath: `${SIM_PREFIX}${path}`,
+            mimetype: file.type.split(";")[0] || "application/octet-stream",
+            fileLength: file.size,
+        };
+        if (caption && type !== "sticker" && type !== "audio") node.caption = caption;
+        if (type === "document") node.fileName = path.split("/").pop();
+
+        const ref = await this.send({ [MEDIA[type]]: node });
+        this.write(`#${ref} ${type} sent (${formatBytes(file.size)})`);
+    }
+
+    /**
+     * Builds an incoming message from the current user and feeds the handler
+     * @async
+     * @method send
+     * @param {Object} content - Text ({text}) or a ready message node
+     * @param {Object} [quoted] - Stored raw message to quote
+     * @returns {Promise<number>} Reference number of the message
+     */
+    async send(content, quoted = null) {
+        const isGroup = this.chat.endsWith("@g.us");
+        if (isGroup) this.join(this.groups.get(this.chat), this.sender.jid);
+
+        let message = content;
+        if (typeof content.text === "string") {
+            const { text, mentions } = this.mentions(content.text);
+            message =
+                mentions.length || quoted
+                    ? { extendedTextMessage: { text, contextInfo: { mentionedJid: mentions } } }
+                    : { conversation: text };
+        }
+
+        if (quoted) {
+            const node = Object.values(message)[0];
+            node.contextInfo = {
+                ...node.contextInfo,
+                stanzaId: quoted.key.id,
+                participant: quoted.key.fromMe
+                    ? this.conn.decodeJid(this.bot.lid)
+                    : quoted.key.participant || quoted.key.remoteJid,
+                quotedMessage: quoted.message,
+            };
+        }
+
+        const raw = {
+            key: {
+                remoteJid: this.chat,
+                fromMe: false,
+                id: messageId(),
+                ...(isGroup ? { participant: this.sender.jid } : {}),
+            },
+            message,
+            pushName: this.sender.name,
+            messageTimestamp: Math.floor(Date.now() / 1000),
+        };
+
+        const ref = this.remember(raw);
+        await this.conn.handler?.({ type: "notify", messages: [raw] });
+        return ref;
+    }
+
+    /**
+     * Edits an earlier message of the current user
+     * @async
+     * @method edit
+     * @param {Object} original - Stored raw message
+     * @param {string} text - New text
+     * @returns {Promise<void>}
+     */
+    async edit(original, text) {
+        const { text: body } = this.mentions(text);
+        original.message = { conversation: body };
+
+        const raw = {
+            key: { ...original.key, id: messageId() },
+            message: {
+                protocolMessage: {
+                    key: original.key,
+                    type: PROTOCOL_EDIT,
+                    editedMessage: { conversation: body },
+                },
+            },
+            pushName: this.sender.name,
+            messageTimestamp: Math.floor(Date.now() / 1000),
+        };
+
+        await this.conn.handler?.({ type: "notify", messages: [raw] });
+    }
+
+    /**
+     * Finds the reference number of a message id
+     * @private
+     * @method refOf
+     * @param {string} id - Message id
+     * @returns {number|undefined} Reference number
+     */
+    refOf(id) {
+        return [...this.messages].find(([, r]) => r.key.id === id)?.[0];
+    }
+
+    /**
+     * Replaces @name with the mentioned user's number
+     * @private
+     * @method mentions
+     * @param {string} text - Typed text
+     * @returns {{text: string, mentions: Array<string>}} Rewritten text and JIDs
+     */
+    mentions(text) {
+        const mentions = [];
+        const out = text.replace(/@([\w.-]+)/g, (match, name) => {
+            const user = this.users.get(name.toLowerCase());
+            if (!user) return match;
+            mentions.push(user.jid);
+            return `@${user.phone}`;
+        });
+        return { text: out, mentions };
+    }
+
+    /**
+     * Stores a raw message under the next reference number
+     * @private
+     * @method remember
+     * @param {Object} raw - Raw message
+     * @returns {number} Reference number
+     */
+    remember(raw) {
+        const ref = ++this.counter;
+        this.messages.set(ref, raw);
+        if (this.messages.size > 200) this.messages.delete(ref - 200);
+        return ref;
+    }
+
+    /**
+     * Finds the latest message in a chat
+     * @private
+     * @method latest
+     * @param {string} chat - Chat JID
+     * @returns {Object|undefined} Raw message
+     */
+    latest(chat) {
+        return [...this.messages.values()].reverse().find((r) => r.key.remoteJid === chat);
+    }
+
+    /**
+     * Prints a message sent with conn.sendMessage and returns a WAMessage-like result
+     * @private
+     * @async
+     * @method outgoing
+     * @param {string} jid - Target chat
+     * @param {Object} content - Baileys message content
+     * @param {Object} options - Send options (quoted, …)
+     * @returns {Promise<Object>} Sent message
+     */
+    async outgoing(jid, content, options) {
+        const id = messageId();
+        const lines = [];
+        let message;
+
+        const type = Object.keys(MEDIA).find((k) => content[k]);
+        if (type) {
+            const media = await this.saveMedia(type, id, content[type], content);
+            lines.push(`[${type}] ${media.where}${media.size ? ` (${media.size})` : ""}`);
+            if (content.caption) lines.push(content.caption);
+            message = {
+                [MEDIA[type]]: {
+                    caption: content.caption,
+                    mimetype: content.mimetype,
+                    ...(media.path && {
+                        url: `${SIM_PREFIX}${media.path}`,
+                        directPath: `${SIM_PREFIX}${media.path}`,
+                    }),
+                },
+            };
+        } else if (content.react) {
+            lines.push(`reacted ${content.react.text || "(removed)"} to ${content.react.key?.id}`);
+        } else if (content.delete) {
+            lines.push(`deleted ${content.delete.id}`);
+        } else if (typeof content.text === "string") {
+            const edited = content.edit && this.refOf(content.edit.id);
+            lines.push(
+                content.edit ? `edited ${edited ? `#${edited}` : content.edit.id}:` : "",
+                content.text
+            );
+            message = { extendedTextMessage: { text: content.text } };
+        } else if (content.poll) {
+            lines.push(`[poll] ${content.poll.name}`);
+            content.poll.values?.forEach((v, i) => lines.push(`  ${i + 1}. ${v}`));
+        } else if (content.location) {
+            const { degreesLatitude: lat, degreesLongitude: lng } = content.location;
+            lines.push(`[location] ${lat}, ${lng}`);
+        } else {
+            lines.push(Bun.inspect(content, { depth: 3, colors: false }));
+        }
+
+        if (content.mentions?.length) {
+            lines.push(`mentions: ${content.mentions.map((j) => this.label(j)).join(", ")}`);
+        }
+
+        const sent = {
+            key: { remoteJid: jid, fromMe: true, id },
+            message: message || {},
+            messageTimestamp: Math.floor(Date.now() / 1000),
+            status: 1,
+        };
+        const ref = message ? this.remember(sent) : null;
+        this.printOut(jid, ref, options?.quoted, lines.filter(Boolean));
+        return sent;
+    }
+
+    /**
+     * Writes outgoing media to disk so it can be inspected
+     * @private
+     * @async
+     * @method saveMedia
+     * @param {string} type - Media type
+     * @param {string} id - Message id
+     * @param {Buffer|Object|string} data - Buffer, {url} or path
+     * @param {Object} content - Message content (mimetype, fileName)
+     * @returns {Promise<{where: string, path?: string, size?: string}>}
+     */
+    async saveMedia(type, id, data, content) {
+        const url = typeof data === "string" ? data : data?.url?.toString();
+        if (url && /^https?:/i.test(url)) return { where: url };
+        if (url) {
+            const path = resolve(url.replace(/^file:\/\//, ""));
+            return { where: path, path, size: formatBytes(Bun.file(path).size) };
+        }
+        if (!Buffer.isBuffer(data) && !(data instanceof Uint8Array)) {
+            return { where: "(unsupported media source)" };
+        }
+
+        const ext =
+            content.fileName?.split(".").pop() ||
+            EXTENSIONS[content.mimetype] ||
+            DEFAULT_EXTENSIONS[type];
+        const path = join(MEDIA_DIR, `${id}.${ext}`);
+        await Bun.write(path, data);
+        return { where: path, path, size: formatBytes(data.length) };
+    }
+
+    /**
+     * Prints a relayed (interactive, album or card) message
+     * @private
+     * @method printRelay
+     * @param {string} jid - Target chat
+     * @param {Object} message - Generated message proto
+     * @param {string} id - Message id
+     */
+    printRelay(jid, message, id) {
+        const found = { lines: [], buttons: [] };
+        this.walk(message, "", found);
+
+        const lines = [...found.lines];
+        if (found.buttons.length) {
+            this.buttons = [];
+            for (const b of found.buttons) {
+                if (b.id) {
+                    this.buttons.push({ ...b, chat: jid });
+                    lines.push(`[${this.buttons.length}] ${b.text} → ${b.id}`);
+                } else {
+                    lines.push(`[-] ${b.text}${b.url ? ` → ${b.url}` : ""}`);
+                }
+            }
+        }
+
+        const ref = this.remember({ key: { remoteJid: jid, fromMe: true, id }, message });
+        this.printOut(jid, ref, null, lines.length ? lines : ["(empty message)"]);
+    }
+
+    /**
+     * Collects text, media and buttons from a message proto
+     * @private
+     * @method walk
+     * @param {*} node - Current node
+     * @param {string} key - Property name of the node
+     * @param {Object} found - Accumulator ({lines, buttons})
+     */
+    walk(node, key, found) {
+        if (!node || typeof node !== "object" || ArrayBuffer.isView(node)) return;
+
+        if (typeof node.buttonParamsJson === "string") {
+            let params = {};
+            try {
+                params = JSON.parse(node.buttonParamsJson);
+            } catch {
+                //
+            }
+            found.buttons.push({
+                text: params.display_text || params.title || node.name,
+                id: params.id,
+                url: params.url || params.copy_code,
+            });
+            return;
+        }
+
+        const media = Object.entries(MEDIA).find(([, name]) => name === key)?.[0];
+        if (media) found.lines.push(`[${media}] ${formatBytes(node.fileLength)}`);
+
+        if (key === "header" && node.title) found.lines.push(`*${node.title}*`);
+        if ((key === "body" || key === "footer") && node.text) found.lines.push(node.text);
+        if (typeof node.caption === "string" && node.caption) found.lines.push(node.caption);
+        if (key === "extendedTextMessage" && node.text) found.lines.push(node.text);
+
+        for (const [k, v] of Object.entries(node)) {
+            if (k !== "contextInfo" && k !== "messageContextInfo") this.walk(v, k, found);
+        }
+    }
+
+    /**
+     * Prints one outgoing message block
+     * @private
+     * @method printOut
+     * @param {string} jid - Target chat
+     * @param {number|null} ref - Reference number
+     * @param {Object|null} quoted - Quoted message
+     * @param {Array<string>} lines - Body lines
+     */
+    printOut(jid, ref, quoted, lines) {
+        const target = jid === this.chat ? "" : ` → ${this.label(jid)}`;
+        const author = quoted?.key?.fromMe
+            ? this.bot.name
+            : quoted?.key &&
+              this.label(quoted.sender || quoted.key.participant || quoted.key.remoteJid);
+        const quote = author ? ` ↩ ${author}` : "";
+        const head = `${ref ? `#${ref} ` : ""}${this.bot.name}${target}${quote}`;
+        const body = lines.flatMap((l) => String(l).split("\n")).map((l) => `  │ ${l}`);
+        this.write([head, ...body].join("\n"));
+    }
+
+    /**
+     * Prints a non-message action (group changes, profile updates)
+     * @private
+     * @method event
+     * @param {string} text - Description
+     */
+    event(text) {
+        this.write(`  · ${text}`);
+    }
+
+    /**
+     * Writes output without breaking the input line
+     * @private
+     * @method write
+     * @param {string} text - Output text
+     */
+    write(text) {
+        this.lastActivity = Date.now();
+        if (process.stdout.isTTY) {
+            process.stdout.clearLine(0);
+            process.stdout.cursorTo(0);
+        }
+        console.log(text);
+        if (this.rl) this.prompt();
+    }
+
+    /**
+     * Shows the prompt with the current sender and chat
+     * @private
+     * @method prompt
+     */
+    prompt() {
+        if (!process.stdout.isTTY) return;
+
+        const chat = this.groups.get(this.chat)?.subject || "dm";
+        this.rl.setPrompt(`${this.sender.name}@${chat}> `);
+        process.stdout.clearLine(0);
+        process.stdout.cursorTo(0);
+        this.rl.prompt(true);
+    }
+}
@@ -35,7 +35,7 @@ const SYM_PROCESSED = Symbol.for("smsg.processed");
  * - Fixes status broadcast JIDs
  * - Resolves ambiguous participant fields
  * - Determines fromMe status accurately
- * - Emits delete events for protocol messages
+ * - Emits delete events for protocol messages (not for edits)
  *
  * @example
  * const rawMsg = { key: { remoteJid: '123@s.whatsapp.net', ... } };
@@ -67,9 +67,11 @@ export function smsg(conn, m) {
 
     /**
      * Special handling for protocol messages (deletions, revokes)
-     * Protocol messages contain metadata about message operations
+     * Protocol messages contain metadata about message operations; edits
+     * reference the original too but must not delete it
      */
-    if (m.mtype === "protocolMessage" && m.msg?.key) {
+    const isEdit = m.msg?.type === proto.Message.ProtocolMessage.Type.MESSAGE_EDIT;
+    if (m.mtype === "protocolMessage" && m.msg?.key && !isEdit) {
         const key = { ...m.msg.key };
 
         // Fix status broadcast JIDs using current chat context
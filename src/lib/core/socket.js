@@ -10,6 +10,10 @@
 import bind from "./store/store.js";
 import { smsg } from "./smsg.js";
 import { mods } from "./mod.js";
+import { sessions } from "./session.js";
+import { chatQueue } from "./chatqueue.js";
+import { edits } from "./edits.js";
+import { pipeline } from "./pipeline.js";
 import {
     makeWASocket,
     areJidsSameUser,
@@ -33,6 +37,13 @@ const isGroupJid = (id) => id && id.endsWith("@g.us");
  */
 const isStatusJid = (id) => !id || id === "status@broadcast";
 
+/**
+ * Creates an id for a conn.runCommand message (not 16 chars, so it never looks like a Baileys id)
+ * @function commandId
+ * @returns {string} Message id
+ */
+const commandId = () => `CMD${crypto.randomUUID().replaceAll("-", "").slice(0, 20).toUpperCase()}`;
+
 /**
  * Decodes and normalizes JID formats
  * @function decodeJid
@@ -111,6 +122,7 @@ const messageQueue = new MessageQueue();
  * @export
  * @function createSocket
  * @param {Object} connectionOptions - Baileys socket options
+ * @param {Function} [makeSocket=makeWASocket] - Creates the underlying socket (the simulator passes a fake one)
  * @returns {Object} Enhanced connection object
  *
  * @features
@@ -127,8 +139,8 @@ const messageQueue = new MessageQueue();
  * - Efficient media streaming with chunk aggregation
  * - Automatic connection state management
  */
-export function createSocket(connectionOptions) {
-    const conn = makeWASocket(connectionOptions);
+export function createSocket(connectionOptions, makeSocket = makeWASocket) {
+    const conn = makeSocket(connectionOptions);
 
     // Bind store management
     bind(conn);
@@ -136,6 +148,18 @@ export function createSocket(connectionOptions) {
     // JID utilities
     conn.decodeJid = decodeJid;
 
+    // Replies to an edited command edit the earlier reply instead of repeating it
+    const sendMessage = conn.sendMessage.bind(conn);
+    conn.sendMessage = (jid, content, options) => edits.send(sendMessage, jid, content, options);
+
+    // Pipeline stages keep what they send to the chat for the next stage
+    const send = conn.sendMessage;
+    conn.sendMessage = async (jid, content, options) =>
+        pipeline.intercept(jid, content, options) ?? send(jid, content, options);
+    const relayMessage = conn.relayMessage.bind(conn);
+    conn.relayMessage = async (jid, message, options) =>
+        pipeline.interceptRelay(jid, message, options) ?? relayMessage(jid, message, options);
+
     // Message sending utilities
     const sender = new mods(conn);
     conn.client = sender.client.bind(sender);
@@ -186,6 +210,9 @@ export function createSocket(connectionOptions) {
         if (!m || !(m.url || m.directPath)) return Buffer.alloc(0);
 
         try {
+            const held = await pipeline.download(m);
+            if (held) return held;
+
             const stream = await downloadContentFromMessage(m, type);
             const chunks = [];
 
@@ -537,6 +564,34 @@ export function createSocket(connectionOptions) {
         });
     };
 
+    /**
+     * Resolves LID (Local ID) number from various sender formats
+     * @async
+     * @method resolveLid
+     * @param {string} sender - Sender JID (@lid or @s.whatsapp.net)
+     * @returns {Promise<string>} LID number, or the bare number if no mapping exists
+     */
+    conn.resolveLid = async (sender) => {
+        if (!sender || typeof sender !== "string") {
+            return sender || "";
+        }
+
+        if (sender.endsWith("@lid")) {
+            return sender.split("@")[0];
+        }
+
+        if (sender.endsWith("@s.whatsapp.net")) {
+            const resolved = await conn.signalRepository.lidMapping.getLIDForPN(sender);
+            if (resolved) {
+                return typeof resolved === "string" && resolved.endsWith("@lid")
+                    ? resolved.split("@")[0]
+                    : resolved;
+            }
+        }
+
+        return sender.split("@")[0];
+    };
+
     /**
      * Serializes message using smsg utility
      * @method serializeM
@@ -545,6 +600,63 @@ export function createSocket(connectionOptions) {
      */
     conn.serializeM = (m) => smsg(conn, m);
 
+    /**
+     * Asks a follow-up question and waits for the sender's next message
+     * @async
+     * @method ask
+     * @param {Object} m - Message that started the conversation
+     * @param {string|null} question - Prompt to send (skipped when empty)
+     * @param {Object} [options] - Session options (timeout, validate, cancel)
+     * @returns {Promise<Object|null>} Reply message, or null on timeout/cancel
+     *
+     * @example
+     * const reply = await conn.ask(m, "Pick 1-10", {
+     *     timeout: 60_000,
+     *     validate: (r) => /^(10|[1-9])$/.test(r.text.trim()) || "Reply with 1-10",
+     * });
+     */
+    conn.ask = async (m, question, options = {}) => {
+        // Free this chat's lane so the awaited reply can be processed
+        chatQueue.detach();
+
+        const reply = sessions.wait(m.chat, m.sender, options);
+        if (question) await conn.reply(m.chat, question, m);
+        return reply;
+    };
+
+    /**
+     * Runs a command as if the sender of a message had typed it
+     * @async
+     * @method runCommand
+     * @param {Object} m - Message whose sender and chat are reused
+     * @param {string} text - Full command text including prefix
+     * @returns {Promise<void>}
+     *
+     * @note Goes through the regular handler, so permissions, cooldowns and
+     * limits still apply. The message gets its own id so nothing keyed by
+     * message id mistakes it for `m`.
+     */
+    conn.runCommand = async (m, text) => {
+        if (typeof conn.handler !== "function") return;
+
+        await conn.handler({
+            type: "notify",
+            messages: [
+                {
+                    key: {
+                        remoteJid: m.key.remoteJid,
+                        participant: m.key.participant,
+                        fromMe: m.key.fromMe,
+                        id: commandId(),
+                    },
+                    message: { conversation: text },
+                    pushName: m.pushName,
+                    messageTimestamp: m.messageTimestamp,
+                },
+            ],
+        });
+    };
+
     // Normalize bot's own LID
     if (conn.user?.lid) {
         conn.user.lid = conn.decodeJid(conn.user.lid);
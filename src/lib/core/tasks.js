@@ -0,0 +1,184 @@
+/**
+ * @file Running plugin invocations with timeouts and cancellation
+ * @module core/tasks
+ * @description Gives every plugin call an AbortSignal, aborts it when its
+ * time limit passes, and lets owners cancel a user's running command.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { parseDuration } from "#lib/duration.js";
+
+/**
+ * Raised when a plugin runs past its time limit
+ * @class TimeoutError
+ * @extends Error
+ */
+export class TimeoutError extends Error {
+    /**
+     * @constructor
+     * @param {number} timeout - Limit that was exceeded in milliseconds
+     */
+    constructor(timeout) {
+        super(`Timed out after ${timeout}ms`);
+        this.name = "TimeoutError";
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Raised when a running plugin is cancelled with .cancel
+ * @class CancelError
+ * @extends Error
+ */
+export class CancelError extends Error {
+    /**
+     * @constructor
+     * @param {string|null} by - JID of whoever cancelled the task
+     */
+    constructor(by = null) {
+        super("Cancelled");
+        this.name = "CancelError";
+        this.by = by;
+    }
+}
+
+/**
+ * Registry of running plugin invocations
+ * @class TaskRegistry
+ *
+ * @timeouts
+ * - plugin.timeout: seconds or duration string ("30s", "2m")
+ * - plugin.timeout = false or 0 disables the limit
+ * - Otherwise the registry default applies (PLUGIN_TIMEOUT)
+ */
+export class TaskRegistry {
+    /**
+     * @constructor
+     * @param {Object} [options] - Registry options
+     * @param {number} [options.timeout=300000] - Default limit in milliseconds
+     */
+    constructor({ timeout = 300_000 } = {}) {
+        this.timeout = timeout;
+        this.seq = 0;
+
+        /**
+         * Running tasks by id
+         * @private
+         * @type {Map<number, Object>}
+         */
+        this.running = new Map();
+    }
+
+    /**
+     * Resolves the time limit for a plugin
+     * @method limitFor
+     * @param {Object} plugin - Plugin handler
+     * @returns {number} Limit in milliseconds (0 = none)
+     */
+    limitFor(plugin) {
+        if (plugin?.timeout === false || plugin?.timeout === 0) return 0;
+        if (plugin?.timeout === undefined) return this.timeout;
+        return parseDuration(plugin.timeout) ?? this.timeout;
+    }
+
+    /**
+     * Registers a task and arms its timeout
+     * @method start
+     * @param {Object} info - Task details (name, command, chat, sender)
+     * @param {number} [timeout] - Limit in milliseconds (0 = none)
+     * @returns {Object} Task {id, signal, started, timeout, ...info}
+     */
+    start(info, timeout = this.timeout) {
+        const controller = new AbortController();
+        const task = {
+            ...info,
+            id: ++this.seq,
+            signal: controller.signal,
+            controller,
+            started: Date.now(),
+            timeout,
+            timer: null,
+        };
+
+        if (timeout > 0) {
+            task.timer = setTimeout(() => controller.abort(new TimeoutError(timeout)), timeout);
+        }
+
+        this.running.set(task.id, task);
+        return task;
+    }
+
+    /**
+     * Unregisters a finished task
+     * @method finish
+     * @param {Object} task - Task returned by start()
+     */
+    finish(task) {
+        clearTimeout(task.timer);
+        this.running.delete(task.id);
+    }
+
+    /**
+     * Waits for a promise unless the task is aborted first
+     * @async
+     * @method guard
+     * @param {Object} task - Task returned by start()
+     * @param {Promise|*} promise - Plugin execution (plain values are accepted for
+     *   handlers that are not async)
+     * @returns {Promise<*>} Promise result
+     * @throws {TimeoutError|CancelError} When the task is aborted first
+     *
+     * @note The plugin keeps running in the background unless it honours
+     * its signal; the handler simply stops waiting for it.
+     */
+    guard(task, promise) {
+        const { signal } = task;
+        if (signal.aborted) return Promise.reject(signal.reason);
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener("abort", onAbort, { once: true });
+
+            Promise.resolve(promise)
+                .then(resolve, reject)
+                .finally(() => {
+                    signal.removeEventListener("abort", onAbort);
+                });
+        });
+    }
+
+    /**
+     * Aborts a running task
+     * @method cancel
+     * @param {number} id - Task id
+     * @param {string} [by] - JID of whoever cancelled it
+     * @returns {Object|null} Cancelled task or null if not running
+     */
+    cancel(id, by = null) {
+        const task = this.running.get(id);
+        if (!task) return null;
+
+        task.controller.abort(new CancelError(by));
+        this.finish(task);
+        return task;
+    }
+
+    /**
+     * Lists running tasks, oldest first
+     * @method list
+     * @param {Function} [filter] - Predicate on tasks
+     * @returns {Array<Object>} Running tasks
+     */
+    list(filter = () => true) {
+        return [...this.running.values()].filter(filter);
+    }
+}
+
+/**
+ * Shared registry used by the handler
+ * @constant {TaskRegistry}
+ */
+export const tasks = new TaskRegistry({
+    timeout: parseDuration(Bun.env.PLUGIN_TIMEOUT || "5m") ?? 300_000,
+});
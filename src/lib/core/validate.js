@@ -0,0 +1,254 @@
+/**
+ * @file Plugin validation, requirement and conflict checks
+ * @module core/validate
+ * @description Checks the shape of plugin modules when they load, whether
+ * their declared requirements are met, and finds commands claimed by more
+ * than one plugin. Results end up in global.pluginReport (see core/connection)
+ * and the .plugins command.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { isCmdMatch, commandNames, findPlugin } from "./commands.js";
+import { parseDuration } from "#lib/duration.js";
+
+/**
+ * Boolean plugin flags read by the handler and menu
+ * @private
+ * @constant {Array<string>}
+ */
+const FLAGS = [
+    "owner",
+    "premium",
+    "group",
+    "admin",
+    "botAdmin",
+    "hidden",
+    "disabled",
+    "toggleable",
+];
+
+/**
+ * Hooks that make a plugin useful without a command
+ * @private
+ * @constant {Array<string>}
+ */
+const HOOKS = ["all", "before", "after"];
+
+/**
+ * Keys accepted in handler.requires
+ * @private
+ * @constant {Array<string>}
+ */
+const REQUIRES = ["bins", "env", "plugins"];
+
+/**
+ * Checks for a command rule (string, RegExp or an array of them)
+ * @private
+ * @function isRule
+ * @param {*} rule - Value to check
+ * @returns {boolean} True if the handler can match commands against it
+ */
+const isRule = (rule) =>
+    typeof rule === "string" ||
+    rule instanceof RegExp ||
+    (Array.isArray(rule) &&
+        rule.length > 0 &&
+        rule.every((r) => typeof r === "string" || r instanceof RegExp));
+
+/**
+ * Checks for a string or an array of strings
+ * @private
+ * @function isStrings
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a string or string array
+ */
+const isStrings = (value) =>
+    typeof value === "string" ||
+    (Array.isArray(value) && value.every((v) => typeof v === "string"));
+
+/**
+ * Validates a loaded plugin module
+ * @function validatePlugin
+ * @param {Function|Object} plugin - Default export of the plugin file
+ * @returns {Object} {errors, warnings} - Errors stop the plugin from loading
+ *
+ * @rules
+ * - Errors: no usable export, missing or malformed handler.command
+ * - Warnings: help/tags/roles not strings, non-boolean flags, stateful (/g, /y)
+ *   command regexes, unparsable cooldown/timeout/limit.per, params not an array,
+ *   malformed requires
+ */
+export const validatePlugin = (plugin) => {
+    const errors = [];
+    const warnings = [];
+
+    if (!plugin || !["function", "object"].includes(typeof plugin)) {
+        errors.push("no default export");
+        return { errors, warnings };
+    }
+
+    if (typeof plugin !== "function") {
+        if (!HOOKS.some((k) => typeof plugin[k] === "function")) {
+            errors.push("default export is neither a handler nor an object with all/before/after");
+        }
+        return { errors, warnings };
+    }
+
+    if (plugin.command === undefined) {
+        errors.push("handler.command is missing");
+    } else if (!isRule(plugin.command)) {
+        errors.push("handler.command must be a string, RegExp or array of them");
+    } else if ([].concat(plugin.command).some((r) => r.global || r.sticky)) {
+        warnings.push("handler.command uses the g or y flag, which makes matching stateful");
+    }
+
+    if (plugin.customPrefix !== undefined && !isRule(plugin.customPrefix)) {
+        errors.push("handler.customPrefix must be a string, RegExp or array of them");
+    }
+
+    for (const key of ["help", "tags", "roles"]) {
+        if (plugin[key] !== undefined && !isStrings(plugin[key])) {
+            warnings.push(`handler.${key} should be an array of strings`);
+        }
+    }
+
+    for (const flag of FLAGS) {
+        if (plugin[flag] !== undefined && typeof plugin[flag] !== "boolean") {
+            warnings.push(`handler.${flag} should be true or false`);
+        }
+    }
+
+    if (plugin.params !== undefined && !Array.isArray(plugin.params)) {
+        warnings.push("handler.params should be an array");
+    }
+
+    if (plugin.cooldown !== undefined && parseDuration(plugin.cooldown) === null) {
+        warnings.push("handler.cooldown is not a valid duration");
+    }
+
+    if (plugin.limit?.per !== undefined && parseDuration(plugin.limit.per) === null) {
+        warnings.push("handler.limit.per is not a valid duration (using 1m)");
+    }
+
+    const timeout = plugin.timeout;
+    if (timeout !== undefined && timeout !== false && parseDuration(timeout) === null) {
+        warnings.push("handler.timeout is not a valid duration (or false)");
+    }
+
+    const requires = plugin.requires;
+    if (requires !== undefined) {
+        if (!requires || typeof requires !== "object" || Array.isArray(requires)) {
+            warnings.push("handler.requires should be an object ({bins, env, plugins})");
+        } else {
+            for (const key of Object.keys(requires)) {
+                if (!REQUIRES.includes(key)) warnings.push(`handler.requires.${key} is not known`);
+                else if (!isStrings(requires[key])) {
+                    warnings.push(`handler.requires.${key} should be an array of strings`);
+                }
+            }
+        }
+    }
+
+    return { errors, warnings };
+};
+
+/**
+ * Lists what a plugin requires that is missing on this machine
+ * @private
+ * @function missingRequires
+ * @param {Object} requires - handler.requires
+ * @param {Object} plugins - Plugin registry
+ * @param {Object} unavailable - Plugins already known to be unavailable
+ * @param {Map<string, boolean>} bins - Lookup cache for executables
+ * @returns {Array<string>} Human-readable reasons, empty when everything is there
+ */
+const missingRequires = (requires, plugins, unavailable, bins) => {
+    const list = (key) => (isStrings(requires[key]) ? [].concat(requires[key]) : []);
+    const missing = [];
+
+    for (const bin of list("bins")) {
+        if (!bins.has(bin)) bins.set(bin, !!Bun.which(bin));
+        if (!bins.get(bin)) missing.push(`${bin} is not installed`);
+    }
+
+    for (const key of list("env")) {
+        if (!Bun.env[key]) missing.push(`${key} is not set`);
+    }
+
+    for (const ref of list("plugins")) {
+        const name = plugins[ref] ? ref : findPlugin(ref, plugins);
+        if (!name) missing.push(`plugin ${ref} is not loaded`);
+        else if (plugins[name].disabled) missing.push(`plugin ${name} is disabled`);
+        else if (unavailable[name]) missing.push(`plugin ${name} is unavailable`);
+    }
+
+    return missing;
+};
+
+/**
+ * Finds plugins whose declared requirements are not met
+ * @function checkRequires
+ * @param {Object} [plugins] - Plugin registry (defaults to global.plugins)
+ * @returns {Object} {file: reason} for every plugin that cannot run
+ *
+ * @description
+ * handler.requires = { bins: ["ffmpeg"], env: ["X_API_KEY"], plugins: ["sticker"] }
+ * declares executables looked up on PATH, environment variables that must be
+ * non-empty, and other plugins (file or command) that must be loaded and
+ * enabled. A plugin that needs an unavailable plugin is unavailable too, so
+ * the check repeats until nothing changes.
+ */
+export const checkRequires = (plugins = global.plugins || {}) => {
+    const entries = Object.entries(plugins).filter(
+        ([, p]) => p?.requires && typeof p.requires === "object"
+    );
+    const bins = new Map();
+    let unavailable = {};
+    let changed = true;
+
+    while (changed) {
+        const next = {};
+        for (const [name, plugin] of entries) {
+            const missing = missingRequires(plugin.requires, plugins, unavailable, bins);
+            if (missing.length) next[name] = missing.join(", ");
+        }
+
+        changed = Object.keys(next).length !== Object.keys(unavailable).length;
+        unavailable = next;
+    }
+
+    return unavailable;
+};
+
+/**
+ * Finds command names answered by more than one plugin
+ * @function findConflicts
+ * @param {Object} [plugins] - Plugin registry (defaults to global.plugins)
+ * @returns {Array<Object>} [{command, plugins}] - plugins[0] is the one that wins
+ *
+ * @description
+ * Regexes cannot be compared directly, so every literal name a plugin answers
+ * to (help entries and simple regex alternatives) is tested against the other
+ * plugins' rules. The handler stops at the first match in registry order,
+ * which is the order plugins[] is listed in.
+ */
+export const findConflicts = (plugins = global.plugins || {}) => {
+    const entries = Object.entries(plugins).filter(
+        ([, p]) => typeof p === "function" && !p.disabled && !p.customPrefix && isRule(p.command)
+    );
+    const conflicts = new Map();
+
+    for (const [, plugin] of entries) {
+        for (const command of commandNames(plugin)) {
+            if (conflicts.has(command)) continue;
+
+            const claimed = entries
+                .filter(([, p]) => isCmdMatch(command, p.command))
+                .map(([name]) => name);
+            if (claimed.length > 1) conflicts.set(command, claimed);
+        }
+    }
+
+    return [...conflicts].map(([command, names]) => ({ command, plugins: names }));
+};
@@ -0,0 +1,139 @@
+/**
+ * @file Plugin file watcher
+ * @module core/watcher
+ * @description Watches the plugin folder and reloads a plugin as soon as its
+ * file is saved, so plugins can be edited on a running bot without `.reload`.
+ * Enabled with PLUGIN_WATCH=true.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { watch } from "node:fs";
+import { stat } from "node:fs/promises";
+import { join } from "node:path";
+import { reloadSinglePlugin, unloadPlugin } from "./connection.js";
+
+/**
+ * Reloads plugins when their files change
+ * @class PluginWatcher
+ *
+ * @flow
+ * 1. fs.watch reports a change anywhere under the plugin folder
+ * 2. Changes to the same file within `delay` are merged into one
+ * 3. An existing file is reloaded (cleanup, init); a syntax error is logged
+ *    and the loaded version keeps running
+ * 4. A deleted file unloads its plugin
+ */
+export class PluginWatcher {
+    /**
+     * @constructor
+     * @param {Object} [options] - Watcher options
+     * @param {number} [options.delay=300] - Quiet period before reloading a file (ms)
+     */
+    constructor({ delay = 300 } = {}) {
+        this.delay = delay;
+        this.folder = null;
+        this.watcher = null;
+
+        /**
+         * Pending reloads by absolute file path
+         * @private
+         * @type {Map<string, Timer>}
+         */
+        this.timers = new Map();
+
+        /**
+         * Reload currently running, so changes are applied one at a time
+         * @private
+         * @type {Promise<void>}
+         */
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Starts watching a plugin folder
+     * @method start
+     * @param {string} folder - Root plugin directory
+     * @returns {boolean} True if watching
+     */
+    start(folder) {
+        this.stop();
+        this.folder = folder;
+
+        try {
+            this.watcher = watch(folder, { recursive: true }, (_, file) => {
+                const path = file?.toString() || "";
+                // Hidden folders hold plugin installs that are still being staged
+                if (path.endsWith(".js") && !/(^|[\\/])\./.test(path)) this.schedule(path);
+            });
+            this.watcher.on("error", (e) =>
+                global.logger?.warn?.({ error: e.message }, "Plugin watcher error")
+            );
+        } catch (e) {
+            global.logger?.warn?.({ error: e.message }, "Plugin watcher unavailable");
+            return false;
+        }
+
+        global.logger?.info?.({ folder }, "Watching plugins for changes");
+        return true;
+    }
+
+    /**
+     * Stops watching and drops pending reloads
+     * @method stop
+     */
+    stop() {
+        this.watcher?.close();
+        this.watcher = null;
+
+        for (const timer of this.timers.values()) clearTimeout(timer);
+        this.timers.clear();
+    }
+
+    /**
+     * Debounces a change to one file
+     * @private
+     * @method schedule
+     * @param {string} file - Path relative to the plugin folder
+     */
+    schedule(file) {
+        const filepath = join(this.folder, file);
+
+        clearTimeout(this.timers.get(filepath));
+        this.timers.set(
+            filepath,
+            setTimeout(() => {
+                this.timers.delete(filepath);
+                this.queue = this.queue.then(() => this.apply(filepath));
+            }, this.delay)
+        );
+    }
+
+    /**
+     * Reloads or unloads the plugin of a changed file
+     * @private
+     * @async
+     * @method apply
+     * @param {string} filepath - Absolute plugin file path
+     * @returns {Promise<void>}
+     */
+    async apply(filepath) {
+        const exists = await stat(filepath).then(
+            (s) => s.isFile(),
+            () => false
+        );
+
+        try {
+            if (exists) await reloadSinglePlugin(filepath, this.folder);
+            else await unloadPlugin(filepath, this.folder);
+        } catch (e) {
+            global.logger?.error?.({ file: filepath, error: e.message }, "Plugin watch error");
+        }
+    }
+}
+
+/**
+ * Shared watcher started by main.js when PLUGIN_WATCH=true
+ * @constant {PluginWatcher}
+ */
+export const watcher = new PluginWatcher();
@@ -0,0 +1,174 @@
+/**
+ * @file Cron expression parsing
+ * @module lib/cron
+ * @description Parses five-field cron expressions ("0 7 * * *") and computes
+ * the next matching time in the server's local timezone.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Field bounds in expression order
+ * @private
+ * @constant {Array<Object>}
+ */
+const FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12 },
+    { name: "weekday", min: 0, max: 7 },
+];
+
+/**
+ * Shorthand expressions
+ * @private
+ * @constant {Object}
+ */
+const MACROS = {
+    "@hourly": "0 * * * *",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@weekly": "0 0 * * 0",
+    "@monthly": "0 0 1 * *",
+    "@yearly": "0 0 1 1 *",
+};
+
+/**
+ * Month and weekday names accepted in place of numbers
+ * @private
+ * @constant {Object}
+ */
+const NAMES = {
+    month: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
+    weekday: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
+};
+
+/**
+ * Parses one cron field into the set of values it matches
+ * @private
+ * @function parseField
+ * @param {string} text - Field text, e.g. "*\/15", "1-5", "mon,wed"
+ * @param {Object} field - Field bounds
+ * @returns {Set<number>|null} Matching values or null if invalid
+ */
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    const names = NAMES[name];
+    const offset = name === "month" ? 1 : 0;
+
+    const toNumber = (token) => {
+        const index = names?.indexOf(token.toLowerCase()) ?? -1;
+        if (index !== -1) return index + offset;
+        return /^\d+$/.test(token) ? Number(token) : NaN;
+    };
+
+    for (const part of text.split(",")) {
+        const [range, stepText] = part.split("/");
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) return null;
+
+        let from, to;
+        if (range === "*") {
+            [from, to] = [min, max];
+        } else if (range.includes("-")) {
+            [from, to] = range.split("-").map(toNumber);
+        } else {
+            from = toNumber(range);
+            to = stepText === undefined ? from : max;
+        }
+
+        if (!(from >= min && to <= max && from <= to)) return null;
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+
+    // Sunday may be written as 0 or 7
+    if (name === "weekday" && values.delete(7)) values.add(0);
+    return values;
+}
+
+/**
+ * Parses a cron expression
+ * @function parseCron
+ * @param {string} expression - Five-field expression or macro (@daily, @hourly…)
+ * @returns {Object|null} Parsed schedule or null if invalid
+ *
+ * @example
+ * parseCron("0 7 * * *") // every day at 07:00
+ * parseCron("*\/30 9-17 * * mon-fri") // every 30 minutes in office hours
+ */
+export function parseCron(expression) {
+    if (typeof expression !== "string") return null;
+
+    const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== FIELDS.length) return null;
+
+    const sets = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (sets.some((set) => !set?.size)) return null;
+
+    const [minute, hour, day, month, weekday] = sets;
+    return {
+        minute,
+        hour,
+        day,
+        month,
+        weekday,
+        // Standard cron: when neither day field starts with * (so */2 does not
+        // count as restricted), either may match
+        anyDay: !parts[2].startsWith("*") && !parts[4].startsWith("*"),
+    };
+}
+
+/**
+ * Checks whether a date's calendar day matches a schedule
+ * @private
+ * @function matchesDay
+ * @param {Object} cron - Parsed schedule
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(cron, date) {
+    const day = cron.day.has(date.getDate());
+    const weekday = cron.weekday.has(date.getDay());
+    return cron.anyDay ? day || weekday : day && weekday;
+}
+
+/**
+ * Computes the next time a schedule fires
+ * @function nextCron
+ * @param {Object|string} cron - Parsed schedule or expression
+ * @param {number|Date} [after=Date.now()] - Search starts after this time
+ * @returns {number|null} Timestamp in milliseconds or null if none within 5 years
+ *
+ * @example
+ * nextCron("0 7 * * *", new Date("2025-01-01T08:00")) // 2025-01-02 07:00
+ */
+export function nextCron(cron, after = Date.now()) {
+    const schedule = typeof cron === "string" ? parseCron(cron) : cron;
+    if (!schedule) return null;
+
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date).setFullYear(date.getFullYear() + 5);
+
+    while (date.getTime() <= limit) {
+        if (!schedule.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!matchesDay(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!schedule.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!schedule.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date.getTime();
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,112 @@
+/**
+ * @file Duration parsing and formatting helpers
+ * @module lib/duration
+ * @description Converts human-friendly duration strings ("30s", "1h", "7d") to
+ * milliseconds and back for cooldowns, limits and other time-based settings.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Unit multipliers in milliseconds
+ * @private
+ * @constant {Object}
+ */
+const UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60_000,
+    h: 3_600_000,
+    d: 86_400_000,
+    w: 604_800_000,
+};
+
+/**
+ * Unit aliases accepted in duration strings
+ * @private
+ * @constant {Object}
+ */
+const ALIASES = {
+    sec: "s",
+    secs: "s",
+    second: "s",
+    seconds: "s",
+    min: "m",
+    mins: "m",
+    minute: "m",
+    minutes: "m",
+    hr: "h",
+    hrs: "h",
+    hour: "h",
+    hours: "h",
+    day: "d",
+    days: "d",
+    week: "w",
+    weeks: "w",
+};
+
+/**
+ * Parses a duration into milliseconds
+ * @function parseDuration
+ * @param {number|string} value - Seconds as number, or string like "90s", "1h30m", "7d"
+ * @returns {number|null} Duration in milliseconds or null if invalid
+ *
+ * @example
+ * parseDuration(30) // 30000
+ * parseDuration("1h") // 3600000
+ * parseDuration("1h30m") // 5400000
+ */
+export function parseDuration(value) {
+    if (typeof value === "number") {
+        return Number.isFinite(value) && value >= 0 ? Math.round(value * 1000) : null;
+    }
+
+    if (typeof value !== "string") return null;
+
+    const input = value.trim().toLowerCase();
+    if (!input) return null;
+
+    // Plain numbers are seconds
+    if (/^\d+(\.\d+)?$/.test(input)) return Math.round(parseFloat(input) * 1000);
+
+    const re = /(\d+(?:\.\d+)?)\s*([a-z]+)/g;
+
+    // Reject strings with leftover garbage
+    if (input.replace(re, "").trim()) return null;
+
+    let total = 0;
+    for (const [, amount, rawUnit] of input.matchAll(re)) {
+        const unit = ALIASES[rawUnit] || rawUnit;
+        if (!UNITS[unit]) return null;
+        total += parseFloat(amount) * UNITS[unit];
+    }
+
+    return Math.round(total);
+}
+
+/**
+ * Formats milliseconds into a compact human-readable string
+ * @function formatDuration
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration (e.g., "1h 5m", "12s")
+ */
+export function formatDuration(ms) {
+    if (!ms || ms < 1000) return "1s";
+
+    const parts = [];
+    let rest = Math.ceil(ms / 1000);
+
+    for (const [unit, size] of [
+        ["d", 86_400],
+        ["h", 3_600],
+        ["m", 60],
+        ["s", 1],
+    ]) {
+        if (rest >= size) {
+            parts.push(`${Math.floor(rest / size)}${unit}`);
+            rest %= size;
+        }
+    }
+
+    return parts.slice(0, 2).join(" ");
+}
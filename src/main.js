@@ -22,6 +22,10 @@ import {
     reloadSinglePlugin,
 } from "#core/connection.js";
 import { createSocket } from "#core/socket.js";
+import { middleware } from "#core/middleware.js";
+import { scheduler } from "#core/scheduler.js";
+import { watcher } from "#core/watcher.js";
+import { Simulator } from "#core/simulator.js";
 
 /**
  * Pairing configuration from global config
@@ -189,6 +193,49 @@ async function pair(conn) {
     });
 }
 
+/**
+ * Loads plugins and exposes the reload helpers used by owner commands
+ * @async
+ * @function initPlugins
+ * @returns {Promise<void>}
+ */
+async function initPlugins() {
+    // Determine plugin directory
+    const file = Bun.fileURLToPath(import.meta.url);
+    const src = dirname(file);
+    const plugDir = join(src, "./plugins");
+
+    // Load all plugins
+    await loadPlugins(plugDir, (dir) => getAllPlugins(dir));
+
+    // Store plugin directory globally for reloading
+    global.pluginFolder = plugDir;
+
+    /**
+     * Reloads all plugins dynamically
+     * @function global.reloadAllPlugins
+     * @returns {Promise<void>}
+     */
+    global.reloadAllPlugins = async () => {
+        return reloadAllPlugins(plugDir);
+    };
+
+    /**
+     * Reloads a single plugin file
+     * @function global.reloadSinglePlugin
+     * @param {string} fp - Plugin file path
+     * @returns {Promise<void>}
+     */
+    global.reloadSinglePlugin = async (fp) => {
+        return reloadSinglePlugin(fp, plugDir);
+    };
+
+    // Opt-in: reload plugins as soon as their files change
+    if (Bun.env.PLUGIN_WATCH === "true") {
+        watcher.start(plugDir);
+    }
+}
+
 /**
  * Main bot initialization function
  * @async
@@ -240,6 +287,9 @@ async function startBot() {
     const cln = new CleanupManager();
     global.cleanupManager = cln;
 
+    // Expose middleware chain for plugins (register in init, dispose in cleanup)
+    global.middleware = middleware;
+
     // Load message handler
     const hdl = await import("./handler.js");
     evt.setHandler(hdl);
@@ -247,39 +297,44 @@ async function startBot() {
     // Create reload handler for hot-reloading
     global.reloadHandler = await evt.createReloadHandler(opt, saveCreds, cln);
 
-    // Determine plugin directory
-    const file = Bun.fileURLToPath(import.meta.url);
-    const src = dirname(file);
-    const plugDir = join(src, "./plugins");
+    await initPlugins();
 
-    // Load all plugins
-    await loadPlugins(plugDir, (dir) => getAllPlugins(dir));
+    // Start the bot
+    await global.reloadHandler();
+    serialize();
+}
 
-    // Store plugin directory globally for reloading
-    global.pluginFolder = plugDir;
+/**
+ * Offline development mode
+ * @async
+ * @function startSimulator
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Runs the real handler and plugins against a fake socket driven from the
+ * terminal (`bun run simulate`). Nothing is sent to WhatsApp, and state is
+ * kept in a separate database (SIMULATOR_DB_PATH, see config.js).
+ */
+async function startSimulator() {
+    serialize();
 
-    /**
-     * Reloads all plugins dynamically
-     * @function global.reloadAllPlugins
-     * @returns {Promise<void>}
-     */
-    global.reloadAllPlugins = async () => {
-        return reloadAllPlugins(plugDir);
-    };
+    const sim = new Simulator();
+    global.conn = sim.attach(createSocket({}, () => sim.transport()));
+    global.conn.isInit = false;
 
-    /**
-     * Reloads a single plugin file
-     * @function global.reloadSinglePlugin
-     * @param {string} fp - Plugin file path
-     * @returns {Promise<void>}
-     */
-    global.reloadSinglePlugin = async (fp) => {
-        return reloadSinglePlugin(fp, plugDir);
-    };
+    global.cleanupManager = new CleanupManager();
+    global.middleware = middleware;
 
-    // Start the bot
-    await global.reloadHandler();
-    serialize();
+    await initPlugins();
+
+    const hdl = await import("./handler.js");
+    global.conn.handler = hdl.handler.bind(global.conn);
+
+    scheduler.start(global.conn);
+
+    await sim.start();
+    await shutdown("simulator");
+    process.exit(0);
 }
 
 /**
@@ -291,7 +346,7 @@ async function startBot() {
  *
  * @cleanupSequence
  * 1. Prevent re-entrance with isDown flag
- * 2. Cleanup reconnection timers
+ * 2. Cleanup reconnection timers, stop the scheduler and plugin watcher
  * 3. Execute cleanup manager tasks
  * 4. Dispose authentication state
  * 5. Close database connections
@@ -319,6 +374,10 @@ async function shutdown(sig) {
         // Cleanup reconnection logic
         cleanupReconnect();
 
+        // Stop scheduled jobs and the plugin watcher
+        scheduler.stop();
+        watcher.stop();
+
         // Execute cleanup manager tasks
         if (global.cleanupManager) {
             try {
@@ -405,11 +464,13 @@ process.on("unhandledRejection", async (e) => {
  * Main execution entry point
  * @async
  * @execution
- * - Calls startBot() to initialize bot
+ * - Calls startBot() to initialize bot, or startSimulator() with --simulate
  * - Handles fatal errors with shutdown
  * - Exits with appropriate code
  */
-startBot().catch(async (e) => {
+const start = process.argv.includes("--simulate") ? startSimulator : startBot;
+
+start().catch(async (e) => {
     global.logger.fatal({ error: e.message, stack: e.stack }, "Fatal");
     await shutdown("fatal");
     process.exit(1);
@@ -11,6 +11,7 @@
  * @function handler
  * @param {Object} m - Message object
  * @param {Object} conn - Connection object
+ * @param {AbortSignal} signal - Aborted on timeout or .cancel
  * @param {Array} args - Command arguments
  * @param {string} usedPrefix - Command prefix used
  * @param {string} command - Command name
@@ -29,7 +30,7 @@
 
 import { instagram } from "#api/instagram.js";
 
-let handler = async (m, { conn, args, usedPrefix, command }) => {
+let handler = async (m, { conn, signal, args, usedPrefix, command }) => {
     const url = args[0];
     if (!url) {
         return m.reply(
@@ -48,7 +49,7 @@ let handler = async (m, { conn, args, usedPrefix, command }) => {
     await global.loading(m, conn);
 
     try {
-        const { success, type, urls, error } = await instagram(url);
+        const { success, type, urls, error } = await instagram(url, { signal });
         if (!success) throw new Error(error || "Failed");
 
         if (type === "video") {
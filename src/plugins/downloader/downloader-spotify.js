@@ -11,6 +11,7 @@
  * @function handler
  * @param {Object} m - Message object
  * @param {Object} conn - Connection object
+ * @param {AbortSignal} signal - Aborted on timeout or .cancel
  * @param {Array} args - Command arguments
  * @param {string} usedPrefix - Command prefix used
  * @param {string} command - Command name
@@ -30,13 +31,14 @@ import { convert } from "#lib/convert.js";
 import { spotify } from "#api/spotify.js";
 import { canvas } from "#canvas/spotify.js";
 
-let handler = async (m, { conn, args, usedPrefix, command }) => {
+let handler = async (m, { conn, signal, args, usedPrefix, command }) => {
     if (!args[0]) return m.reply(`Need song title\nEx: ${usedPrefix + command} Swim`);
 
     await global.loading(m, conn);
     try {
         const { success, title, channel, cover, url, downloadUrl, duration, error } = await spotify(
-            args.join(" ")
+            args.join(" "),
+            { signal }
         );
         if (!success) throw new Error(error);
 
@@ -96,9 +98,11 @@ let handler = async (m, { conn, args, usedPrefix, command }) => {
  * @property {Array<string>} help - Help text
  * @property {Array<string>} tags - Command categories
  * @property {RegExp} command - Command pattern matching
+ * @property {Object} requires - External programs the command needs
  */
 handler.help = ["spotify"];
 handler.tags = ["downloader"];
 handler.command = /^(spotify)$/i;
+handler.requires = { bins: ["ffmpeg"] };
 
 export default handler;
@@ -11,6 +11,7 @@
  * @function handler
  * @param {Object} m - Message object
  * @param {Object} conn - Connection object
+ * @param {AbortSignal} signal - Aborted on timeout or .cancel
  * @param {Array} args - Command arguments
  * @param {string} usedPrefix - Command prefix used
  * @param {string} command - Command name
@@ -29,7 +30,7 @@
 
 import { spotifydl } from "#api/spotifydl.js";
 
-let handler = async (m, { conn, args, usedPrefix, command }) => {
+let handler = async (m, { conn, signal, args, usedPrefix, command }) => {
     if (!args[0]) {
         return m.reply(
             `Need Spotify URL\nEx: ${usedPrefix + command} https://open.spotify.com/track/xxx`
@@ -45,7 +46,7 @@ let handler = async (m, { conn, args, usedPrefix, command }) => {
     await global.loading(m, conn);
 
     try {
-        const { success, downloadUrl, error } = await spotifydl(url);
+        const { success, downloadUrl, error } = await spotifydl(url, { signal });
         if (!success) throw new Error(error);
 
         await conn.sendMessage(
@@ -11,9 +11,8 @@
  * @function handler
  * @param {Object} m - Message object
  * @param {Object} conn - Connection object
- * @param {Array} args - Command arguments
- * @param {string} usedPrefix - Command prefix used
- * @param {string} command - Command name
+ * @param {AbortSignal} signal - Aborted on timeout or .cancel
+ * @param {Object} params - Parsed arguments ({url})
  * @returns {Promise<void>}
  *
  * @description
@@ -29,20 +28,13 @@
 
 import { tiktok } from "#api/tiktok.js";
 
-let handler = async (m, { conn, args, usedPrefix, command }) => {
-    const url = args[0];
-    if (!url) {
-        return m.reply(`Need TikTok URL\nEx: ${usedPrefix + command} https://vt.tiktok.com/xxx`);
-    }
-
-    if (!/^https?:\/\/(www\.)?(vm\.|vt\.|m\.)?tiktok\.com\/.+/i.test(url)) {
-        return m.reply("Invalid TikTok URL");
-    }
+let handler = async (m, { conn, signal, params }) => {
+    const { url } = params;
 
     await global.loading(m, conn);
 
     try {
-        const { success, type, images, videoUrl, error } = await tiktok(url);
+        const { success, type, images, videoUrl, error } = await tiktok(url, { signal });
         if (!success) throw new Error(error || "Failed");
 
         if (type === "images") {
@@ -88,9 +80,18 @@ let handler = async (m, { conn, args, usedPrefix, command }) => {
  * @property {Array<string>} help - Help text
  * @property {Array<string>} tags - Command categories
  * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
  */
 handler.help = ["tiktok"];
 handler.tags = ["downloader"];
 handler.command = /^(tiktok|tt)$/i;
+handler.params = [
+    {
+        name: "url",
+        type: "url",
+        pattern: /^https?:\/\/(www\.)?(vm\.|vt\.|m\.)?tiktok\.com\/.+/i,
+        example: "https://vt.tiktok.com/xxx",
+    },
+];
 
 export default handler;
@@ -11,6 +11,7 @@
  * @function handler
  * @param {Object} m - Message object
  * @param {Object} conn - Connection object
+ * @param {AbortSignal} signal - Aborted on timeout or .cancel
  * @param {Array} args - Command arguments
  * @param {string} usedPrefix - Command prefix used
  * @param {string} command - Command name
@@ -30,13 +31,14 @@ import { convert } from "#lib/convert.js";
 import { play } from "#api/play.js";
 import { canvas } from "#canvas/play.js";
 
-let handler = async (m, { conn, args, usedPrefix, command }) => {
+let handler = async (m, { conn, signal, args, usedPrefix, command }) => {
     if (!args[0]) return m.reply(`Need song title\nEx: ${usedPrefix + command} Bye`);
 
     await global.loading(m, conn);
     try {
         const { success, title, channel, cover, url, downloadUrl, error } = await play(
-            args.join(" ")
+            args.join(" "),
+            { signal }
         );
         if (!success) throw new Error(error);
 
@@ -96,9 +98,15 @@ let handler = async (m, { conn, args, usedPrefix, command }) => {
  * @property {Array<string>} help - Help text
  * @property {Array<string>} tags - Command categories
  * @property {RegExp} command - Command pattern matching
+ * @property {number} cooldown - Seconds a user must wait between uses
+ * @property {Object} limit - Maximum uses per user within a time window
+ * @property {Object} requires - External programs the command needs
  */
 handler.help = ["play"];
 handler.tags = ["downloader"];
 handler.command = /^(play)$/i;
+handler.cooldown = 30;
+handler.limit = { perUser: 10, per: "1h" };
+handler.requires = { bins: ["ffmpeg"] };
 
 export default handler;
@@ -11,6 +11,7 @@
  * @function handler
  * @param {Object} m - Message object
  * @param {Object} conn - Connection object
+ * @param {AbortSignal} signal - Aborted on timeout or .cancel
  * @param {Array} args - Command arguments
  * @param {string} usedPrefix - Command prefix used
  * @param {string} command - Command name
@@ -29,7 +30,7 @@
 
 import { ytmp4 } from "#api/ytmp4.js";
 
-let handler = async (m, { conn, args, usedPrefix, command }) => {
+let handler = async (m, { conn, signal, args, usedPrefix, command }) => {
     if (!args[0]) {
         return m.reply(`Need YouTube URL\nEx: ${usedPrefix + command} https://youtu.be/xxx`);
     }
@@ -44,7 +45,7 @@ let handler = async (m, { conn, args, usedPrefix, command }) => {
     await global.loading(m, conn);
 
     try {
-        const { success, downloadUrl, error } = await ytmp4(url);
+        const { success, downloadUrl, error } = await ytmp4(url, { signal });
         if (!success) throw new Error(error);
 
         await conn.sendMessage(
@@ -0,0 +1,130 @@
+/**
+ * @file Per-chat custom commands
+ * @module plugins/group/customcmd
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { isCmdMatch } from "#core/commands.js";
+
+/**
+ * Largest media a custom command may store
+ * @private
+ * @constant {number}
+ */
+const MAX_MEDIA = 5 * 1024 * 1024;
+
+/**
+ * Media kinds a custom command can reply with
+ * @private
+ * @constant {Set<string>}
+ */
+const MEDIA = new Set(["image", "video", "audio", "sticker", "document"]);
+
+/**
+ * Adds, removes and lists the custom commands of the current chat
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Array} args - Command arguments
+ * @param {string} usedPrefix - Command prefix used
+ * @param {string} command - Command name
+ * @param {boolean} isOwner - Whether user is bot owner
+ * @param {boolean} isAdmin - Whether user is group admin
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Stores simple reply commands such as `.rules` or `.donate` per chat.
+ * Reply to a message with `.addcmd rules` and `.rules` answers with that
+ * message's text or media from then on.
+ *
+ * @features
+ * - Text and captions may use {user}, {group} and {membercount}
+ * - Images, videos, audio, stickers and documents are stored too
+ * - Text can also be given inline: `.addcmd donate Send to ...`
+ * - Refuses names that shadow existing commands or aliases
+ * - Group admins manage group commands; anyone in private chats
+ */
+
+let handler = async (m, { conn, args, usedPrefix, command, isOwner, isAdmin }) => {
+    const name = (args[0] || "").replace(/^[/!.]/, "").toLowerCase();
+
+    if (command === "listcmd") {
+        const list = global.db.macros.list(m.chat);
+        if (!list.length) return m.reply("No custom commands in this chat");
+        return m.reply(
+            [
+                "Custom commands",
+                ...list.map((c) => `- ${usedPrefix + c.name}${c.type ? ` (${c.type})` : ""}`),
+            ].join("\n")
+        );
+    }
+
+    if (!name) {
+        return m.reply(
+            command === "addcmd"
+                ? `Reply to a message with ${usedPrefix + command} <name>\n` +
+                      `Ex: ${usedPrefix + command} rules\n` +
+                      "Variables: {user} {group} {membercount}"
+                : `Ex: ${usedPrefix + command} rules`
+        );
+    }
+
+    if (m.isGroup && !isAdmin && !isOwner) {
+        return global.dfail("admin", m, conn);
+    }
+
+    if (command === "delcmd") {
+        return m.reply(
+            global.db.macros.delete(m.chat, name)
+                ? `Custom command ${usedPrefix + name} removed`
+                : `No custom command ${usedPrefix + name}`
+        );
+    }
+
+    if (!/^[a-z0-9_-]+$/.test(name)) {
+        return m.reply("Command name may only contain letters, numbers, - and _");
+    }
+
+    const taken =
+        global.db.aliases.get(m.chat, name) ||
+        Object.values(global.plugins).some(
+            (p) => typeof p === "function" && !p.customPrefix && isCmdMatch(name, p.command)
+        );
+    if (taken) return m.reply(`${usedPrefix + name} is already a command`);
+
+    const q = m.quoted;
+    const text = (q ? q.text : args.slice(1).join(" ")) || "";
+    const type = q?.mediaType?.replace(/Message$/, "");
+    const macro = { text, by: m.sender };
+
+    if (type && MEDIA.has(type)) {
+        const media = await q.download();
+        if (!media.length) return m.reply("Could not download the replied media");
+        if (media.length > MAX_MEDIA) return m.reply("Media is too large (max 5 MB)");
+
+        Object.assign(macro, {
+            type,
+            media,
+            mimetype: (q.msg || q).mimetype || null,
+        });
+    } else if (!text.trim()) {
+        return m.reply(`Reply to a text or media message with ${usedPrefix + command} ${name}`);
+    }
+
+    global.db.macros.set(m.chat, name, macro);
+    return m.reply(`Custom command saved: ${usedPrefix + name}`);
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ */
+handler.help = ["addcmd <name>", "delcmd <name>", "listcmd"];
+handler.tags = ["group"];
+handler.command = /^(addcmd|delcmd|listcmd)$/i;
+
+export default handler;
@@ -0,0 +1,98 @@
+/**
+ * @file Scheduled job management
+ * @module plugins/group/jobs
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Lists, pauses, resumes and deletes scheduled jobs
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Object} params - Parsed arguments ({action, id})
+ * @param {string} usedPrefix - Command prefix used
+ * @param {boolean} isOwner - Whether user is bot owner
+ * @param {boolean} isAdmin - Whether user is group admin
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Jobs are created by plugins through the scheduler. Owners see and manage
+ * every job; group admins manage the jobs that belong to their group.
+ *
+ * @features
+ * - `.jobs` lists jobs with their schedule and next run
+ * - `.jobs pause 3` / `.jobs resume 3` stops and restarts a job
+ * - `.jobs del 3` deletes a job
+ */
+
+import { scheduler } from "#core/scheduler.js";
+import { formatDuration } from "#lib/duration.js";
+
+let handler = async (m, { conn, params, usedPrefix, isOwner, isAdmin }) => {
+    const { action = "list", id } = params;
+
+    if (!isOwner && !(m.isGroup && isAdmin)) {
+        return global.dfail(m.isGroup ? "admin" : "owner", m, conn);
+    }
+
+    // Owners manage everything; admins only their group's jobs
+    const scope = isOwner ? null : m.chat;
+
+    if (action === "list") {
+        const jobs = scheduler.list(scope);
+        if (!jobs.length) return m.reply("No scheduled jobs");
+
+        const lines = jobs.map((j) => {
+            const when = j.paused
+                ? "paused"
+                : `next in ${formatDuration(Math.max(j.run_at - Date.now(), 0))}`;
+            const error = j.last_error ? `\n  last error: ${j.last_error}` : "";
+            return `#${j.id} ${j.name} — ${j.cron || "once"} (${when}, ${j.runs} runs)${error}`;
+        });
+        const footer = `Manage with ${usedPrefix}jobs <pause|resume|del> <id>`;
+        return m.reply(["Scheduled jobs", ...lines, "", footer].join("\n"));
+    }
+
+    if (!id) return m.reply(`Give a job id\nEx: ${usedPrefix}jobs ${action} 3`);
+
+    const job = global.db.jobs.get(id);
+    if (!job || (scope && job.chat !== scope)) return m.reply(`No job #${id}`);
+
+    switch (action) {
+        case "pause":
+            scheduler.pause(id);
+            return m.reply(`Paused #${id} ${job.name}`);
+
+        case "resume":
+            scheduler.resume(id);
+            return m.reply(`Resumed #${id} ${job.name}`);
+
+        default:
+            scheduler.remove(id);
+            return m.reply(`Deleted #${id} ${job.name}`);
+    }
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
+ */
+handler.help = ["jobs"];
+handler.tags = ["group"];
+handler.command = /^(jobs)$/i;
+handler.params = [
+    {
+        name: "action",
+        type: "enum",
+        choices: ["list", "pause", "resume", "del", "delete"],
+        optional: true,
+    },
+    { name: "id", type: "number", integer: true, min: 1, optional: true, example: "3" },
+];
+
+export default handler;
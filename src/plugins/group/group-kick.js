@@ -11,10 +11,8 @@
  * @function handler
  * @param {Object} m - Message object
  * @param {Object} conn - Connection object
- * @param {Array} args - Command arguments
+ * @param {Object} params - Parsed arguments ({user})
  * @param {Array} participants - Group participants list
- * @param {string} usedPrefix - Command prefix used
- * @param {string} command - Command name
  * @returns {Promise<void>}
  *
  * @description
@@ -30,22 +28,18 @@
  * - Requires bot and user admin privileges
  */
 
-let handler = async (m, { conn, args, participants, usedPrefix, command }) => {
-    let t = m.mentionedJid?.[0] || m.quoted?.sender || null;
+let handler = async (m, { conn, params, participants }) => {
+    let t = params.user;
+    const inGroup = (jid) => participants.some((p) => p.id === jid);
 
-    if (!t && args[0]) {
-        const num = args[0].replace(/[^0-9]/g, "") + "@s.whatsapp.net";
-        const lid = await conn.signalRepository.lidMapping.getLIDForPN(num);
-        if (lid) t = lid;
+    // Phone numbers resolve to the participant's LID when needed
+    if (!inGroup(t) && t.endsWith("@s.whatsapp.net")) {
+        const lid = await conn.signalRepository.lidMapping.getLIDForPN(t);
+        const raw = t.split("@")[0] + "@lid";
+        t = lid || (inGroup(raw) ? raw : t);
     }
 
-    if (!t && args[0]) {
-        const raw = args[0].replace(/[^0-9]/g, "") + "@lid";
-        if (participants.some((p) => p.id === raw)) t = raw;
-    }
-
-    if (!t || !participants.some((p) => p.id === t))
-        return m.reply(`Remove member\nEx: ${usedPrefix + command} @628xxx`);
+    if (!inGroup(t)) return m.reply(`@${t.split("@")[0]} is not in this group`);
 
     await conn.groupParticipantsUpdate(m.chat, [t], "remove");
 
@@ -64,6 +58,7 @@ let handler = async (m, { conn, args, participants, usedPrefix, command }) => {
  * @property {Array<string>} help - Help text
  * @property {Array<string>} tags - Command categories
  * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
  * @property {boolean} group - Whether command works only in groups
  * @property {boolean} botAdmin - Whether bot needs admin privileges
  * @property {boolean} admin - Whether user needs admin privileges
@@ -71,6 +66,9 @@ let handler = async (m, { conn, args, participants, usedPrefix, command }) => {
 handler.help = ["kick"];
 handler.tags = ["group"];
 handler.command = /^(kick|k)$/i;
+handler.params = [
+    { name: "user", type: "mention", example: "@628xxx", description: "Mention, reply or number" },
+];
 handler.group = true;
 handler.botAdmin = true;
 handler.admin = true;
@@ -0,0 +1,223 @@
+/**
+ * @file Per-chat plugin switches
+ * @module plugins/group/plugin
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Turns individual plugins or whole categories on and off in a chat
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Object} params - Parsed arguments ({action, target})
+ * @param {string} usedPrefix - Command prefix used
+ * @param {boolean} isOwner - Whether user is bot owner
+ * @param {boolean} isAdmin - Whether user is group admin
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Lets a group keep the bot but drop what it does not want, for example
+ * `.plugin off hidetag` or `.plugin off maker`. Disabled commands are
+ * ignored in that chat and hidden from the menu. Owners also install
+ * third-party plugins here, and switch plugins off in every chat with
+ * `.disableplugin` (see owner/plugins).
+ *
+ * @features
+ * - Target by command (hidetag), plugin file (group-hidetag) or tag (maker)
+ * - Tags take precedence when a name is both a tag and a command
+ * - `.plugin list` shows what is switched off here and everywhere
+ * - Group admins manage groups; anyone in private chats
+ * - Owners: `.plugin install <git-url|raw-url> [name]` or reply to a .js/.zip,
+ *   `.plugin update <name>`, `.plugin remove <name>` (no name lists installed plugins)
+ */
+
+import { findPlugin, commandNames } from "#core/commands.js";
+import { installer, MAX_DOWNLOAD } from "#core/installer.js";
+import { getDisabledPlugins } from "#core/connection.js";
+
+/**
+ * Resolves a user-supplied name to a switch target
+ * @private
+ * @function resolveTarget
+ * @param {string} query - Tag, command or plugin name
+ * @returns {Object|null} {kind, name} or null if unknown
+ */
+function resolveTarget(query) {
+    const q = query.toLowerCase();
+    const tags = new Set(Object.values(global.plugins).flatMap((p) => [].concat(p?.tags || [])));
+    if (tags.has(q)) return { kind: "tag", name: q };
+
+    const name = findPlugin(q);
+    return name ? { kind: "plugin", name } : null;
+}
+
+/**
+ * Lists installed third-party plugins
+ * @private
+ * @function listInstalled
+ * @param {string} usedPrefix - Command prefix used
+ * @returns {string} Reply text
+ */
+function listInstalled(usedPrefix) {
+    const rows = global.db.externalPlugins.list();
+    if (!rows.length) {
+        return `No third-party plugins installed\nEx: ${usedPrefix}plugin install <git-url>`;
+    }
+
+    const lines = rows.map((r) => `- ${r.name} ${r.version} (${r.kind})\n  ${r.source}`);
+    return ["Installed plugins", ...lines].join("\n");
+}
+
+/**
+ * Installs, updates or removes a third-party plugin
+ * @private
+ * @async
+ * @function manage
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Object} params - Parsed arguments ({action, target, name})
+ * @param {string} usedPrefix - Command prefix used
+ * @returns {Promise<void>}
+ */
+async function manage(m, conn, { action, target, name }, usedPrefix) {
+    const q = m.quoted;
+    const upload = q?.mediaType === "documentMessage" && /\.(js|zip)$/i.test(q.fileName || "");
+
+    if (action === "remove") {
+        if (!target) return m.reply(listInstalled(usedPrefix));
+        const removed = await installer.remove(target);
+        return m.reply(removed ? `${removed.name} removed` : `${target} is not installed`);
+    }
+
+    if (!target && !(action === "install" && upload)) {
+        return m.reply(
+            action === "install"
+                ? `Ex: ${usedPrefix}plugin install https://github.com/user/repo\n` +
+                      "Or reply to a .js or .zip file"
+                : listInstalled(usedPrefix)
+        );
+    }
+
+    if (upload && Number(String((q.msg || q).fileLength ?? 0)) > MAX_DOWNLOAD) {
+        return m.reply("File is larger than 10 MB");
+    }
+
+    await global.loading(m, conn);
+    try {
+        const file = upload ? { data: await q.download(), fileName: q.fileName } : null;
+        const result =
+            action === "update"
+                ? await installer.update(target, { file, by: m.sender })
+                : await installer.install(file ? null : target, {
+                      name: file ? target : name,
+                      file,
+                      by: m.sender,
+                  });
+
+        if (result.unchanged) return m.reply(`${result.name} is already up to date`);
+
+        const conflicts = (global.pluginReport?.conflicts || []).filter((c) =>
+            c.plugins.some((p) => result.files.includes(p))
+        );
+        const lines = [
+            `${result.name} ${action === "update" ? "updated" : "installed"} (${result.version})`,
+            `Files: ${result.files.length}, checksum ${result.checksum.slice(0, 12)}`,
+            ...result.failed.map((f) => `Failed to load: ${f}`),
+            ...(result.skipped?.length ? [`Helper modules: ${result.skipped.join(", ")}`] : []),
+            ...conflicts.map((c) => `Conflict: ${usedPrefix + c.command} runs ${c.plugins[0]}`),
+        ];
+        return m.reply(lines.join("\n"));
+    } catch (e) {
+        return m.reply(`Plugin ${action} failed: ${e.message}`);
+    } finally {
+        await global.loading(m, conn, true);
+    }
+}
+
+let handler = async (m, { conn, params, usedPrefix, isOwner, isAdmin }) => {
+    const { action, target } = params;
+
+    if (["install", "update", "remove"].includes(action)) {
+        if (!isOwner) return global.dfail("owner", m, conn);
+        return manage(m, conn, params, usedPrefix);
+    }
+
+    if (action === "list") {
+        const rows = global.db.chatPlugins.list(m.chat);
+        const everywhere = [...getDisabledPlugins()];
+        if (!rows.length && !everywhere.length) {
+            return m.reply("All plugins are enabled in this chat");
+        }
+
+        const describe = (name) => {
+            const cmd = commandNames(global.plugins[name])[0];
+            return `- ${name}${cmd ? ` (${usedPrefix + cmd})` : ""}`;
+        };
+        const lines = rows.map((r) =>
+            r.kind === "tag" ? `- ${r.name} (category)` : describe(r.name)
+        );
+        if (rows.length) lines.unshift("Disabled in this chat");
+        if (everywhere.length) lines.push("Disabled everywhere", ...everywhere.map(describe));
+        return m.reply(lines.join("\n"));
+    }
+
+    if (!target)
+        return m.reply(`Name a plugin, command or category\nEx: ${usedPrefix}plugin off maker`);
+
+    if (m.isGroup && !isAdmin && !isOwner) {
+        return global.dfail("admin", m, conn);
+    }
+
+    const resolved = resolveTarget(target);
+
+    if (action === "on") {
+        // Also accept stale names of plugins that no longer exist
+        const done = resolved
+            ? global.db.chatPlugins.enable(m.chat, resolved.kind, resolved.name)
+            : global.db.chatPlugins.enable(m.chat, "plugin", target) ||
+              global.db.chatPlugins.enable(m.chat, "tag", target.toLowerCase());
+        return m.reply(done ? `${target} enabled` : `${target} is not disabled here`);
+    }
+
+    if (!resolved) return m.reply(`Unknown plugin or category: ${target}`);
+
+    if (resolved.kind === "plugin" && global.plugins[resolved.name]?.toggleable === false) {
+        return m.reply(`${target} cannot be disabled`);
+    }
+
+    const done = global.db.chatPlugins.disable(m.chat, resolved.kind, resolved.name);
+    const label = resolved.kind === "tag" ? `${resolved.name} commands` : resolved.name;
+    return m.reply(done ? `${label} disabled in this chat` : `${label} is already disabled`);
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
+ * @property {boolean} toggleable - Whether chats may switch this plugin off
+ */
+handler.help = [
+    "plugin",
+    "plugin install <url> [name] (owner)",
+    "plugin update <name> (owner)",
+    "plugin remove <name> (owner)",
+];
+handler.tags = ["group"];
+handler.command = /^(plugin)$/i;
+handler.params = [
+    {
+        name: "action",
+        type: "enum",
+        choices: ["on", "off", "list", "install", "update", "remove"],
+        example: "off",
+    },
+    { name: "target", type: "string", optional: true, example: "maker" },
+    { name: "name", type: "string", optional: true, description: "Folder name for install" },
+];
+handler.toggleable = false;
+
+export default handler;
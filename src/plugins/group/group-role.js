@@ -0,0 +1,115 @@
+/**
+ * @file User role management
+ * @module plugins/group/role
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Grants, revokes and lists named user roles
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Object} params - Parsed arguments ({action, user, role, scope})
+ * @param {boolean} isOwner - Whether user is bot owner
+ * @param {boolean} isAdmin - Whether user is group admin
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Roles are checked by the handler: plugins declare `handler.roles` to
+ * require one of them, and the banned role blocks all commands.
+ *
+ * @features
+ * - `.role add @user moderator` grants a role in this group
+ * - `.role add @user premium global` grants a role everywhere (owner only)
+ * - `.role del @user moderator` revokes a role
+ * - `.role list` shows role holders for this chat and global roles
+ * - Group admins manage group roles; owners manage global roles
+ */
+
+const ROLES = ["moderator", "premium", "trusted", "banned"];
+
+/**
+ * Resolves a JID to the LID number used for role lookups
+ * @private
+ * @async
+ * @function resolveUser
+ * @param {Object} conn - Connection object
+ * @param {string} jid - User JID
+ * @returns {Promise<string>} LID number
+ */
+async function resolveUser(conn, jid) {
+    if (jid.endsWith("@s.whatsapp.net")) {
+        const lid = await conn.signalRepository.lidMapping.getLIDForPN(jid).catch(() => null);
+        if (lid) return lid.split("@")[0];
+    }
+    return jid.split("@")[0];
+}
+
+let handler = async (m, { conn, params, isOwner, isAdmin }) => {
+    const { action, user, role } = params;
+
+    if (action === "list") {
+        const rows = global.db.roles.list(m.chat);
+        if (!rows.length) return m.reply("No roles assigned");
+
+        // Older grants only kept the LID number
+        const jids = rows.map((r) => r.jid || `${r.user}@lid`);
+        const lines = rows.map(
+            (r, i) =>
+                `- @${jids[i].split("@")[0]} ${r.role}${r.scope === "global" ? " (global)" : ""}`
+        );
+        return conn.sendMessage(
+            m.chat,
+            {
+                text: ["Roles", ...lines].join("\n"),
+                mentions: [...new Set(jids)],
+            },
+            { quoted: m }
+        );
+    }
+
+    if (!user || !role) return m.reply("Mention or reply to a user and name a role");
+
+    const scope = params.scope === "global" || !m.isGroup ? "global" : m.chat;
+    if (scope === "global" && !isOwner) return global.dfail("owner", m, conn);
+    if (!isOwner && !isAdmin) return global.dfail("admin", m, conn);
+
+    const target = await resolveUser(conn, user);
+    const where = scope === "global" ? "globally" : "in this group";
+    const mention = { mentions: [user] };
+
+    if (action === "add") {
+        const added = global.db.roles.add(target, role, scope, m.sender, user);
+        const text = added
+            ? `@${user.split("@")[0]} is now ${role} ${where}`
+            : `@${user.split("@")[0]} already has ${role} ${where}`;
+        return conn.sendMessage(m.chat, { text, ...mention }, { quoted: m });
+    }
+
+    const removed = global.db.roles.remove(target, role, scope);
+    const text = removed
+        ? `Removed ${role} from @${user.split("@")[0]} ${where}`
+        : `@${user.split("@")[0]} does not have ${role} ${where}`;
+    return conn.sendMessage(m.chat, { text, ...mention }, { quoted: m });
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
+ */
+handler.help = ["role"];
+handler.tags = ["group"];
+handler.command = /^(role|roles)$/i;
+handler.params = [
+    { name: "action", type: "enum", choices: ["add", "del", "remove", "list"], example: "add" },
+    { name: "user", type: "mention", optional: true, example: "@628xxx" },
+    { name: "role", type: "enum", choices: ROLES, optional: true, example: "moderator" },
+    { name: "scope", type: "enum", choices: ["global"], optional: true },
+];
+
+export default handler;
@@ -0,0 +1,86 @@
+/**
+ * @file Per-chat command prefix
+ * @module plugins/group/setprefix
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Changes the command prefix used in the current chat
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Object} params - Parsed arguments ({prefix})
+ * @param {string} usedPrefix - Command prefix used
+ * @param {string} command - Command name
+ * @param {boolean} isOwner - Whether user is bot owner
+ * @param {boolean} isAdmin - Whether user is group admin
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Lets a chat use its own prefix, for groups shared with other bots.
+ * The chat prefix replaces the default prefixes (/ ! .) in that chat.
+ *
+ * @features
+ * - `.setprefix #` uses # as the prefix in this chat
+ * - `.setprefix none` accepts commands without a prefix (private chats only)
+ * - `.setprefix reset` restores the default prefixes
+ * - Shows the current setting when called without arguments
+ * - Group admins manage group prefixes; anyone in private chats
+ */
+
+let handler = async (m, { conn, params, usedPrefix, command, isOwner, isAdmin }) => {
+    const chat = global.db.data.chats[m.chat];
+    const value = params.prefix;
+
+    if (!value) {
+        const current = chat.prefix || "/ ! .";
+        const mode = chat.noprefix && !m.isGroup ? "\nNo-prefix mode: ON" : "";
+        return m.reply(
+            `Prefix: ${current}${mode}\nUse: ${usedPrefix + command} <prefix|none|reset>`
+        );
+    }
+
+    if (m.isGroup && !isAdmin && !isOwner) {
+        return global.dfail("admin", m, conn);
+    }
+
+    switch (value.toLowerCase()) {
+        case "reset":
+            chat.prefix = null;
+            chat.noprefix = false;
+            return m.reply("Prefix reset to / ! .");
+
+        case "none":
+            if (m.isGroup) return m.reply("No-prefix mode is only available in private chats");
+            chat.noprefix = true;
+            return m.reply("No-prefix mode ON\nCommands work with or without a prefix");
+
+        default:
+            chat.prefix = value;
+            return m.reply(`Prefix set to ${value}\nEx: ${value}menu`);
+    }
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
+ */
+handler.help = ["setprefix"];
+handler.tags = ["group"];
+handler.command = /^(setprefix)$/i;
+handler.params = [
+    {
+        name: "prefix",
+        type: "string",
+        pattern: /^(none|reset|[^\sa-z0-9]{1,3})$/i,
+        optional: true,
+        description: "1-3 symbols, none or reset",
+    },
+];
+
+export default handler;
@@ -14,59 +14,83 @@
  * @param {string} usedPrefix - Command prefix used
  * @param {string} command - Command name
  * @param {Array} args - Command arguments
+ * @param {boolean} isOwner - Whether user is bot owner
+ * @param {boolean} isAdmin - Whether user is group admin
+ * @param {Array<string>} roles - Sender roles in this chat
  * @returns {Promise<void>}
  *
  * @description
  * Interactive menu system for the bot that displays commands categorized by functionality.
  * Shows bot information, uptime, system status, and organized command lists.
+ * Categories are the tags of the loaded plugins, so new tags show up on their own.
  *
  * @features
  * - Interactive menu with category selection
  * - Shows bot information and uptime
- * - Categorized command lists (AI, Downloader, Group, etc.)
+ * - Categorized command lists built from plugin tags
  * - View all commands at once option
+ * - `.help <command>` shows description, usage, examples and requirements
+ * - Shows argument usage from plugin params schemas
+ * - Hides plugins and categories switched off in the chat
+ * - Hides commands the sender is not allowed to run, and `handler.hidden` ones
+ * - Marks commands whose handler.requires is not met as unavailable, with the reason
  * - Interactive buttons for navigation
  * - Contact card with bot details
  * - External advertisement integration
+ *
+ * @metadata
+ * Plugins can describe themselves for the menu (usage and examples are
+ * written without the prefix):
+ * - handler.description = "Removes members from the group"
+ * - handler.usage = "kick <@user>" (string or array)
+ * - handler.examples = ["kick @628xxx"]
+ * - handler.hidden = true (left out of menus, `.help <command>` still works)
  */
 
 import os from "os";
+import { formatParams, formatUsage } from "#core/params.js";
+import { chatSwitches, commandNames, findPlugin, isChatDisabled } from "#core/commands.js";
 
-const CATS = ["ai", "downloader", "group", "info", "internet", "maker", "owner", "tools"];
-
-const META = {
+/**
+ * Display names for tags that do not read well capitalized
+ * @constant {Object}
+ */
+const LABELS = {
     ai: "AI",
-    downloader: "Downloader",
-    group: "Group",
-    info: "Info",
-    internet: "Internet",
-    maker: "Maker",
-    owner: "Owner",
-    tools: "Tools",
 };
 
-let handler = async (m, { conn, usedPrefix, command, args }) => {
+let handler = async (m, { conn, usedPrefix, command, args, isOwner, isAdmin, roles = [] }) => {
     await global.loading(m, conn);
 
     try {
         const pkg = await getPkg();
-        const help = getHelp();
+        const access = { isOwner, isAdmin, roles };
+        const help = getHelp(m.chat, access);
+        const cats = categories(help);
         const inp = (args[0] || "").toLowerCase();
         const time = new Date().toTimeString().split(" ")[0];
 
         if (inp === "all") {
-            return await all(conn, m, help, usedPrefix, time);
+            return await all(conn, m, help, cats, usedPrefix, time);
         }
 
         if (!inp) {
-            return await main(conn, m, pkg, usedPrefix, command, time);
+            return await main(conn, m, pkg, cats, usedPrefix, command, time);
         }
 
         const idx = parseInt(inp) - 1;
-        const cat = !isNaN(idx) && CATS[idx] ? CATS[idx] : inp;
+        const cat = !isNaN(idx) && cats[idx] ? cats[idx] : inp;
+
+        // .help prefers commands, .menu prefers categories ("owner" is both)
+        const entry = getEntry(m.chat, access, inp);
+        if (entry && (command.toLowerCase() === "help" || !cats.includes(cat))) {
+            return m.reply(detail(entry, inp, usedPrefix));
+        }
 
-        if (!CATS.includes(cat)) {
-            return m.reply(`Invalid category. Use \`${usedPrefix + command}\``);
+        if (!cats.includes(cat)) {
+            return m.reply(
+                `Unknown command or category. Use \`${usedPrefix + command}\` to see the list`
+            );
         }
 
         return await show(conn, m, help, cat, usedPrefix, time);
@@ -84,15 +108,17 @@ let handler = async (m, { conn, usedPrefix, command, args }) => {
  * @param {Object} conn - Connection object
  * @param {Object} m - Message object
  * @param {Array} help - Help data array
+ * @param {Array<string>} cats - Category tags
  * @param {string} prefix - Command prefix
  * @param {string} time - Current time
  * @returns {Promise<void>}
  */
-async function all(conn, m, help, prefix, time) {
-    const cmds = CATS.map((c) => {
-        const list = format(help, c, prefix);
-        return list.length > 0 ? `\n${META[c]}\n${list.join("\n")}` : "";
-    })
+async function all(conn, m, help, cats, prefix, time) {
+    const cmds = cats
+        .map((c) => {
+            const list = format(help, c, prefix);
+            return list.length > 0 ? `\n${label(c)}\n${list.join("\n")}` : "";
+        })
         .filter(Boolean)
         .join("\n");
 
@@ -126,12 +152,13 @@ async function all(conn, m, help, prefix, time) {
  * @param {Object} conn - Connection object
  * @param {Object} m - Message object
  * @param {Object} pkg - Package.json data
+ * @param {Array<string>} cats - Category tags
  * @param {string} prefix - Command prefix
  * @param {string} cmd - Command name
  * @param {string} time - Current time
  * @returns {Promise<void>}
  */
-async function main(conn, m, pkg, prefix, cmd, time) {
+async function main(conn, m, pkg, cats, prefix, cmd, time) {
     const upBot = fmt(process.uptime());
     const upSys = fmt(os.uptime());
 
@@ -158,9 +185,9 @@ async function main(conn, m, pkg, prefix, cmd, time) {
         {
             title: "Categories",
             highlight_label: "ナルヤ イズミ",
-            rows: CATS.map((c) => ({
-                title: META[c],
-                description: `View ${META[c]} commands`,
+            rows: cats.map((c) => ({
+                title: label(c),
+                description: `View ${label(c)} commands`,
                 id: `${prefix + cmd} ${c}`,
             })),
         },
@@ -235,15 +262,15 @@ async function show(conn, m, help, cat, prefix, time) {
     const txt =
         cmds.length > 0
             ? [
-                "```",
-                `[${time}] ${META[cat]} Commands`,
-                "─".repeat(25),
-                cmds.join("\n"),
-                "─".repeat(25),
-                `Total: ${cmds.length}`,
-                "```",
-            ].join("\n")
-            : `No commands for ${META[cat]}`;
+                  "```",
+                  `[${time}] ${label(cat)} Commands`,
+                  "─".repeat(25),
+                  cmds.join("\n"),
+                  "─".repeat(25),
+                  `Total: ${cmds.length}`,
+                  "```",
+              ].join("\n")
+            : `No commands for ${label(cat)}`;
 
     return conn.sendMessage(
         m.chat,
@@ -253,7 +280,7 @@ async function show(conn, m, help, cat, prefix, time) {
                 forwardingScore: 999,
                 isForwarded: true,
                 externalAdReply: {
-                    title: `${META[cat]} Commands`,
+                    title: `${label(cat)} Commands`,
                     body: `${cmds.length} commands`,
                     thumbnailUrl: "https://qu.ax/TLqUB.png",
                     sourceUrl: "https://linkbio.co/o3din",
@@ -271,10 +298,16 @@ async function show(conn, m, help, cat, prefix, time) {
  * @property {Array<string>} help - Help text
  * @property {Array<string>} tags - Command categories
  * @property {RegExp} command - Command pattern matching
+ * @property {string} description - One-line summary for .help
+ * @property {Array<string>} usage - Usage lines without prefix
+ * @property {Array<string>} examples - Example invocations without prefix
  */
-handler.help = ["menu"];
+handler.help = ["menu", "help <command>"];
 handler.tags = ["info"];
 handler.command = /^(menu|help)$/i;
+handler.description = "Lists commands by category or explains one command";
+handler.usage = ["menu [category|all]", "help <command>"];
+handler.examples = ["menu group", "help kick"];
 
 export default handler;
 
@@ -314,20 +347,159 @@ function getPkg() {
 }
 
 /**
- * Collects help data from all plugins
+ * Checks whether a sender may run a plugin
+ * @function canUse
+ * @param {Function} p - Plugin handler
+ * @param {Object} access - Sender access ({isOwner, isAdmin, roles})
+ * @returns {boolean} True if the plugin's requirements are met
+ */
+function canUse(p, { isOwner, isAdmin, roles = [] }) {
+    if (isOwner) return true;
+    if (p.owner || p.mods) return false;
+    if (p.admin && !isAdmin) return false;
+
+    const required = [].concat(p.roles || []);
+    return !required.length || required.some((r) => roles.includes(r));
+}
+
+/**
+ * Builds the help entry of one plugin
+ * @function toEntry
+ * @param {string} name - Plugin registry key
+ * @param {Function} p - Plugin handler
+ * @returns {Object} Help entry
+ */
+function toEntry(name, p) {
+    return {
+        name,
+        plugin: p,
+        help: [].concat(p.help || []),
+        tags: [].concat(p.tags || []),
+        owner: p.owner,
+        mods: p.mods,
+        admin: p.admin,
+        roles: p.roles,
+        params: p.params,
+        description: p.description,
+        usage: [].concat(p.usage || []),
+        examples: [].concat(p.examples || []),
+        unavailable: p.unavailable,
+    };
+}
+
+/**
+ * Collects help data from all plugins the sender can see
  * @function getHelp
+ * @param {string} chat - Chat JID (plugins switched off there are hidden)
+ * @param {Object} access - Sender access ({isOwner, isAdmin, roles})
  * @returns {Array} Array of help objects from all plugins
  */
-function getHelp() {
-    return Object.values(global.plugins)
-        .filter((p) => !p.disabled)
-        .map((p) => ({
-            help: [].concat(p.help || []),
-            tags: [].concat(p.tags || []),
-            owner: p.owner,
-            mods: p.mods,
-            admin: p.admin,
-        }));
+function getHelp(chat, access) {
+    const off = chatSwitches(chat);
+    return Object.entries(global.plugins)
+        .filter(
+            ([name, p]) =>
+                !p.disabled && !p.hidden && !isChatDisabled(off, name, p) && canUse(p, access)
+        )
+        .map(([name, p]) => toEntry(name, p));
+}
+
+/**
+ * Finds the help entry for a command the sender may use
+ * @function getEntry
+ * @param {string} chat - Chat JID
+ * @param {Object} access - Sender access ({isOwner, isAdmin, roles})
+ * @param {string} query - Command name
+ * @returns {Object|null} Help entry or null
+ */
+function getEntry(chat, access, query) {
+    const name = findPlugin(query);
+    const p = name && global.plugins[name];
+    if (!p || p.disabled || isChatDisabled(chatSwitches(chat), name, p)) return null;
+    if (!canUse(p, access)) return null;
+    return toEntry(name, p);
+}
+
+/**
+ * Lists the categories present in the help data
+ * @function categories
+ * @param {Array} help - Help data array
+ * @returns {Array<string>} Sorted unique tags
+ */
+function categories(help) {
+    return [...new Set(help.flatMap((p) => (p.help.length ? p.tags : [])))].sort();
+}
+
+/**
+ * Returns the display name of a category
+ * @function label
+ * @param {string} tag - Category tag
+ * @returns {string} Display name
+ */
+function label(tag) {
+    return LABELS[tag] || tag.charAt(0).toUpperCase() + tag.slice(1);
+}
+
+/**
+ * Formats the detailed help of one command
+ * @function detail
+ * @param {Object} p - Help entry
+ * @param {string} query - Command name as typed
+ * @param {string} prefix - Command prefix
+ * @returns {string} Help text
+ */
+function detail(p, query, prefix) {
+    const names = commandNames(p.plugin);
+    const typed = query.replace(/^[/!.]/, "");
+    const cmd = names.includes(typed) ? typed : names[0] || typed;
+    const lines = [`${prefix}${cmd}${badge(p)}`];
+
+    if (p.description) lines.push(p.description);
+    if (p.unavailable) lines.push(`Unavailable: ${p.unavailable}`);
+    lines.push("");
+
+    if (p.usage.length) {
+        lines.push(...p.usage.map((u) => `Usage: ${prefix}${u}`));
+    } else if (p.params) {
+        lines.push(formatUsage(prefix, cmd, p.params));
+    } else {
+        const entry = p.help.find((h) => h.split(/\s+/)[0].toLowerCase() === cmd);
+        lines.push(`Usage: ${prefix}${entry || cmd}`);
+    }
+
+    if (p.examples.length) {
+        lines.push("", "Examples:", ...p.examples.map((e) => `  ${prefix}${e}`));
+    }
+
+    const aliases = names.filter((n) => n !== cmd);
+    const needs = [
+        p.owner && "bot owner",
+        p.admin && "group admin",
+        p.plugin.botAdmin && "bot is group admin",
+        p.plugin.group && "groups only",
+        p.roles?.length && `role: ${[].concat(p.roles).join(" or ")}`,
+    ].filter(Boolean);
+
+    lines.push("");
+    if (aliases.length) lines.push(`Aliases: ${aliases.map((a) => prefix + a).join(", ")}`);
+    if (p.tags.length) lines.push(`Category: ${p.tags.map(label).join(", ")}`);
+    if (needs.length) lines.push(`Requires: ${needs.join(", ")}`);
+
+    return lines.join("\n").trim();
+}
+
+/**
+ * Returns the access badge shown next to a command
+ * @function badge
+ * @param {Object} p - Help entry
+ * @returns {string} Badge text (e.g., " (owner)") or empty string
+ */
+function badge(p) {
+    if (p.mods) return " (dev)";
+    if (p.owner) return " (owner)";
+    if (p.admin) return " (admin)";
+    if (p.roles?.length) return ` (${[].concat(p.roles).join("/")})`;
+    return "";
 }
 
 /**
@@ -343,8 +515,10 @@ function format(help, cat, prefix) {
         .filter((p) => p.tags.includes(cat))
         .flatMap((p) =>
             p.help.map((cmd) => {
-                const b = p.mods ? " (dev)" : p.owner ? " (owner)" : p.admin ? " (admin)" : "";
-                return `- ${prefix + cmd}${b}`;
+                const b = badge(p);
+                const usage = p.params && !/\s/.test(cmd) ? ` ${formatParams(p.params)}` : "";
+                const off = p.unavailable ? ` (unavailable: ${p.unavailable})` : "";
+                return `- ${prefix + cmd}${usage}${b}${off}`;
             })
         );
 }
@@ -25,6 +25,7 @@
  * - Displays track title, artist, and duration
  * - Shows track cover images
  * - Interactive selection interface
+ * - Reply with a result number to download it
  * - Handles empty results gracefully
  */
 
@@ -35,6 +36,8 @@ let handler = async (m, { conn, text, usedPrefix, command }) => {
         return m.reply(`Need query\nEx: ${usedPrefix + command} for revenge`);
     }
 
+    let choices = [];
+
     try {
         await global.loading(m, conn);
 
@@ -63,12 +66,12 @@ let handler = async (m, { conn, text, usedPrefix, command }) => {
             header: `Track ${i + 1}`,
             title: t.title,
             description: `${t.artist} • ${t.duration || "-"}`,
-            id: `.spotify ${t.title}`,
+            id: `${usedPrefix}spotify ${t.title}`,
         }));
 
         await conn.client(m.chat, {
             image: imageBuffer,
-            caption: "*Select track above*",
+            caption: `*Select track above*\nor reply with 1-${tracks.length}`,
             title: "Spotify Search",
             footer: `Found ${tracks.length} results`,
             interactiveButtons: [
@@ -87,12 +90,30 @@ let handler = async (m, { conn, text, usedPrefix, command }) => {
             ],
             hasMediaAttachment: true,
         });
+
+        choices = tracks;
     } catch (e) {
         global.logger.error(e);
         m.reply(`Error: ${e.message}`);
     } finally {
         await global.loading(m, conn, true);
     }
+
+    if (!choices.length) return;
+
+    // Numeric replies pick a result; other messages pass through untouched
+    const reply = await conn.ask(m, null, {
+        validate: (r) => {
+            const text = r.text?.trim() || "";
+            if (!/^\d+$/.test(text)) return false;
+            const n = Number(text);
+            return (n >= 1 && n <= choices.length) || `Reply with 1-${choices.length}`;
+        },
+    });
+    if (!reply) return;
+
+    const picked = choices[Number(reply.text.trim()) - 1];
+    await conn.runCommand(reply, `${usedPrefix}spotify ${picked.title}`);
 };
 
 /**
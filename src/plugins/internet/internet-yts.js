@@ -25,6 +25,7 @@
  * - Displays video title, channel, and duration
  * - Shows video cover images
  * - Interactive selection interface
+ * - Reply with a result number to play it
  * - Handles empty results gracefully
  */
 
@@ -35,6 +36,8 @@ let handler = async (m, { conn, text, usedPrefix, command }) => {
         return m.reply(`Need query\nEx: ${usedPrefix + command} neck deep`);
     }
 
+    let choices = [];
+
     try {
         await global.loading(m, conn);
 
@@ -63,12 +66,12 @@ let handler = async (m, { conn, text, usedPrefix, command }) => {
             header: `Result ${i + 1}`,
             title: v.title,
             description: `${v.channel} • ${v.duration || "-"}`,
-            id: `.play ${v.title}`,
+            id: `${usedPrefix}play ${v.title}`,
         }));
 
         await conn.client(m.chat, {
             image: imageBuffer,
-            caption: "*Select video above*",
+            caption: `*Select video above*\nor reply with 1-${vids.length}`,
             title: "YouTube Search",
             footer: `Found ${vids.length} results`,
             interactiveButtons: [
@@ -87,12 +90,30 @@ let handler = async (m, { conn, text, usedPrefix, command }) => {
             ],
             hasMediaAttachment: true,
         });
+
+        choices = vids;
     } catch (e) {
         global.logger.error(e);
         m.reply(`Error: ${e.message}`);
     } finally {
         await global.loading(m, conn, true);
     }
+
+    if (!choices.length) return;
+
+    // Numeric replies pick a result; other messages pass through untouched
+    const reply = await conn.ask(m, null, {
+        validate: (r) => {
+            const text = r.text?.trim() || "";
+            if (!/^\d+$/.test(text)) return false;
+            const n = Number(text);
+            return (n >= 1 && n <= choices.length) || `Reply with 1-${choices.length}`;
+        },
+    });
+    if (!reply) return;
+
+    const picked = choices[Number(reply.text.trim()) - 1];
+    await conn.runCommand(reply, `${usedPrefix}play ${picked.title}`);
 };
 
 /**
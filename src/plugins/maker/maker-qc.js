@@ -73,9 +73,11 @@ let handler = async (m, { conn, text, usedPrefix, command }) => {
  * @property {Array<string>} help - Help text
  * @property {Array<string>} tags - Command categories
  * @property {RegExp} command - Command pattern matching
+ * @property {Object} requires - External programs the command needs
  */
 handler.help = ["qc"];
 handler.tags = ["maker"];
 handler.command = /^(qc)$/i;
+handler.requires = { bins: ["ffmpeg"] };
 
 export default handler;
@@ -78,9 +78,11 @@ let handler = async (m, { conn, args, usedPrefix, command }) => {
  * @property {Array<string>} help - Help text
  * @property {Array<string>} tags - Command categories
  * @property {RegExp} command - Command pattern matching
+ * @property {Object} requires - External programs the command needs
  */
 handler.help = ["smeme"];
 handler.tags = ["maker"];
 handler.command = /^(smeme)$/i;
+handler.requires = { bins: ["ffmpeg"] };
 
 export default handler;
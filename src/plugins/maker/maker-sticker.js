@@ -96,9 +96,11 @@ const isUrl = (txt) => /^https?:\/\/.+\.(jpe?g|png|gif|mp4|webm|mkv|mov)$/i.test
  * @property {Array<string>} help - Help text
  * @property {Array<string>} tags - Command categories
  * @property {RegExp} command - Command pattern matching
+ * @property {Object} requires - External programs the command needs
  */
 handler.help = ["sticker"];
 handler.tags = ["maker"];
 handler.command = /^(s(tic?ker)?)$/i;
+handler.requires = { bins: ["ffmpeg"] };
 
 export default handler;
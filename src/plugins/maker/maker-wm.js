@@ -100,9 +100,11 @@ let handler = async (m, { conn, text }) => {
  * @property {Array<string>} help - Help text
  * @property {Array<string>} tags - Command categories
  * @property {RegExp} command - Command pattern matching
+ * @property {Object} requires - External programs the command needs
  */
 handler.help = ["watermark"];
 handler.tags = ["maker"];
 handler.command = /^(wm|watermark)$/i;
+handler.requires = { bins: ["ffmpeg"] };
 
 export default handler;
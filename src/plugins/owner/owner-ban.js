@@ -0,0 +1,86 @@
+/**
+ * @file Global user ban
+ * @module plugins/owner/ban
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Bans a user from using the bot in every chat
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Object} params - Parsed arguments ({user, reason})
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Banned users are ignored by the handler everywhere. The first command
+ * they try afterwards gets a single notice with the reason and expiry.
+ *
+ * @features
+ * - `.ban @user` bans permanently
+ * - `.ban @user 7d spamming` bans for a duration with a reason
+ * - Accepts mentions, replies, phone numbers and LIDs
+ * - Banning again replaces the previous ban
+ * - Owners cannot be banned
+ */
+
+import { parseDuration, formatDuration } from "#lib/duration.js";
+
+let handler = async (m, { conn, params }) => {
+    const { user } = params;
+    const [first, ...rest] = (params.reason || "").split(/\s+/).filter(Boolean);
+
+    // Leading "7d" / "12h" is the ban length, the rest is the reason
+    const duration = /^\d+[a-z]/i.test(first || "") ? parseDuration(first) : null;
+    if (!duration && first) rest.unshift(first);
+    const reason = rest.join(" ") || null;
+
+    const target = await conn.resolveLid(user);
+    const owners = global.config.owner.map((id) => id.toString().split("@")[0]);
+    if (owners.includes(target) || owners.includes(user.split("@")[0])) {
+        return m.reply("Owners cannot be banned");
+    }
+
+    global.db.bans.add(target, {
+        reason,
+        until: duration ? Date.now() + duration : null,
+        by: m.sender,
+        jid: user,
+    });
+
+    const text = [
+        `Banned @${user.split("@")[0]} ${duration ? `for ${formatDuration(duration)}` : "permanently"}`,
+        reason ? `Reason: ${reason}` : null,
+    ]
+        .filter(Boolean)
+        .join("\n");
+
+    await conn.sendMessage(m.chat, { text, mentions: [user] }, { quoted: m });
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
+ * @property {boolean} owner - Whether only bot owner can use this command
+ */
+handler.help = ["ban"];
+handler.tags = ["owner"];
+handler.command = /^(ban)$/i;
+handler.params = [
+    { name: "user", type: "mention", example: "@628xxx" },
+    {
+        name: "reason",
+        type: "text",
+        optional: true,
+        example: "7d spamming",
+        description: "Optional length (7d, 12h) followed by the reason",
+    },
+];
+handler.owner = true;
+
+export default handler;
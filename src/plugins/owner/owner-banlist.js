@@ -0,0 +1,57 @@
+/**
+ * @file Global ban list
+ * @module plugins/owner/banlist
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Lists active global bans
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Shows every active ban with its reason and remaining time. Expired
+ * bans are dropped from the database when the list is built.
+ */
+
+import { formatDuration } from "#lib/duration.js";
+
+let handler = async (m, { conn }) => {
+    const bans = global.db.bans.list();
+    if (!bans.length) return m.reply("No users are banned");
+
+    // Older bans only kept the LID number
+    const jids = bans.map((b) => b.jid || `${b.user}@lid`);
+
+    const lines = bans.map((b, i) => {
+        const left = b.until ? formatDuration(b.until - Date.now()) : "permanent";
+        return `- @${jids[i].split("@")[0]} (${left})${b.reason ? `\n  ${b.reason}` : ""}`;
+    });
+
+    await conn.sendMessage(
+        m.chat,
+        {
+            text: [`Banned users (${bans.length})`, ...lines].join("\n"),
+            mentions: jids,
+        },
+        { quoted: m }
+    );
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {boolean} owner - Whether only bot owner can use this command
+ */
+handler.help = ["banlist"];
+handler.tags = ["owner"];
+handler.command = /^(banlist|bans)$/i;
+handler.owner = true;
+
+export default handler;
@@ -0,0 +1,91 @@
+/**
+ * @file Running command cancellation
+ * @module plugins/owner/cancel
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Lists running commands or aborts them
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {AbortSignal} signal - This command's own signal (excluded from the list)
+ * @param {Object} params - Parsed arguments ({target})
+ * @param {string} usedPrefix - Command prefix used
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Aborts the signal handed to a running plugin. The handler stops waiting
+ * for it and tells the user, and plugins that pass `signal` to fetch stop
+ * their requests too.
+ *
+ * @features
+ * - `.cancel` lists running commands with their ids
+ * - `.cancel 12` cancels one command by id
+ * - `.cancel @user` (or reply) cancels everything that user is running
+ *
+ * @note Runs outside the chat's queue (handler.immediate), so it works in
+ * the same chat as the stuck command.
+ */
+
+import { tasks } from "#core/tasks.js";
+import { formatDuration } from "#lib/duration.js";
+
+let handler = async (m, { conn, signal, params, usedPrefix }) => {
+    const running = tasks.list((t) => t.signal !== signal);
+    const target = params.target;
+    const user = m.mentionedJid?.[0] || m.quoted?.sender;
+
+    if (!target && !user) {
+        if (!running.length) return m.reply("No commands are running");
+
+        const names = await Promise.all(
+            running.map((t) => conn.getName(t.sender).catch(() => t.sender.split("@")[0]))
+        );
+        const lines = running.map(
+            (t, i) =>
+                `#${t.id} ${t.command} by ${names[i]} (${formatDuration(Date.now() - t.started)})`
+        );
+        const footer = `Cancel with ${usedPrefix}cancel <id|@user>`;
+        return m.reply(["Running commands", ...lines, "", footer].join("\n"));
+    }
+
+    let picked;
+    if (user && (!target || target.startsWith("@"))) {
+        // Match LID and phone number forms of the same user
+        const lid = await conn.resolveLid(user);
+        const senders = await Promise.all(running.map((t) => conn.resolveLid(t.sender)));
+        picked = running.filter((t, i) => t.sender === user || senders[i] === lid);
+    } else {
+        picked = running.filter((t) => String(t.id) === target.replace(/^#/, ""));
+    }
+
+    if (!picked.length) return m.reply("Nothing to cancel");
+
+    for (const task of picked) tasks.cancel(task.id, m.sender);
+    await m.reply(`Cancelled ${picked.map((t) => `#${t.id} ${t.command}`).join(", ")}`);
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
+ * @property {boolean} owner - Whether only bot owner can use this command
+ * @property {boolean} timeout - Time limit (disabled)
+ * @property {boolean} immediate - Skip the per-chat queue for owners
+ */
+handler.help = ["cancel"];
+handler.tags = ["owner"];
+handler.command = /^(cancel)$/i;
+handler.params = [
+    { name: "target", type: "string", optional: true, description: "Command id or @user" },
+];
+handler.owner = true;
+handler.timeout = false;
+handler.immediate = true;
+
+export default handler;
@@ -0,0 +1,79 @@
+/**
+ * @file Recent plugin errors
+ * @module plugins/owner/errors
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Browses plugin failures stored by the error reporter
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Object} params - Parsed arguments ({target})
+ * @param {string} usedPrefix - Command prefix used
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Lists recent plugin errors grouped by fingerprint, shows the full
+ * report for one of them, or clears the log.
+ *
+ * @features
+ * - `.errors` lists the latest distinct errors with their counts
+ * - `.errors 12` shows plugin, command, chat, sender and stack for #12
+ * - `.errors clear` empties the error log
+ */
+
+import { reporter } from "#core/reporter.js";
+import { formatDuration } from "#lib/duration.js";
+
+let handler = async (m, { conn, params, usedPrefix }) => {
+    const { target } = params;
+
+    if (target === "clear") {
+        const removed = global.db.errors.clear();
+        return m.reply(`Cleared ${removed} error${removed === 1 ? "" : "s"}`);
+    }
+
+    if (target) {
+        const row = global.db.errors.get(Number(target.replace(/^#/, "")));
+        if (!row) return m.reply(`No error #${target}`);
+        return m.reply(await reporter.format(conn, row));
+    }
+
+    const rows = global.db.errors.list(15);
+    if (!rows.length) return m.reply("No errors recorded");
+
+    const lines = rows.map((r) => {
+        const ago = formatDuration(Date.now() - r.last_at);
+        const message = r.message.length > 60 ? `${r.message.slice(0, 60)}…` : r.message;
+        return `#${r.id} ${r.plugin} ×${r.count} (${ago} ago)\n  ${r.name}: ${message}`;
+    });
+
+    await m.reply(["Recent errors", ...lines, "", `Details: ${usedPrefix}errors <id>`].join("\n"));
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
+ * @property {boolean} owner - Whether only bot owner can use this command
+ */
+handler.help = ["errors"];
+handler.tags = ["owner"];
+handler.command = /^(errors|errorlog)$/i;
+handler.params = [
+    {
+        name: "target",
+        type: "string",
+        pattern: /^(clear|#?\d+)$/i,
+        optional: true,
+        description: "Error id or clear",
+    },
+];
+handler.owner = true;
+
+export default handler;
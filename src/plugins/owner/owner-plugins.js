@@ -0,0 +1,205 @@
+/**
+ * @file Plugin load report and bot-wide plugin switches
+ * @module plugins/owner/plugins
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Shows how plugins loaded and switches plugins off in every chat
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Object} params - Parsed arguments ({target})
+ * @param {string} usedPrefix - Command prefix used
+ * @param {string} command - Command name
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Reads global.pluginReport, which is filled in whenever plugins load or
+ * reload, so broken plugins and command clashes are visible from the chat.
+ * The bot-wide switches live here rather than in the per-chat `.plugin`
+ * command so they cannot be mistaken for `.plugin off`.
+ *
+ * @features
+ * - `.plugins` lists load failures with their error, plugins whose
+ *   handler.requires is not met, validation warnings and commands claimed
+ *   by several plugins (the first one listed wins)
+ * - `.plugins <command|file>` shows one plugin's metadata
+ * - `.disableplugin <name>` / `.enableplugin <name>` switch a plugin off in
+ *   every chat; the list is stored and survives reloads and restarts
+ */
+
+import { findPlugin, commandNames } from "#core/commands.js";
+import { getDisabledPlugins, setPluginDisabled } from "#core/connection.js";
+import { formatDuration } from "#lib/duration.js";
+
+/**
+ * Flags shown in a plugin's details when set
+ * @private
+ * @constant {Array<string>}
+ */
+const FLAGS = ["owner", "premium", "group", "admin", "botAdmin", "hidden", "disabled"];
+
+/**
+ * Formats one plugin's metadata
+ * @private
+ * @function describe
+ * @param {string} name - Plugin registry key
+ * @param {Function|Object} plugin - Plugin handler
+ * @param {string} prefix - Prefix to show commands with
+ * @returns {string} Multi-line description
+ */
+function describe(name, plugin, prefix) {
+    const report = global.pluginReport || {};
+    const list = (value) => [].concat(value || []).join(", ") || "-";
+    const flags = FLAGS.filter((f) => plugin[f]);
+    const hooks = ["all", "before", "after", "init", "cleanup"].filter(
+        (k) => typeof plugin[k] === "function"
+    );
+    const clashes = (report.conflicts || []).filter((c) => c.plugins.includes(name));
+
+    const lines = [
+        name,
+        `Commands: ${list(commandNames(plugin).map((c) => prefix + c))}`,
+        `Pattern: ${plugin.command ? String(plugin.command) : "-"}`,
+        `Help: ${list(plugin.help)}`,
+        `Tags: ${list(plugin.tags)}`,
+        `Flags: ${list(flags)}`,
+    ];
+    if (plugin.customPrefix) lines.push(`Custom prefix: ${String(plugin.customPrefix)}`);
+    if (plugin.roles) lines.push(`Roles: ${list(plugin.roles)}`);
+    if (Array.isArray(plugin.params)) {
+        lines.push(`Params: ${list(plugin.params.map((p) => p.name))}`);
+    }
+    if (plugin.cooldown) lines.push(`Cooldown: ${plugin.cooldown}`);
+    if (plugin.timeout !== undefined) lines.push(`Timeout: ${plugin.timeout}`);
+    if (plugin.requires && typeof plugin.requires === "object") {
+        const needs = Object.entries(plugin.requires).map(([k, v]) => `${k}: ${list(v)}`);
+        lines.push(`Requires: ${needs.join("; ") || "-"}`);
+    }
+    if (plugin.unavailable) lines.push(`Unavailable: ${plugin.unavailable}`);
+    if (hooks.length) lines.push(`Hooks: ${hooks.join(", ")}`);
+    for (const w of report.warnings?.[name] || []) lines.push(`Warning: ${w}`);
+    for (const c of clashes) {
+        const others = c.plugins.filter((p) => p !== name).join(", ");
+        lines.push(`Conflict: ${prefix + c.command} also claimed by ${others}`);
+    }
+
+    return lines.join("\n");
+}
+
+/**
+ * Switches a plugin off or on in every chat
+ * @private
+ * @function toggleGlobal
+ * @param {Object} m - Message object
+ * @param {string} action - "disable" or "enable"
+ * @param {string} target - Command or plugin name
+ * @param {string} usedPrefix - Command prefix used
+ * @returns {Promise<Object>} Reply
+ */
+function toggleGlobal(m, action, target, usedPrefix) {
+    if (!target) {
+        return m.reply(`Name a plugin or command\nEx: ${usedPrefix}${action}plugin tiktok`);
+    }
+
+    // Enabling also accepts stale names of plugins that no longer exist
+    const name = findPlugin(target) || (getDisabledPlugins().has(target) ? target : null);
+    if (!name) return m.reply(`Unknown plugin: ${target}`);
+
+    if (action === "disable") {
+        if (global.plugins[name]?.toggleable === false) {
+            return m.reply(`${name} cannot be disabled`);
+        }
+        return m.reply(
+            setPluginDisabled(name, true)
+                ? `${name} disabled in all chats`
+                : `${name} is already disabled`
+        );
+    }
+
+    return m.reply(
+        setPluginDisabled(name, false) ? `${name} enabled` : `${name} is not disabled globally`
+    );
+}
+
+let handler = async (m, { params, usedPrefix, command }) => {
+    const { target } = params;
+
+    if (command !== "plugins") {
+        return toggleGlobal(m, command.replace(/plugin$/, ""), target, usedPrefix);
+    }
+
+    if (target) {
+        const name = findPlugin(target);
+        if (!name) return m.reply(`Unknown plugin: ${target}`);
+        return m.reply(describe(name, global.plugins[name], usedPrefix));
+    }
+
+    const report = global.pluginReport || { failed: {}, warnings: {}, conflicts: [] };
+    const failed = Object.entries(report.failed);
+    const unavailable = Object.entries(report.unavailable || {});
+    const warned = Object.entries(report.warnings);
+    const loaded = Object.keys(global.plugins || {}).length;
+    const ago = report.at ? ` (${formatDuration(Date.now() - report.at)} ago)` : "";
+
+    const lines = [
+        "Plugin report",
+        `Loaded: ${loaded}, failed: ${failed.length}, unavailable: ${unavailable.length}, ` +
+            `conflicts: ${report.conflicts.length}${ago}`,
+    ];
+
+    if (failed.length) {
+        lines.push("", "Failed to load");
+        for (const [file, error] of failed) lines.push(`- ${file}\n  ${error}`);
+    }
+
+    if (unavailable.length) {
+        lines.push("", "Unavailable (requirements not met)");
+        for (const [file, reason] of unavailable) lines.push(`- ${file}\n  ${reason}`);
+    }
+
+    if (report.conflicts.length) {
+        lines.push("", "Conflicts (first plugin wins)");
+        for (const c of report.conflicts) {
+            lines.push(`- ${usedPrefix + c.command}: ${c.plugins.join(", ")}`);
+        }
+    }
+
+    if (warned.length) {
+        lines.push("", "Warnings");
+        for (const [file, warnings] of warned) {
+            lines.push(`- ${file}`, ...warnings.map((w) => `  ${w}`));
+        }
+    }
+
+    lines.push("", `Details: ${usedPrefix}plugins <command|file>`);
+    await m.reply(lines.join("\n"));
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
+ * @property {boolean} owner - Whether only bot owner can use this command
+ * @property {boolean} toggleable - Whether chats may switch this plugin off
+ */
+handler.help = ["plugins [command|file]", "disableplugin <name>", "enableplugin <name>"];
+handler.tags = ["owner"];
+handler.command = /^(plugins|disableplugin|enableplugin)$/i;
+handler.params = [
+    {
+        name: "target",
+        type: "string",
+        optional: true,
+        description: "Command or plugin file",
+    },
+];
+handler.owner = true;
+handler.toggleable = false;
+
+export default handler;
@@ -13,26 +13,13 @@ import { join } from "path";
  * @async
  * @function handler
  * @param {Object} m - Message object
- * @param {Object} conn - Connection object
- * @param {Array} args - Command arguments
+ * @param {Object} params - Parsed arguments ({action, number})
  * @returns {Promise<void>}
  */
 
-let handler = async (m, { conn, args, usedPrefix, command }) => {
-    const action = args[0]?.toLowerCase();
-    const target = args[1]?.replace(/[^0-9]/g, ""); // Clean phone number
-
-    if (!action || !["add", "remove", "del", "list"].includes(action)) {
-        return m.reply(`*Owner Management*
-
-Usage:
-• ${usedPrefix}${command} add <number> - Add new owner
-• ${usedPrefix}${command} remove <number> - Remove owner
-• ${usedPrefix}${command} list - Show all owners
-
-Example:
-${usedPrefix}${command} add 916395849750`);
-    }
+let handler = async (m, { params }) => {
+    const { action } = params;
+    const target = params.number?.replace(/[^0-9]/g, ""); // Clean phone number
 
     // List owners
     if (action === "list") {
@@ -50,7 +37,7 @@ ${usedPrefix}${command} add 916395849750`);
     }
 
     // Add/Remove requires target number
-    if (!target || target.length < 10) {
+    if (!target || target.length < 7) {
         return m.reply("❌ Please provide a valid phone number (with country code)");
     }
 
@@ -144,9 +131,28 @@ async function updateEnvOwners(owners) {
     writeFileSync(envPath, envContent, "utf8");
 }
 
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
+ * @property {boolean} owner - Whether only bot owner can use this command
+ */
 handler.help = ["setowner"];
 handler.tags = ["owner"];
 handler.command = /^(setowner|addowner|delowner)$/i;
+handler.params = [
+    { name: "action", type: "enum", choices: ["add", "remove", "del", "list"], example: "add" },
+    {
+        name: "number",
+        type: "string",
+        pattern: /^\+?[\d().-]{7,}$/,
+        optional: true,
+        example: "916395849750",
+        description: "Phone number with country code (add/remove)",
+    },
+];
 handler.owner = true;
 
 export default handler;
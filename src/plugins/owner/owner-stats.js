@@ -0,0 +1,114 @@
+/**
+ * @file Command usage analytics report
+ * @module plugins/owner/stats
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Reports command usage recorded by the handler
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Object} params - Parsed arguments ({window, chart})
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Summarizes the command_stats table over a time window: totals, top
+ * commands, failure rates, slowest plugins and busiest chats.
+ *
+ * @features
+ * - Window as a duration (default 7d), e.g. `.stats 24h`; `.stats 30` means 30 days
+ * - Failure rate and error classes per plugin
+ * - Average and worst execution time per plugin
+ * - `--chart` renders top commands as an image
+ */
+
+import { formatDuration } from "#lib/duration.js";
+import { canvas } from "#canvas/stats.js";
+
+const pct = (part, total) => (total ? `${((part / total) * 100).toFixed(1)}%` : "0%");
+
+const ms = (value) => (value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${Math.round(value)}ms`);
+
+let handler = async (m, { conn, params }) => {
+    const since = Date.now() - params.window;
+    const span = formatDuration(params.window);
+    const stats = global.db.stats;
+
+    const sum = stats.summary(since);
+    if (!sum.total) return m.reply(`No commands recorded in the last ${span}`);
+
+    const top = stats.top(since, 10);
+    const failing = stats.failing(since, 5);
+    const slowest = stats.slowest(since, 5);
+    const chats = stats.chats(since, 5);
+
+    const names = await Promise.all(chats.map((c) => conn.getName(c.chat).catch(() => c.chat)));
+
+    const lines = [
+        `Command stats (last ${span})`,
+        `Total: ${sum.total} • Users: ${sum.users}`,
+        `Failed: ${sum.errors} (${pct(sum.errors, sum.ok + sum.errors)}) • Denied: ${sum.denied}`,
+        "",
+        "Top commands",
+        ...top.map(
+            (t, i) => `${i + 1}. ${t.command} — ${t.uses}${t.errors ? ` (${t.errors} failed)` : ""}`
+        ),
+    ];
+
+    if (failing.length) {
+        lines.push(
+            "",
+            "Failure rates",
+            ...failing.map(
+                (f) =>
+                    `- ${f.plugin}: ${pct(f.errors, f.runs)} of ${f.runs} (${f.classes || "Error"})`
+            )
+        );
+    }
+
+    lines.push(
+        "",
+        "Slowest plugins",
+        ...slowest.map((s) => `- ${s.plugin}: ${ms(s.avg)} avg, ${ms(s.max)} max (${s.runs} runs)`),
+        "",
+        "Busiest chats",
+        ...chats.map((c, i) => `${i + 1}. ${names[i] || c.chat} — ${c.uses}`)
+    );
+
+    const report = lines.join("\n");
+
+    if (!params.chart) return m.reply(report);
+
+    const rows = top.map((t) => ({ label: t.command, value: t.uses, failed: t.errors }));
+    const image = await canvas(rows, "Top commands", `Last ${span} • ${sum.total} invocations`);
+
+    await conn.sendMessage(m.chat, { image, caption: report }, { quoted: m });
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
+ * @property {boolean} owner - Whether only bot owner can use this command
+ */
+handler.help = ["stats"];
+handler.tags = ["owner"];
+handler.command = /^(stats|cmdstats)$/i;
+handler.params = [
+    {
+        name: "window",
+        type: "duration",
+        unit: "d",
+        default: 7 * 86400000,
+        description: "Period, e.g. 24h, 7d (bare number = days)",
+    },
+    { name: "chart", type: "flag", description: "Render top commands as an image" },
+];
+handler.owner = true;
+
+export default handler;
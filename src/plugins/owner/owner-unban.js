@@ -0,0 +1,52 @@
+/**
+ * @file Global user unban
+ * @module plugins/owner/unban
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Lifts a global ban
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Object} params - Parsed arguments ({user})
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Removes the ban for a user given as a mention, reply, phone number
+ * or LID. Both the LID and phone number forms are cleared.
+ */
+
+let handler = async (m, { conn, params }) => {
+    const { user } = params;
+    const target = await conn.resolveLid(user);
+
+    // Bans made before a LID mapping was known are stored by phone number
+    let removed = global.db.bans.remove(target);
+    if (user.endsWith("@s.whatsapp.net")) {
+        removed = global.db.bans.remove(user.split("@")[0]) || removed;
+    }
+
+    const text = removed
+        ? `Unbanned @${user.split("@")[0]}`
+        : `@${user.split("@")[0]} is not banned`;
+    await conn.sendMessage(m.chat, { text, mentions: [user] }, { quoted: m });
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
+ * @property {boolean} owner - Whether only bot owner can use this command
+ */
+handler.help = ["unban"];
+handler.tags = ["owner"];
+handler.command = /^(unban)$/i;
+handler.params = [{ name: "user", type: "mention", example: "@628xxx" }];
+handler.owner = true;
+
+export default handler;
@@ -84,5 +84,6 @@ handler.help = ["update"];
 handler.tags = ["owner"];
 handler.command = /^(update|gitpull)$/i;
 handler.owner = true;
+handler.requires = { bins: ["git"] };
 
 export default handler;
@@ -0,0 +1,107 @@
+/**
+ * @file Per-chat command alias management
+ * @module plugins/tools/alias
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+/**
+ * Adds, removes and lists command aliases for the current chat
+ * @async
+ * @function handler
+ * @param {Object} m - Message object
+ * @param {Object} conn - Connection object
+ * @param {Array} args - Command arguments
+ * @param {string} usedPrefix - Command prefix used
+ * @param {string} command - Command name
+ * @param {boolean} isOwner - Whether user is bot owner
+ * @param {boolean} isAdmin - Whether user is group admin
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Lets a chat define short names for existing commands, for example
+ * `.alias add dl tiktok` makes `.dl <url>` run `.tiktok <url>`.
+ *
+ * @features
+ * - Aliases are stored per chat in the database
+ * - Target may include default arguments (e.g. `.alias add mp3 ytmp3`)
+ * - Refuses aliases that shadow existing commands
+ * - Group admins manage group aliases; anyone in private chats
+ */
+
+import { isCmdMatch } from "#core/commands.js";
+
+let handler = async (m, { conn, args, usedPrefix, command, isOwner, isAdmin }) => {
+    const action = (args[0] || "").toLowerCase();
+    const name = (args[1] || "").toLowerCase();
+    const target = args
+        .slice(2)
+        .join(" ")
+        .replace(/^[/!.]/, "")
+        .trim();
+    const usage = [
+        "Command aliases",
+        `Ex: ${usedPrefix + command} add dl tiktok`,
+        `    ${usedPrefix + command} del dl`,
+        `    ${usedPrefix + command} list`,
+    ].join("\n");
+
+    if (action === "list") {
+        const list = global.db.aliases.list(m.chat);
+        if (!list.length) return m.reply("No aliases in this chat");
+        return m.reply(
+            [
+                "Aliases",
+                ...list.map((a) => `- ${usedPrefix + a.name} → ${usedPrefix + a.target}`),
+            ].join("\n")
+        );
+    }
+
+    if (!["add", "set", "del", "delete", "remove"].includes(action) || !name) {
+        return m.reply(usage);
+    }
+
+    if (m.isGroup && !isAdmin && !isOwner) {
+        return global.dfail("admin", m, conn);
+    }
+
+    if (action === "del" || action === "delete" || action === "remove") {
+        return m.reply(
+            global.db.aliases.delete(m.chat, name) ? `Alias ${name} removed` : `No alias ${name}`
+        );
+    }
+
+    if (!target) return m.reply(usage);
+
+    if (!/^[a-z0-9_-]+$/.test(name)) {
+        return m.reply("Alias name may only contain letters, numbers, - and _");
+    }
+
+    const plugins = Object.values(global.plugins).filter(
+        (p) => typeof p === "function" && !p.customPrefix
+    );
+
+    if (plugins.some((p) => isCmdMatch(name, p.command))) {
+        return m.reply(`${usedPrefix + name} is already a command`);
+    }
+
+    const targetCmd = target.split(/\s+/)[0].toLowerCase();
+    if (!plugins.some((p) => isCmdMatch(targetCmd, p.command))) {
+        return m.reply(`Unknown command: ${usedPrefix + targetCmd}`);
+    }
+
+    global.db.aliases.set(m.chat, name, target);
+    return m.reply(`Alias set: ${usedPrefix + name} → ${usedPrefix + target}`);
+};
+
+/**
+ * Command metadata for help system
+ * @property {Array<string>} help - Help text
+ * @property {Array<string>} tags - Command categories
+ * @property {RegExp} command - Command pattern matching
+ */
+handler.help = ["alias"];
+handler.tags = ["tools"];
+handler.command = /^(alias)$/i;
+
+export default handler;
@@ -13,6 +13,7 @@ import { remini } from "#api/remini.js";
  * @function handler
  * @param {Object} m - Message object
  * @param {Object} conn - Connection object
+ * @param {AbortSignal} signal - Aborted on timeout or .cancel
  * @param {string} command - Command name
  * @param {string} usedPrefix - Command prefix used
  * @returns {Promise<void>}
@@ -28,7 +29,7 @@ import { remini } from "#api/remini.js";
  * - Returns enhanced image with caption
  */
 
-let handler = async (m, { conn, command, usedPrefix }) => {
+let handler = async (m, { conn, signal, command, usedPrefix }) => {
     const q = m.quoted?.mimetype ? m.quoted : m;
     const mime = (q.msg || q).mimetype || "";
 
@@ -41,7 +42,7 @@ let handler = async (m, { conn, command, usedPrefix }) => {
         const img = await q.download();
         if (!img) return m.reply("Invalid image");
 
-        const { success, resultUrl, resultBuffer, error } = await remini(img);
+        const { success, resultUrl, resultBuffer, error } = await remini(img, { signal });
         if (!success) throw new Error(error || "Failed");
 
         if (resultBuffer) {
@@ -75,9 +76,13 @@ let handler = async (m, { conn, command, usedPrefix }) => {
  * @property {Array<string>} help - Help text
  * @property {Array<string>} tags - Command categories
  * @property {RegExp} command - Command pattern matching
+ * @property {number} cooldown - Seconds a user must wait between uses
+ * @property {Object} limit - Maximum uses per user within a time window
  */
 handler.help = ["hd"];
 handler.tags = ["tools"];
 handler.command = /^(remini|hd)$/i;
+handler.cooldown = 30;
+handler.limit = { perUser: 5, per: "1h" };
 
 export default handler;
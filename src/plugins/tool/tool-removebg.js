@@ -13,6 +13,7 @@ import { removebg } from "#api/removebg.js";
  * @function handler
  * @param {Object} m - Message object
  * @param {Object} conn - Connection object
+ * @param {AbortSignal} signal - Aborted on timeout or .cancel
  * @param {string} command - Command name
  * @param {string} usedPrefix - Command prefix used
  * @returns {Promise<void>}
@@ -28,7 +29,7 @@ import { removebg } from "#api/removebg.js";
  * - Returns transparent background image
  */
 
-let handler = async (m, { conn, command, usedPrefix }) => {
+let handler = async (m, { conn, signal, command, usedPrefix }) => {
     const q = m.quoted?.mimetype ? m.quoted : m;
     const mime = (q.msg || q).mimetype || "";
 
@@ -42,7 +43,7 @@ let handler = async (m, { conn, command, usedPrefix }) => {
         const img = await q.download();
         if (!img) return m.reply("Invalid image");
 
-        const { success, resultUrl, resultBuffer, error } = await removebg(img);
+        const { success, resultUrl, resultBuffer, error } = await removebg(img, { signal });
         if (!success) throw new Error(error || "Failed");
 
         await conn.sendMessage(
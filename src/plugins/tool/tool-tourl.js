@@ -11,7 +11,7 @@
  * @function handler
  * @param {Object} m - Message object
  * @param {Object} conn - Connection object
- * @param {Array} args - Command arguments
+ * @param {Object} params - Parsed arguments ({server})
  * @param {string} usedPrefix - Command prefix used
  * @param {string} command - Command name
  * @returns {Promise<void>}
@@ -50,11 +50,11 @@ const servers = {
     7: { name: "GoFile", fn: uploader7 },
 };
 
-let handler = async (m, { conn, args, usedPrefix, command }) => {
+let handler = async (m, { conn, params, usedPrefix, command }) => {
     const q = m.quoted?.mimetype ? m.quoted : m;
     const mime = (q.msg || q).mimetype || q.mediaType || "";
 
-    if (!args[0]) {
+    if (!params.server) {
         if (!mime) {
             const list = `*Upload Server*\n
 1. Catbox.moe
@@ -98,9 +98,6 @@ Ex: ${usedPrefix + command} 1`;
         return m.reply(`Upload failed.\nSize: ${size}`);
     }
 
-    const num = args[0].toString().trim().match(/\d+/)?.[0];
-    if (!num || !servers[num]) return m.reply("Invalid server (1-7)");
-
     await global.loading(m, conn);
     const buffer = await q.download?.();
 
@@ -108,7 +105,7 @@ Ex: ${usedPrefix + command} 1`;
     const sizeMB = (buffer.length / 1024 / 1024).toFixed(2);
     const size = buffer.length > 1024 * 1024 ? `${sizeMB} MB` : `${sizeKB} KB`;
 
-    const srv = servers[num];
+    const srv = servers[params.server];
     let result = await srv.fn(buffer);
     let caption = "";
     let url = "";
@@ -153,9 +150,13 @@ Ex: ${usedPrefix + command} 1`;
  * @property {Array<string>} help - Help text
  * @property {Array<string>} tags - Command categories
  * @property {RegExp} command - Command pattern matching
+ * @property {Array<Object>} params - Argument schema
  */
 handler.help = ["upload"];
 handler.tags = ["tools"];
 handler.command = /^(tourl|url|upload)$/i;
+handler.params = [
+    { name: "server", type: "number", integer: true, min: 1, max: 7, optional: true },
+];
 
 export default handler;
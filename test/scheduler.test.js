@@ -0,0 +1,58 @@
+/**
+ * @file Scheduler catch-up tests
+ * @description Run with `bun test`. Uses a throwaway database so the bot's
+ * own data is never touched.
+ * @license Apache-2.0
+ * @author o3din
+ */
+
+import { afterAll, beforeAll, expect, setSystemTime, test } from "bun:test";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const dir = mkdtempSync(join(tmpdir(), "o3din-test-"));
+let scheduler;
+
+beforeAll(async () => {
+    Bun.env.DB_PATH = join(dir, "database.db");
+    await import("../src/config.js");
+    ({ scheduler } = await import("#core/scheduler.js"));
+});
+
+afterAll(() => {
+    setSystemTime();
+    global.sqlite?.close?.();
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test("re-registering a cron job keeps a missed run due", async () => {
+    const runs = [];
+    scheduler.define("missed", async (payload, { late }) => runs.push({ payload, late }));
+
+    // Registered at 06:30, the 07:00 slot is stored
+    setSystemTime(new Date(2026, 0, 1, 6, 30));
+    const first = scheduler.every("0 7 * * *", "missed", { n: 1 });
+    expect(first.run_at).toBe(new Date(2026, 0, 1, 7, 0).getTime());
+
+    // Bot was down over 07:00 and registers the same job again on start
+    setSystemTime(new Date(2026, 0, 1, 7, 10));
+    const again = scheduler.every("0 7 * * *", "missed", { n: 1 });
+    expect(again.id).toBe(first.id);
+    expect(again.run_at).toBe(first.run_at);
+    expect(global.db.jobs.due().map((j) => j.id)).toContain(first.id);
+
+    await scheduler.run(global.db.jobs.get(first.id));
+    expect(runs).toEqual([{ payload: { n: 1 }, late: 10 * 60_000 }]);
+    expect(global.db.jobs.get(first.id).run_at).toBe(new Date(2026, 0, 2, 7, 0).getTime());
+});
+
+test("changing the cron expression reschedules the job", () => {
+    setSystemTime(new Date(2026, 0, 1, 6, 30));
+    const first = scheduler.every("0 7 * * *", "changed", null, { key: "changed" });
+
+    setSystemTime(new Date(2026, 0, 1, 7, 10));
+    const moved = scheduler.every("0 8 * * *", "changed", null, { key: "changed" });
+    expect(moved.id).toBe(first.id);
+    expect(moved.run_at).toBe(new Date(2026, 0, 1, 8, 0).getTime());
+});